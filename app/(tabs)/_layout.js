@@ -3,9 +3,11 @@ import { Tabs } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Platform } from 'react-native';
+import { useTheme } from '../../contexts/ThemeContext';
 
 export default function TabLayout() {
   const insets = useSafeAreaInsets();
+  const { colors } = useTheme();
   
   // 计算底部安全区域：确保交互元素至少 20pt 间距在 Home Indicator 上方
   // iPhone X 系列：insets.bottom ≈ 34pt，所以 paddingBottom = 34pt
@@ -27,12 +29,12 @@ export default function TabLayout() {
     <Tabs
       screenOptions={{
         headerShown: false,
-        tabBarActiveTintColor: '#667eea',
-        tabBarInactiveTintColor: '#94a3b8',
+        tabBarActiveTintColor: colors.accent,
+        tabBarInactiveTintColor: colors.textFaint,
         tabBarStyle: {
-          backgroundColor: '#ffffff',
+          backgroundColor: colors.surface,
           borderTopWidth: 1,
-          borderTopColor: '#e2e8f0',
+          borderTopColor: colors.border,
           paddingTop: 8,
           // 底部内边距：确保交互元素（图标和文字）至少 20pt 间距在 Home Indicator 上方
           // 在 iPhone X 系列上，insets.bottom ≈ 34pt，所以 paddingBottom = 34pt
@@ -8,32 +8,60 @@ import {
   Alert,
   Platform,
   PanResponder,
-  Animated,
   StatusBar,
   AppState
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
+import { useIsFocused } from '@react-navigation/native';
+import Reanimated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  withSequence,
+  withDelay,
+  cancelAnimation,
+  runOnJS
+} from 'react-native-reanimated';
 import { Ionicons } from '@expo/vector-icons';
 import { useGame } from '../../contexts/GameContext';
+import { useTheme } from '../../contexts/ThemeContext';
 import {
-  initializeBoard,
+  createNewGame,
   move,
-  addRandomTile,
+  spawnTiles,
+  createTileIds,
+  assignTileIds,
   checkWin,
   checkGameOver,
-  getHighestTile
+  getHighestTile,
+  getUndosRemaining,
+  normalizeWinTarget,
+  getGameMode,
+  getModeKey,
+  DEFAULT_WIN_TARGET,
+  ENDLESS_TARGET
 } from '../../utils/GameLogic';
-
-// 动态导入 Haptics，避免 H5 环境报错
-let Haptics = null;
-if (Platform.OS !== 'web') {
-  try {
-    Haptics = require('expo-haptics');
-  } catch (error) {
-    console.log('Haptics not available on this platform');
-  }
-}
+import { createRng, createSeed } from '../../utils/Random';
+import { appendMove, findSpawnedTiles, trimHistoryLogs } from '../../utils/MoveLog';
+import { getBestMove } from '../../utils/Solver';
+import { DEFAULT_RULE_SET, getRuleSet, normalizeRuleSet } from '../../utils/RuleSets';
+import { DEFAULT_SPAWN_POLICY, getSpawnPolicy, normalizeSpawnPolicy } from '../../utils/SpawnPolicy';
+import { createDailyGame, getDailyKey, hasPlayedDaily } from '../../utils/Daily';
+import { enqueueMove } from '../../utils/InputQueue';
+import { playSound } from '../../utils/SoundEngine';
+import { triggerHaptic } from '../../utils/HapticsEngine';
+import {
+  getGridMetrics,
+  getTileStyle,
+  getTileTextSize,
+  getTileLabel,
+  createTileLayer,
+  getMoveTileLayer,
+  SLIDE_DURATION,
+  DEFAULT_GRID_SPACING
+} from '../../utils/BoardAnimation';
+import BoardTile from '../../components/BoardTile';
 
 const { width: screenWidth } = Dimensions.get('window');
 // 动态计算内容宽度：屏幕宽度减去左右各14px的边距
@@ -42,46 +70,104 @@ const CONTENT_WIDTH = screenWidth - (CONTENT_MARGIN * 2);
 // 棋盘大小：与header内容宽度一致
 const BOARD_SIZE = CONTENT_WIDTH;
 
-// Grid constants adapted from original 2048
-const GRID_SIZE = 4;
-const GRID_SPACING = 10;
-const GRID_ROW_CELLS = 4;
-const TILE_SIZE = Math.floor((BOARD_SIZE - GRID_SPACING * (GRID_ROW_CELLS + 1)) / GRID_ROW_CELLS);
 const TILE_BORDER_RADIUS = 3;
 
-// Position calculation helpers
-const cellPosition = (x) => {
-  return GRID_SPACING + x * (TILE_SIZE + GRID_SPACING);
+// 提示箭头图标与显示时长
+const HINT_ICONS = { up: 'arrow-up', down: 'arrow-down', left: 'arrow-back', right: 'arrow-forward' };
+const HINT_VISIBLE_MS = 900;
+
+// 限时模式倒计时刷新间隔与警示阈值（毫秒）
+const CLOCK_TICK_MS = 250;
+const CLOCK_WARNING_MS = 10000;
+// 限步模式剩余步数警示阈值
+const MOVES_WARNING = 10;
+
+// 倒计时显示为 m:ss
+const formatClock = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 };
 
-// Helper functions for tile positioning
-const toX = (col) => cellPosition(col);
-const toY = (row) => cellPosition(row);
+// 自动演示速度：每步之间的停顿（毫秒）
+const AUTOPLAY_SPEEDS = [
+  { label: '1x', delayMs: 600 },
+  { label: '2x', delayMs: 250 },
+  { label: '4x', delayMs: 0 },
+];
 
 /**
  * Home Screen - Main Game Board
  * Purpose: Play 2048 + quick actions (score, best, new game)
- * Features: 4x4 board, swipe gestures, keyboard controls, animations
+ * Features: 3x3 - 8x8 board, swipe gestures, keyboard controls, animations, offline hints, autoplay demo,
+ *           Blitz countdown, Par moves remaining, Daily Challenge, puzzle levels
  */
 export default function HomeScreen() {
-  const { state, dispatch, saveGameData } = useGame();
+  const { state, dispatch, saveGameData, saveCurrentGame, clearCurrentGame } = useGame();
+  const { colors, scheme } = useTheme();
   const insets = useSafeAreaInsets();
+  const isFocused = useIsFocused();
+  const boardSize = state.board.length;
+  const gridMetrics = useMemo(() => getGridMetrics(BOARD_SIZE, boardSize), [boardSize]);
+  const { tileSize: TILE_SIZE, fontScale, toX, toY } = gridMetrics;
+  // 本局的合并规则集与胜利目标（旧存档没有这些字段时为经典规则、2048）
+  const ruleSet = normalizeRuleSet(state.currentGame?.ruleSet);
+  const winTarget = normalizeWinTarget(state.currentGame?.winTarget, ruleSet);
+  // 本局的出块难度（旧存档没有该字段时为普通难度）
+  const spawnPolicy = normalizeSpawnPolicy(state.currentGame?.spawnPolicy);
+  // 限时模式：时间限制（秒）以及单独记录最佳分数的 key
+  const timeLimitSec = getGameMode(state.currentGame) === 'blitz' ? state.currentGame.timeLimitSec : null;
+  // 限步模式：本局可用的总步数
+  const moveLimit = getGameMode(state.currentGame) === 'par' ? state.currentGame.moveLimit : null;
+  const modeKey = getModeKey(state.currentGame);
+  const displayedBest = modeKey ? (state.modeBests[modeKey] || 0) : state.bestScore;
   const [gameStartTime, setGameStartTime] = useState(null);
   const [moveCount, setMoveCount] = useState(0);
+  // 限步模式剩余步数
+  const movesLeft = moveLimit ? Math.max(moveLimit - moveCount, 0) : null;
   const [animationPhase, setAnimationPhase] = useState('idle'); // 'idle', 'animating'
-  const animatedValues = useRef({});
-  const ghostTilesRef = useRef([]);
-  const masterTimeline = useRef(new Animated.Value(0));
-  
-  // 跟踪已稳定的方块位置（不是新生成的），用于防止在应用恢复时错误触发动画
-  const stableTilesRef = useRef(new Set());
+  const [hintDirection, setHintDirection] = useState(null);
+  const [isThinking, setIsThinking] = useState(false);
+  const [clockNow, setClockNow] = useState(Date.now());
+  const [isAutoplay, setIsAutoplay] = useState(false);
+  const [autoplaySpeed, setAutoplaySpeed] = useState(0);
+  // 点击棋盘停止自动演示的那次手势不再当作滑动处理
+  const autoplayStopGestureRef = useRef(false);
+  // 棋盘晃动（无效移动）和滑动计时，都在 UI 线程上运行
+  const boardShake = useSharedValue(0);
+  const slideClock = useSharedValue(0);
+  const boardShakeStyle = useAnimatedStyle(() => ({
+    transform: [{ translateX: boardShake.value }],
+  }));
+  // 提示箭头淡入、停留、淡出
+  const hintOpacity = useSharedValue(0);
+  const hintStyle = useAnimatedStyle(() => ({
+    opacity: hintOpacity.value,
+  }));
+  // 动画期间收到的滑动按设置的缓冲方式排队，滑动结束后依次执行
+  const pendingMovesRef = useRef([]);
+  // 即时模式下队列排满：跳过动画，直到排队的步数执行完
+  const skipAnimationsRef = useRef(false);
+  // 胜负对话框等到本步滑动结束后再弹出
+  const pendingOutcomeRef = useRef(null);
+  // 合并、出块和胜负音效在滑动结束时播放：[cue, value]
+  const pendingCuesRef = useRef([]);
+  // 合并、新的最大瓦片和胜负的震动同样在滑动结束时触发：[event, value]
+  const pendingHapticRef = useRef(null);
+
+  // 最近一步的渲染层（瓦片 id、位置和出现方式），与棋盘对象成对保存
+  const [moveLayer, setMoveLayer] = useState(null);
+  // 棋盘被撤销、从后台恢复或在其他页面替换时，重新分配 id 并直接显示，不播放动画
+  const tileLayer = useMemo(() => {
+    if (moveLayer?.board === state.board) return moveLayer;
+    const tileIds = createTileIds(state.board);
+    return { board: state.board, tileIds, tiles: createTileLayer(state.board, tileIds) };
+  }, [moveLayer, state.board]);
   
   // 保存应用进入后台时的游戏状态快照
   const savedStateRef = useRef(null);
   
-  // 标记是否正在从后台恢复，用于防止在恢复过程中触发新方块动画
-  const isRestoringRef = useRef(false);
-  
   // 使用 ref 存储最新的游戏状态，避免在 AppState 监听器中频繁访问 state
   const latestStateRef = useRef(state);
   const latestMoveCountRef = useRef(moveCount);
@@ -100,31 +186,47 @@ export default function HomeScreen() {
     latestGameStartTimeRef.current = gameStartTime;
   }, [gameStartTime]);
 
-  // 用 ref 跟踪最新的 isAnimating 状态，确保手势处理器能获取到最新值
-  const isAnimatingRef = useRef(state.isAnimating);
+  // 切换到新对局（包括从 New Game 页面创建或冷启动恢复）时，同步步数和计时起点
+  // 恢复的对局带有 moves / elapsedMs，计时从上次离开的位置继续
   useEffect(() => {
-    isAnimatingRef.current = state.isAnimating;
-  }, [state.isAnimating]);
+    const currentGame = state.currentGame;
+    if (!currentGame) return;
+    setMoveCount(currentGame.moves || 0);
+    setGameStartTime(Date.now() - (currentGame.elapsedMs || 0));
+  }, [state.currentGame?.id]);
 
-  // Initialize animations for each tile position
-  useEffect(() => {
-    // Initialize board shake animation
-    if (!animatedValues.current.board) {
-      animatedValues.current.board = new Animated.Value(0);
-    }
-    
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
-        const key = `${row}-${col}`;
-        if (!animatedValues.current[key]) {
-          animatedValues.current[key] = {
-            scale: new Animated.Value(1),
-            opacity: new Animated.Value(1),
-          };
-        }
-      }
+  // 将进行中的对局写入存储，进程被杀后冷启动可以从这里继续
+  // 只读取 ref，保证在 AppState 监听器中调用时也能拿到最新数据
+  const persistInProgressGame = () => {
+    const current = latestStateRef.current;
+    if (current.isLoading || !current.currentGame) return;
+
+    // 对局已结束（已写入历史），不再需要恢复
+    if (current.gameState === 'lost') {
+      clearCurrentGame();
+      return;
     }
-  }, []);
+
+    const startTime = latestGameStartTimeRef.current;
+    if (!startTime) return;
+
+    saveCurrentGame({
+      board: current.board,
+      score: current.score,
+      hasWon: current.hasWon,
+      moveCount: latestMoveCountRef.current,
+      elapsedMs: Date.now() - startTime,
+      currentGame: current.currentGame,
+      undoStack: current.undoStack,
+      savedAt: new Date().toISOString(),
+    });
+  };
+
+  // 每次提交移动（步数变化）、撤销或开始新对局后保存
+  useEffect(() => {
+    if (state.isLoading) return;
+    persistInProgressGame();
+  }, [moveCount, gameStartTime, state.currentGame?.id, state.gameState, state.isLoading]);
 
   // 监听应用状态变化，处理前后台切换
   // 使用 ref 存储最新状态，避免监听器频繁重建
@@ -142,51 +244,24 @@ export default function HomeScreen() {
           hasWon: currentState.hasWon,
           moveCount: latestMoveCountRef.current,
           gameStartTime: latestGameStartTimeRef.current,
-          stableTiles: new Set(stableTilesRef.current), // 保存已稳定方块的位置
+          backgroundAt: Date.now(),
         };
+        // 同时写入存储，防止后台进程被系统杀掉后丢失对局
+        persistInProgressGame();
       } else if (nextAppState === 'active') {
         // 应用返回前台：恢复游戏状态
         if (savedStateRef.current) {
-          isRestoringRef.current = true;
-          
-          // 恢复游戏状态
+          // 恢复游戏状态（整盘替换，瓦片直接显示，不播放出现动画）
           const savedState = savedStateRef.current;
           dispatch({ type: 'SET_BOARD', payload: savedState.board });
           dispatch({ type: 'UPDATE_SCORE', payload: savedState.score });
           dispatch({ type: 'SET_GAME_STATE', payload: savedState.gameState });
           dispatch({ type: 'SET_HAS_WON', payload: savedState.hasWon });
           setMoveCount(savedState.moveCount);
+          // 后台期间暂停计时：把计时起点向后平移后台停留的时长（Blitz 倒计时不会在后台流逝）
           if (savedState.gameStartTime) {
-            setGameStartTime(savedState.gameStartTime);
+            setGameStartTime(savedState.gameStartTime + (Date.now() - savedState.backgroundAt));
           }
-          
-          // 恢复已稳定方块的标记
-          stableTilesRef.current = new Set(savedState.stableTiles);
-          
-          // 确保所有已存在的方块保持完全不透明（opacity = 1）
-          // 这防止了在恢复时错误触发新方块动画导致的半透明效果
-          requestAnimationFrame(() => {
-            for (let row = 0; row < 4; row++) {
-              for (let col = 0; col < 4; col++) {
-                if (savedState.board[row][col] !== null) {
-                  const key = `${row}-${col}`;
-                  const anim = animatedValues.current[key];
-                  if (anim) {
-                    // 直接设置 opacity 为 1，不触发动画
-                    anim.opacity.setValue(1);
-                    anim.scale.setValue(1);
-                    // 标记为已稳定，防止后续被误认为新方块
-                    stableTilesRef.current.add(key);
-                  }
-                }
-              }
-            }
-            
-            // 恢复完成后，清除恢复标记
-            setTimeout(() => {
-              isRestoringRef.current = false;
-            }, 100);
-          });
         }
       }
     });
@@ -212,368 +287,394 @@ export default function HomeScreen() {
     }
   }, [state.isLoading, state.showOnboarding]);
 
-  // Keyboard controls for web
+  // 棋盘变化后旧提示失效
   useEffect(() => {
-    if (Platform.OS !== 'web') return;
+    cancelAnimation(hintOpacity);
+    hintOpacity.value = 0;
+    setHintDirection(null);
+  }, [state.board, hintOpacity]);
 
-    const handleKeyPress = (event) => {
-      if (state.isAnimating) return;
-      
-      const keyMap = {
-        ArrowLeft: 'left',
-        ArrowRight: 'right',
-        ArrowUp: 'up',
-        ArrowDown: 'down',
-      };
+  const startNewGame = () => {
+    beginGame(createNewGame({
+      boardSize: state.boardSize,
+      undoLimit: state.undoLimit,
+      winTarget: state.winTarget,
+      timeLimitSec: state.timeLimitSec,
+      moveLimit: state.moveLimit,
+      ruleSet: state.ruleSet,
+      spawnPolicy: state.spawnPolicy,
+    }));
+  };
 
-      if (keyMap[event.key]) {
-        event.preventDefault();
-        handleMove(keyMap[event.key]);
-      }
-    };
+  // 每日挑战：当天第一次开始即用掉计分机会，之后只能练习同一局面
+  const startDailyChallenge = () => {
+    const today = getDailyKey();
 
-    document.addEventListener('keydown', handleKeyPress);
-    return () => document.removeEventListener('keydown', handleKeyPress);
-  }, [state.isAnimating, state.board]);
-
-  // Compute UI transitions for sliding animation
-  const computeTransitionsUIOnly = (prevBoard, nextBoard, direction) => {
-    const moves = [];
-    const N = 4;
-
-    const processLine = (cells, isRow, fixedIndex) => {
-      const nonEmpty = cells.filter(x => x.v != null);
-      const targets = [];
-      let i = 0;
-      while (i < nonEmpty.length) {
-        if (i + 1 < nonEmpty.length && nonEmpty[i].v === nonEmpty[i+1].v) {
-          targets.push({v: nonEmpty[i].v * 2, froms: [nonEmpty[i], nonEmpty[i+1]]});
-          i += 2;
-        } else {
-          targets.push({v: nonEmpty[i].v, froms: [nonEmpty[i]]});
-          i += 1;
-        }
-      }
-      
-      targets.forEach((t, idx) => {
-        let destIndex = idx;
-        // For right and down movements, reverse the destination index
-        if ((isRow && direction === 'right') || (!isRow && direction === 'down')) {
-          destIndex = N - 1 - idx;
-        }
-        
-        t.froms.forEach(src => {
-          moves.push({
-            from: { r: src.r, c: src.c },
-            to: isRow
-              ? { r: fixedIndex, c: destIndex }
-              : { r: destIndex,  c: fixedIndex },
-            value: src.v
-          });
-        });
+    if (!hasPlayedDaily(state.daily, today)) {
+      const dailyGame = createDailyGame(today);
+      dispatch({
+        type: 'RECORD_DAILY_RESULT',
+        payload: {
+          dateKey: today,
+          result: { gameId: dailyGame.gameData.id, score: 0, highestTile: 0, won: false, finished: false },
+        },
       });
-    };
-
-    if (direction === 'left' || direction === 'right') {
-      for (let r = 0; r < N; r++) {
-        let line = [];
-        for (let c = 0; c < N; c++) {
-          const cc = (direction === 'left') ? c : (N - 1 - c);
-          line.push({ v: prevBoard[r][cc], r, c: cc });
-        }
-        processLine(line, true, r);
-      }
-    } else {
-      for (let c = 0; c < N; c++) {
-        let line = [];
-        for (let r = 0; r < N; r++) {
-          const rr = (direction === 'up') ? r : (N - 1 - r);
-          line.push({ v: prevBoard[rr][c], r: rr, c });
-        }
-        processLine(line, false, c);
-      }
+      beginGame(dailyGame);
+      return;
     }
-    return moves;
-  };
-
-  // 计算合并目标位置
-  const computeMergeTargets = (prevBoard, direction) => {
-    const N = 4;
-    const mergeTargets = [];
-
-    const processLine = (cells, isRow, fixedIndex) => {
-      const nonEmpty = cells.filter(x => x.v != null);
-      let i = 0, dest = 0;
-      while (i < nonEmpty.length) {
-        if (i + 1 < nonEmpty.length && nonEmpty[i].v === nonEmpty[i + 1].v) {
-          // 合并发生，计算目标位置
-          let targetPos;
-          if (isRow) {
-            targetPos = direction === 'left' 
-              ? { r: fixedIndex, c: dest }
-              : { r: fixedIndex, c: N - 1 - dest };
-          } else {
-            targetPos = direction === 'up'
-              ? { r: dest, c: fixedIndex }
-              : { r: N - 1 - dest, c: fixedIndex };
-          }
-          mergeTargets.push(targetPos);
-          dest += 1;
-          i += 2;
-        } else {
-          dest += 1;
-          i += 1;
-        }
-      }
-    };
 
-    if (direction === 'left' || direction === 'right') {
-      for (let r = 0; r < N; r++) {
-        const line = [];
-        for (let c = 0; c < N; c++) {
-          const cc = direction === 'left' ? c : (N - 1 - c);
-          line.push({ v: prevBoard[r][cc], r, c: cc });
-        }
-        processLine(line, true, r);
-      }
-    } else {
-      for (let c = 0; c < N; c++) {
-        const line = [];
-        for (let r = 0; r < N; r++) {
-          const rr = direction === 'up' ? r : (N - 1 - r);
-          line.push({ v: prevBoard[rr][c], r: rr, c });
-        }
-        processLine(line, false, c);
-      }
-    }
-    return mergeTargets;
+    const todayResult = state.daily.results[today];
+    Alert.alert(
+      '📅 Daily Challenge',
+      `You've already used today's scored attempt${todayResult.finished || todayResult.abandoned ? ` (score ${todayResult.score})` : ''}.\n\nPractice the same board? Practice games don't count toward your daily results.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Practice', onPress: () => beginGame(createDailyGame(today, { scored: false })) },
+      ]
+    );
   };
 
-
-  const startNewGame = () => {
-    const newBoard = initializeBoard();
-    const gameData = {
-      id: Date.now().toString(),
-      startedAt: new Date().toISOString(),
-      moves: 0,
-    };
-
+  const beginGame = ({ board: newBoard, gameData }) => {
     dispatch({ type: 'NEW_GAME', payload: { board: newBoard, gameData } });
     setGameStartTime(Date.now());
     setMoveCount(0);
-    
-    // 清空稳定方块标记，因为这是新游戏
-    stableTilesRef.current.clear();
 
-    // Animate new tiles
-    animateNewTiles(createEmptyBoard(), newBoard);
+    // 上一局排队的滑动和未弹出的对话框作废；开局瓦片全部播放出现动画
+    pendingMovesRef.current = [];
+    skipAnimationsRef.current = false;
+    pendingOutcomeRef.current = null;
+    pendingCuesRef.current = [];
+    pendingHapticRef.current = null;
+    const tileIds = createTileIds(newBoard);
+    setMoveLayer({ board: newBoard, tileIds, tiles: createTileLayer(newBoard, tileIds, 'spawn') });
   };
 
-  const createEmptyBoard = () => {
-    return Array(4).fill(null).map(() => Array(4).fill(null));
+  // 滑动结束：回到空闲状态，弹出本步的胜负对话框（由 UI 线程的滑动计时回调）
+  const finishSlide = () => {
+    setAnimationPhase('idle');
+    dispatch({ type: 'SET_ANIMATING', payload: false });
+    pendingCuesRef.current.forEach(([cue, value]) => playSound(cue, state, value));
+    pendingCuesRef.current = [];
+    if (pendingHapticRef.current) {
+      const [event, value] = pendingHapticRef.current;
+      triggerHaptic(event, state, value);
+      pendingHapticRef.current = null;
+    }
+    const showOutcome = pendingOutcomeRef.current;
+    pendingOutcomeRef.current = null;
+    showOutcome?.();
   };
 
-  const handleMove = useCallback(async (direction) => {
-    if (state.gameState !== 'playing' || animationPhase !== 'idle') return;
+  // 最新的 finishSlide，供排队的滑动立即结束当前滑动时调用
+  const finishSlideRef = useRef(finishSlide);
+  useEffect(() => {
+    finishSlideRef.current = finishSlide;
+  });
+
+  // 执行一步：引擎结果立即提交（棋盘、出块、录像、步数），动画由渲染层在 UI 线程上播放
+  // 返回是否为有效移动
+  const handleMove = useCallback((direction) => {
+    if (state.gameState !== 'playing' || animationPhase !== 'idle') return false;
 
     const prev = state.board;
-    const result = move(state.board, direction);
-    
+    const result = move(prev, direction, ruleSet, tileLayer.tileIds);
+
     if (!result.isValidMove) {
-      // Invalid move - shake animation and haptic
-      if (state.hapticsOn && Platform.OS !== 'web') {
-        if (Haptics) {
-          Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
-        }
-      }
+      // Invalid move - shake animation, sound and haptic
+      playSound('invalid', state);
+      triggerHaptic('invalid', state);
       
       // Shake animation
-      Animated.sequence([
-        Animated.timing(animatedValues.current.board, { 
-          toValue: 10, 
-          duration: 50, 
-          useNativeDriver: true 
-        }),
-        Animated.timing(animatedValues.current.board, { 
-          toValue: -10, 
-          duration: 50, 
-          useNativeDriver: true 
-        }),
-        Animated.timing(animatedValues.current.board, { 
-          toValue: 0, 
-          duration: 50, 
-          useNativeDriver: true 
-        }),
-      ]).start();
+      boardShake.value = withSequence(
+        withTiming(10, { duration: 50 }),
+        withTiming(-10, { duration: 50 }),
+        withTiming(0, { duration: 50 }),
+      );
       
-      return;
+      return false;
     }
 
-    // 1. 准备幽灵瓦片和合并数据
-    const transitions = computeTransitionsUIOnly(prev, result.board, direction)
-      .filter(t => !(t.from.r === t.to.r && t.from.c === t.to.c));
-    
-    const mergeTargets = computeMergeTargets(prev, direction);
-    
-    // 2. 设置动画状态
-    setAnimationPhase('animating');
-    dispatch({ type: 'SET_ANIMATING', payload: true });
-    
-    // 3. 隐藏将要移动的真实瓦片（只用 opacity）
-    const movingPositions = new Set(transitions.map(t => `${t.from.r}-${t.from.c}`));
-    for (const posKey of movingPositions) {
-      const anim = animatedValues.current[posKey];
-      if (anim) {
-        anim.opacity.setValue(0);
-      }
-    }
-    
-    ghostTilesRef.current = transitions.map(t => ({
-      key: `${t.from.r}-${t.from.c}`,
-      value: prev[t.from.r][t.from.c],
-      from: t.from,
-      to: t.to,
-      anim: new Animated.ValueXY({ x: toX(t.from.c), y: toY(t.from.r) }),
-      scale: new Animated.Value(1),
-    }));
+    // 记录移动前的快照，供撤销使用
+    dispatch({
+      type: 'PUSH_UNDO',
+      payload: {
+        board: prev,
+        score: state.score,
+        rngState: state.currentGame?.rngState,
+        hasWon: state.hasWon,
+      },
+    });
 
-    // 4. 更新分数（但不提交棋盘）
+    // 1. 生成新瓦片并一次性提交棋盘；渲染层与新棋盘成对保存
+    const boardWithoutNewTile = result.board;
+    const rng = createRng(state.currentGame?.rngState ?? createSeed());
+    const boardWithNewTile = spawnTiles(boardWithoutNewTile, rng.next, { ruleSet, spawnPolicy });
+    const spawns = findSpawnedTiles(boardWithoutNewTile, boardWithNewTile);
+    const tileIds = assignTileIds(boardWithNewTile, result.tileIds);
+    const durationScale = skipAnimationsRef.current ? 0 : 1;
+    setMoveLayer({ board: boardWithNewTile, tileIds, tiles: getMoveTileLayer(result, boardWithNewTile, tileIds), durationScale });
+    dispatch({ type: 'SET_BOARD', payload: boardWithNewTile });
+    dispatch({ type: 'SET_RNG_STATE', payload: rng.getState() });
+
+    // 滑动音效和震动立即触发；合并音效按本步最大的合并结果升调，和出块音效一起在滑动结束时播放
+    // 合并震动按合并结果加强，合并出本局新的最大瓦片时换成单独的节奏
+    playSound('slide', state);
+    triggerHaptic('slide', state);
+    const mergedValues = result.merges.filter(merge => !merge.exploded).map(merge => merge.value);
+    const maxMerged = mergedValues.length > 0 ? Math.max(...mergedValues) : 0;
+    pendingCuesRef.current = [
+      ...(maxMerged > 0 ? [['merge', maxMerged]] : []),
+      ...(spawns.length > 0 ? [['spawn']] : []),
+    ];
+    pendingHapticRef.current = maxMerged > 0
+      ? [maxMerged > getHighestTile(prev) ? 'maxTile' : 'merge', maxMerged]
+      : null;
+
+    // 2. 更新分数
     const newScore = state.score + result.score;
     dispatch({ type: 'UPDATE_SCORE', payload: newScore });
     
-    // 如果新分数超过最佳分数，立即保存
-    if (newScore > state.bestScore) {
+    // 如果新分数超过最佳分数，立即保存（限时等模式的最佳分数由 GameContext 单独保存）
+    if (!modeKey && !state.currentGame?.autoplayed && newScore > state.bestScore) {
       saveGameData({ maxScore: newScore });
     }
 
-    // 检查并更新最高瓦片值
-    // const currentHighestTile = getHighestTile(boardWithNewTile);
-    // if (currentHighestTile > state.maxLevel) {
-    //   dispatch({ type: 'UPDATE_STATS', payload: { maxLevel: currentHighestTile } });
-    // }
+    // 3. 记录本步录像：方向、新瓦片、得分增量、时间戳
+    const moveLog = state.currentGame?.moveLog && appendMove(state.currentGame.moveLog, {
+      direction,
+      spawns,
+      scoreDelta: result.score,
+      elapsedMs: gameStartTime ? Date.now() - gameStartTime : 0,
+    });
+    if (moveLog) {
+      dispatch({ type: 'RECORD_MOVE', payload: moveLog });
+    }
+    setMoveCount(prev => prev + 1);
 
-    // 5. 统一时间线动画
-    masterTimeline.current.setValue(0);
-    
-    const slideAnims = ghostTilesRef.current.map(g => 
-      Animated.timing(g.anim, {
-        toValue: { x: toX(g.to.c), y: toY(g.to.r) },
-        duration: 200,
-        useNativeDriver: true,
-      })
-    );
-    
-    // 合并位置的幽灵瓦片做放大回弹
-    const mergeAnims = ghostTilesRef.current
-      .filter(g => mergeTargets.some(mt => mt.r === g.to.r && mt.c === g.to.c))
-      .map(g => 
-        Animated.sequence([
-          Animated.delay(120), // 滑动完成后开始
-          Animated.timing(g.scale, {
-            toValue: 1.2,
-            duration: 60,
-            useNativeDriver: true,
-          }),
-          Animated.timing(g.scale, {
-            toValue: 1,
-            duration: 60,
-            useNativeDriver: true,
-          }),
-        ])
-      );
+    // 4. 滑动期间为动画状态，滑动计时在 UI 线程上结束后回到空闲（跳过动画时下一帧即结束）
+    setAnimationPhase('animating');
+    dispatch({ type: 'SET_ANIMATING', payload: true });
+    slideClock.value = 0;
+    slideClock.value = withTiming(1, { duration: SLIDE_DURATION * durationScale }, (finished) => {
+      if (finished) runOnJS(finishSlide)();
+    });
 
-    // 6. 执行所有动画
-    Animated.parallel([
-      ...slideAnims,
-      ...mergeAnims,
-    ]).start(async () => {
-      // 7. 动画完成后直接生成新瓦片并一次性提交棋盘，避免中间状态闪烁
-      const boardWithoutNewTile = result.board;
-      const boardWithNewTile = addRandomTile(boardWithoutNewTile);
-      dispatch({ type: 'SET_BOARD', payload: boardWithNewTile });
-      animateNewTiles(boardWithoutNewTile, boardWithNewTile);
-
-      // 在下一帧清理幽灵瓦片并恢复可见性，避免提交新棋盘与清理不同步导致的闪回
-      requestAnimationFrame(() => {
-        ghostTilesRef.current = [];
-        for (let row = 0; row < 4; row++) {
-          for (let col = 0; col < 4; col++) {
-            const key = `${row}-${col}`;
-            const anim = animatedValues.current[key];
-            if (anim) {
-              anim.opacity.setValue(1);
-              anim.scale.setValue(1);
-            }
-            // 标记所有已存在的方块为稳定，防止在后续渲染中被误认为新方块
-            if (boardWithNewTile[row][col] !== null) {
-              stableTilesRef.current.add(key);
-            }
-          }
+    // 5. 胜负判定：对局状态立即更新（排队的滑动随之作废），对话框在滑动结束后弹出
+    const movesUsed = moveCount + 1;
+    if (moveLimit && movesUsed >= moveLimit) {
+      // 限步模式步数用完：无论是否达到目标都结束本局
+      dispatch({ type: 'SET_GAME_STATE', payload: 'lost' });
+      const gameWon = state.hasWon || checkWin(boardWithNewTile, winTarget);
+      pendingCuesRef.current.push(['gameover']);
+      pendingHapticRef.current = ['gameover'];
+      pendingOutcomeRef.current = () => endGame(boardWithNewTile, newScore, gameWon, { moveLog, moves: movesUsed, result: 'out_of_moves' })
+        .then(() => showOutOfMovesModal(boardWithNewTile, newScore));
+    } else if (checkWin(boardWithNewTile, winTarget) && state.gameState === 'playing' && !state.hasWon) {
+      dispatch({ type: 'SET_GAME_STATE', payload: 'won' });
+      dispatch({ type: 'SET_HAS_WON', payload: true });
+      
+      // 记录达到目标的时间（Fastest Win），每个目标各自保存；2048 同时更新 maxTime
+      // 其他规则集、其他出块难度的用时与经典对局不可比，不计入
+      const winTime = gameStartTime ? Math.floor((Date.now() - gameStartTime) / 1000) : 0;
+      if (winTime > 0 && ruleSet === DEFAULT_RULE_SET && spawnPolicy === DEFAULT_SPAWN_POLICY && !state.currentGame?.autoplayed) {
+        dispatch({
+          type: 'UPDATE_STATS',
+          payload: {
+            fastestWin: { target: winTarget, seconds: winTime },
+            ...(winTarget === DEFAULT_WIN_TARGET && { maxTime: winTime }),
+          },
+        });
+      }
+      
+      pendingCuesRef.current.push(['win']);
+      pendingHapticRef.current = ['win'];
+      pendingOutcomeRef.current = showWinModal;
+    } else if (checkGameOver(boardWithNewTile, ruleSet)) {
+      dispatch({ type: 'SET_GAME_STATE', payload: 'lost' });
+      // 如果玩家已经达到过目标，即使游戏结束也记录为成功
+      const gameWon = state.hasWon;
+      pendingCuesRef.current.push(['gameover']);
+      pendingHapticRef.current = ['gameover'];
+      pendingOutcomeRef.current = () => endGame(boardWithNewTile, newScore, gameWon, { moveLog, moves: movesUsed }).then(() => {
+        if (gameWon) {
+          showVictoryEndModal();
+        } else {
+          showLoseModal();
         }
+      });
+    }
+    return true;
+  }, [animationPhase, state.gameState, state.board, state.score, dispatch, saveGameData, state.hapticsOn, state.hapticIntensity, state.soundOn, state.volume, state.currentGame, state.maxLevel, state.maxScore, state.maxTime, state.gameHistory, moveCount, gameStartTime, tileLayer, winTarget, modeKey, moveLimit, ruleSet, spawnPolicy]);
 
-        // 10. 重置动画状态
-        setAnimationPhase('idle');
-        dispatch({ type: 'SET_ANIMATING', payload: false });
-
-        setMoveCount(prev => prev + 1);
-
-        // 11. 胜负判定和触觉反馈
-        if (checkWin(boardWithNewTile) && state.gameState === 'playing' && !state.hasWon) {
-          dispatch({ type: 'SET_GAME_STATE', payload: 'won' });
-          dispatch({ type: 'SET_HAS_WON', payload: true });
-          
-          // 记录达到2048的时间（Fastest Win）
-          const winTime = gameStartTime ? Math.floor((Date.now() - gameStartTime) / 1000) : 0;
-          if (winTime > 0 && (state.maxTime === 0 || winTime < state.maxTime)) {
-            dispatch({ type: 'UPDATE_STATS', payload: { maxTime: winTime } });
-          }
-          
-          showWinModal();
-        } else if (checkGameOver(boardWithNewTile)) {
-          dispatch({ type: 'SET_GAME_STATE', payload: 'lost' });
-          // 如果玩家已经达到过2048，即使游戏结束也记录为成功
-          const gameWon = state.hasWon;
-          endGame(boardWithNewTile, newScore, gameWon).then(() => {
-            if (gameWon) {
-              showVictoryEndModal();
-            } else {
-              showLoseModal();
-            }
-          });
-        }
+  // 空闲时直接执行；动画期间按缓冲方式排队或丢弃，即时模式排满时立即结束当前滑动
+  const requestMove = useCallback((direction) => {
+    if (animationPhase === 'idle') {
+      handleMove(direction);
+      return;
+    }
+    const { queue, skipAnimations } = enqueueMove(pendingMovesRef.current, direction, state.inputMode);
+    pendingMovesRef.current = queue;
+    if (skipAnimations) {
+      skipAnimationsRef.current = true;
+      cancelAnimation(slideClock);
+      finishSlideRef.current();
+    }
+  }, [animationPhase, handleMove, state.inputMode, slideClock]);
 
-        if (state.hapticsOn && Platform.OS !== 'web') {
-          if (Haptics) {
-            Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
-          }
+  // 回到空闲后执行排队的滑动（无效的方向直接跳过）；队列执行完或对局结束时恢复动画
+  useEffect(() => {
+    if (animationPhase !== 'idle') return;
+    if (pendingMovesRef.current.length === 0 || state.gameState !== 'playing') {
+      pendingMovesRef.current = [];
+      skipAnimationsRef.current = false;
+      return;
+    }
+    while (pendingMovesRef.current.length > 0) {
+      if (handleMove(pendingMovesRef.current.shift())) break;
+    }
+  }, [animationPhase, state.gameState, handleMove]);
+
+  // Keyboard controls for web（谜题等页面在上层时不响应）
+  useEffect(() => {
+    if (Platform.OS !== 'web' || !isFocused) return;
+
+    const handleKeyPress = (event) => {
+      const keyMap = {
+        ArrowLeft: 'left',
+        ArrowRight: 'right',
+        ArrowUp: 'up',
+        ArrowDown: 'down',
+      };
+
+      if (keyMap[event.key]) {
+        event.preventDefault();
+        if (isAutoplay) {
+          setIsAutoplay(false);
+          return;
         }
-      });
-    });
-  }, [animationPhase, state.gameState, state.board, state.score, dispatch, saveGameData, state.hapticsOn, state.currentGame, state.maxLevel, state.maxScore, state.maxTime, state.gameHistory, moveCount, gameStartTime]);
+        requestMove(keyMap[event.key]);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyPress);
+    return () => document.removeEventListener('keydown', handleKeyPress);
+  }, [requestMove, isAutoplay, isFocused]);
+
+  const undosRemaining = getUndosRemaining(state.currentGame);
+  const canUndo = state.gameState === 'playing'
+    && animationPhase === 'idle'
+    && state.undoStack.length > 0
+    && undosRemaining > 0;
+
+  const handleUndo = useCallback(() => {
+    if (!canUndo) return;
+
+    // 撤销是整盘替换：渲染层随棋盘对象重建，瓦片直接显示，不播放动画
+    dispatch({ type: 'UNDO' });
+    setMoveCount(prev => Math.max(prev - 1, 0));
+    triggerHaptic('undo', state);
+  }, [canUndo, state.undoStack, state.hapticsOn, state.hapticIntensity, dispatch]);
+
+  const canHint = state.gameState === 'playing' && animationPhase === 'idle' && !isThinking && !isAutoplay;
+
+  // 求解器在时间预算内给出建议方向，用箭头在棋盘上短暂提示
+  const handleHint = useCallback(async () => {
+    if (!canHint) return;
+
+    const board = state.board;
+    setIsThinking(true);
+    const best = await getBestMove(board, { ruleSet, spawnPolicy });
+    setIsThinking(false);
+
+    // 计算期间玩家已经移动或对局结束：丢弃结果
+    if (!best || latestStateRef.current.board !== board) return;
+
+    dispatch({ type: 'USE_HINT' });
+    setHintDirection(best.direction);
+    hintOpacity.value = 0;
+    hintOpacity.value = withSequence(
+      withTiming(1, { duration: 150 }),
+      withDelay(HINT_VISIBLE_MS, withTiming(0, { duration: 300 }, (finished) => {
+        if (finished) runOnJS(setHintDirection)(null);
+      })),
+    );
+  }, [canHint, state.board, dispatch, hintOpacity, ruleSet, spawnPolicy]);
+
+  // 最新的 handleMove，供自动演示在异步求解完成后调用
+  const handleMoveRef = useRef(handleMove);
+  useEffect(() => {
+    handleMoveRef.current = handleMove;
+  }, [handleMove]);
+
+  // 对局结束（或达成目标弹出胜利对话框）时停止自动演示
+  useEffect(() => {
+    if (state.gameState !== 'playing') setIsAutoplay(false);
+  }, [state.gameState]);
+
+  // 自动演示：每次回到空闲状态后，停顿片刻再向求解器要下一步
+  useEffect(() => {
+    if (!isAutoplay || animationPhase !== 'idle' || state.gameState !== 'playing') return;
+
+    let cancelled = false;
+    const board = state.board;
+    const timer = setTimeout(async () => {
+      const best = await getBestMove(board, { ruleSet, spawnPolicy });
+      if (cancelled || !best || latestStateRef.current.board !== board) return;
+      handleMoveRef.current(best.direction);
+    }, AUTOPLAY_SPEEDS[autoplaySpeed].delayMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isAutoplay, autoplaySpeed, animationPhase, state.gameState, state.board, ruleSet, spawnPolicy]);
+
+  const toggleAutoplay = () => {
+    if (!isAutoplay && state.gameState !== 'playing') return;
+    // 开始自动演示后，本局不再计入历史记录和最佳成绩
+    if (!isAutoplay) dispatch({ type: 'MARK_AUTOPLAYED' });
+    setIsAutoplay(prev => !prev);
+  };
+
+  const cycleAutoplaySpeed = () => {
+    setAutoplaySpeed(prev => (prev + 1) % AUTOPLAY_SPEEDS.length);
+  };
+
+  // 进入谜题模式前停止自动演示，当前对局保留在首页
+  const openPuzzles = () => {
+    setIsAutoplay(false);
+    router.push('/levels');
+  };
 
   // 用 useMemo 重建 PanResponder，避免旧值问题
+  // 动画期间照常接管手势，滑动交给 requestMove 排队
   const panResponder = useMemo(() => {
-    const isAnimating = () => animationPhase !== 'idle';
-    
     return PanResponder.create({
-    // 尝试尽早接管（动画时不接管）
-    onStartShouldSetPanResponder: () => !isAnimating(),
+    // 尝试尽早接管（自动演示时用于点击停止）
+    onStartShouldSetPanResponder: () => true,
     onMoveShouldSetPanResponder: (_evt, g) => {
-      if (isAnimating()) return false;
       const { dx, dy } = g;
       const THRESHOLD = 20; // 统一阈值
       return Math.abs(dx) > THRESHOLD || Math.abs(dy) > THRESHOLD;
     },
     // 有子元素（按钮/文字）时，capture 有助于父级接管
-    onStartShouldSetPanResponderCapture: () => !isAnimating(),
+    onStartShouldSetPanResponderCapture: () => true,
+    onPanResponderGrant: () => {
+      if (isAutoplay) {
+        autoplayStopGestureRef.current = true;
+        setIsAutoplay(false);
+      }
+    },
     onMoveShouldSetPanResponderCapture: (_evt, g) => {
-      if (isAnimating()) return false;
       const { dx, dy } = g;
       const THRESHOLD = 20;
       return Math.abs(dx) > THRESHOLD || Math.abs(dy) > THRESHOLD;
     },
     onPanResponderRelease: (_evt, g) => {
-      if (isAnimating()) return;
+      if (autoplayStopGestureRef.current) {
+        autoplayStopGestureRef.current = false;
+        return;
+      }
       const { dx, dy } = g;
       const THRESHOLD = 20;
 
@@ -583,62 +684,23 @@ export default function HomeScreen() {
         ? (dx > 0 ? 'right' : 'left')
         : (dy > 0 ? 'down' : 'up');
 
-      handleMove(dir);
+      requestMove(dir);
     },
     onShouldBlockNativeResponder: () => true,
   });
-  }, [handleMove, animationPhase]);
+  }, [requestMove, isAutoplay]);
 
-  const animateNewTiles = (prevBoard, nextBoard) => {
-    // 如果正在从后台恢复，不触发新方块动画
-    // 这防止了在应用恢复时错误地将已存在的方块识别为新方块
-    if (isRestoringRef.current) {
-      return;
-    }
-    
-    // Find new tiles and animate them
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
-        if (nextBoard[row][col] && !prevBoard[row][col]) {
-          const key = `${row}-${col}`;
-          
-          // 如果这个位置已经被标记为稳定方块，跳过动画
-          // 这防止了在状态恢复时错误触发动画
-          if (stableTilesRef.current.has(key)) {
-            continue;
-          }
-          
-          const anim = animatedValues.current[key];
-          
-          if (anim) {
-            anim.scale.setValue(0.6); // 从0.6开始，更自然
-            anim.opacity.setValue(0);
-            
-            Animated.parallel([
-              Animated.spring(anim.scale, {
-                toValue: 1,
-                tension: 300,
-                friction: 8,
-                useNativeDriver: true,
-              }),
-              Animated.timing(anim.opacity, {
-                toValue: 1,
-                duration: 150,
-                useNativeDriver: true,
-              }),
-            ]).start(() => {
-              // 动画完成后，标记为稳定方块
-              stableTilesRef.current.add(key);
-            });
-          }
-        }
-      }
-    }
-  };
-
-  const endGame = async (finalBoard, finalScore, won) => {
+  // moveLog 默认取最新状态中的录像；最后一步刚提交时由调用方直接传入
+  // moves 默认取当前步数；最后一步刚提交、步数还未更新时由调用方传入
+  // result 为结束原因：'won' | 'lost' | 'time_up' | 'out_of_moves'
+  const endGame = async (finalBoard, finalScore, won, {
+    moveLog = latestStateRef.current.currentGame?.moveLog,
+    moves = moveCount,
+    result = won ? 'won' : 'lost',
+  } = {}) => {
     const endTime = Date.now();
-    const duration = gameStartTime ? Math.floor((endTime - gameStartTime) / 1000) : 0;
+    const elapsed = gameStartTime ? Math.floor((endTime - gameStartTime) / 1000) : 0;
+    const duration = timeLimitSec ? Math.min(elapsed, timeLimitSec) : elapsed;
     const highestTile = getHighestTile(finalBoard);
 
     const gameResult = {
@@ -648,15 +710,45 @@ export default function HomeScreen() {
       durationSec: duration,
       finalScore,
       highestTile,
-      moves: moveCount,
+      moves,
       won,
+      result,
+      mode: getGameMode(state.currentGame),
+      timeLimitSec,
+      moveLimit,
+      dailyKey: state.currentGame?.dailyKey,
+      boardSize: finalBoard.length,
+      seed: state.currentGame?.seed,
+      undoLimit: state.currentGame?.undoLimit ?? 0,
+      winTarget,
+      ruleSet,
+      spawnPolicy,
+      undosUsed: state.currentGame?.undosUsed || 0,
+      hintsUsed: state.currentGame?.hintsUsed || 0,
+      moveLog,
     };
 
+    // 计分的每日挑战：用最终结果替换开局时的占位记录
+    if (state.currentGame?.dailyKey && state.currentGame.dailyScored) {
+      dispatch({
+        type: 'RECORD_DAILY_RESULT',
+        payload: {
+          dateKey: state.currentGame.dailyKey,
+          result: { gameId: gameResult.id, score: finalScore, highestTile, won, finished: true },
+        },
+      });
+    }
+
+    // 自动演示（展示、无人值守）的对局不写入历史记录和统计
+    if (state.currentGame?.autoplayed) return;
+
     // Update statistics
     const stats = {
-      maxLevel: Math.max(state.maxLevel, highestTile),
-      maxScore: Math.max(state.maxScore, finalScore),
-      // maxTime 已经在达到2048时记录，这里不需要再次计算
+      // 最大瓦片只统计经典规则（其他规则集的数值不可比）
+      maxLevel: ruleSet === DEFAULT_RULE_SET ? Math.max(state.maxLevel, highestTile) : state.maxLevel,
+      // 限时等模式的分数只计入该模式自己的最佳
+      maxScore: modeKey ? state.maxScore : Math.max(state.maxScore, finalScore),
+      // maxTime 已经在达到目标时记录，这里不需要再次计算
       maxTime: state.maxTime,
     };
 
@@ -666,14 +758,14 @@ export default function HomeScreen() {
     // Save to storage
     await saveGameData({
       ...stats,
-      gameHistory: [gameResult, ...state.gameHistory].slice(0, 50),
+      gameHistory: trimHistoryLogs([gameResult, ...state.gameHistory].slice(0, 50)),
     });
   };
 
   const showWinModal = () => {
     Alert.alert(
       '🎉 You Won!',
-      'Congratulations! You reached 2048!\n\nWould you like to continue playing or start a new game?',
+      `Congratulations! You reached ${winTarget}!\n\nWould you like to continue playing or start a new game?`,
       [
         {
           text: 'Continue',
@@ -691,10 +783,33 @@ export default function HomeScreen() {
     );
   };
 
-  const showVictoryEndModal = () => {
+  // 限时模式倒计时：仅在进行中的对局里刷新
+  useEffect(() => {
+    if (!timeLimitSec || state.gameState !== 'playing') return;
+    setClockNow(Date.now());
+    const timer = setInterval(() => setClockNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, [timeLimitSec, state.gameState, state.currentGame?.id]);
+
+  const timeLeftMs = timeLimitSec && gameStartTime
+    ? Math.min(Math.max(timeLimitSec * 1000 - (clockNow - gameStartTime), 0), timeLimitSec * 1000)
+    : null;
+
+  // 时间用完：等当前动画结束后结束对局（后台期间不判定，回到前台后计时起点会先被平移）
+  useEffect(() => {
+    if (timeLeftMs !== 0 || state.gameState !== 'playing' || animationPhase !== 'idle') return;
+    if (AppState.currentState !== 'active') return;
+
+    dispatch({ type: 'SET_GAME_STATE', payload: 'lost' });
+    playSound('gameover', state);
+    triggerHaptic('gameover', state);
+    endGame(state.board, state.score, state.hasWon, { result: 'time_up' }).then(showTimeUpModal);
+  }, [timeLeftMs, state.gameState, animationPhase]);
+
+  const showTimeUpModal = () => {
     Alert.alert(
-      '🏆 Victory Complete!',
-      `Congratulations! You achieved 2048 and played until the end!\n\nFinal Score: ${state.score}\nHighest Tile: ${getHighestTile(state.board)}\n\nThis game is recorded as a victory!`,
+      '⏰ Time\'s Up!',
+      `Final Score: ${state.score}\nHighest Tile: ${getHighestTile(state.board)}\n\nBlitz best (${timeLimitSec / 60} min): ${Math.max(displayedBest, state.score)}`,
       [
         {
           text: 'New Game',
@@ -708,10 +823,11 @@ export default function HomeScreen() {
     );
   };
 
-  const showLoseModal = () => {
+  // 棋盘和分数由调用方传入：最后一步刚提交，state 还是上一步的
+  const showOutOfMovesModal = (finalBoard, finalScore) => {
     Alert.alert(
-      '😞 Game Over',
-      `Final Score: ${state.score}\nHighest Tile: ${getHighestTile(state.board)}\n\nBetter luck next time!`,
+      '🎯 Out of Moves!',
+      `Final Score: ${finalScore}\nHighest Tile: ${getHighestTile(finalBoard)}\n\nPar ${moveLimit} best: ${Math.max(displayedBest, finalScore)}`,
       [
         {
           text: 'New Game',
@@ -725,42 +841,38 @@ export default function HomeScreen() {
     );
   };
 
-  const getTileStyle = (value) => {
-    // 2048 color scheme
-    const tileColors = {
-      2: { backgroundColor: '#EEE4DA', color: '#776e65' },
-      4: { backgroundColor: '#EDE0C8', color: '#776e65' },
-      8: { backgroundColor: '#F2B179', color: '#f9f6f2' },
-      16: { backgroundColor: '#F59563', color: '#f9f6f2' },
-      32: { backgroundColor: '#F67C5F', color: '#f9f6f2' },
-      64: { backgroundColor: '#F65E3B', color: '#f9f6f2' },
-      128: { backgroundColor: '#EDCF72', color: '#f9f6f2', fontSize: 45 },
-      256: { backgroundColor: '#EDCC61', color: '#f9f6f2', fontSize: 45 },
-      512: { backgroundColor: '#EDC850', color: '#f9f6f2', fontSize: 45 },
-      1024: { backgroundColor: '#EDC53F', color: '#f9f6f2', fontSize: 35 },
-      2048: { backgroundColor: '#EDC22E', color: '#f9f6f2', fontSize: 35 },
-      4096: { backgroundColor: '#E6B91B', color: '#f9f6f2', fontSize: 30 },
-      8192: { backgroundColor: '#DFA100', color: '#f9f6f2', fontSize: 30 },
-      16384: { backgroundColor: '#D08300', color: '#f9f6f2', fontSize: 30 },
-      32768: { backgroundColor: '#B56400', color: '#f9f6f2', fontSize: 30 },
-      65536: { backgroundColor: '#984B00', color: '#f9f6f2', fontSize: 30 },
-      131072: { backgroundColor: '#7B3A00', color: '#f9f6f2', fontSize: 30 },
-    };
-
-    const tileClass = tileColors[value] || { 
-      backgroundColor: '#7B3A00', 
-      color: '#f9f6f2', 
-      fontSize: 30 
-    };
-    
-    return tileClass;
+  const showVictoryEndModal = () => {
+    Alert.alert(
+      '🏆 Victory Complete!',
+      `Congratulations! You achieved ${winTarget} and played until the end!\n\nFinal Score: ${state.score}\nHighest Tile: ${getHighestTile(state.board)}\n\nThis game is recorded as a victory!`,
+      [
+        {
+          text: 'New Game',
+          onPress: startNewGame,
+        },
+        {
+          text: 'View History',
+          onPress: () => router.push('/history'),
+        },
+      ]
+    );
   };
 
-  const getTileFontSize = (value) => {
-    if (value < 100) return 55;
-    if (value < 1000) return 45;
-    if (value < 10000) return 35;
-    return 30;
+  const showLoseModal = () => {
+    Alert.alert(
+      winTarget === ENDLESS_TARGET ? '🏁 Run Complete' : '😞 Game Over',
+      `Final Score: ${state.score}\nHighest Tile: ${getHighestTile(state.board)}\n\n${winTarget === ENDLESS_TARGET ? 'Nice run!' : 'Better luck next time!'}`,
+      [
+        {
+          text: 'New Game',
+          onPress: startNewGame,
+        },
+        {
+          text: 'View History',
+          onPress: () => router.push('/history'),
+        },
+      ]
+    );
   };
 
   // 根据数字位数动态计算score和best的字号
@@ -774,33 +886,55 @@ export default function HomeScreen() {
 
   if (state.isLoading) {
     return (
-      <View style={[styles.container, { paddingTop: insets.top }]}>
+      <View style={[styles.container, { paddingTop: insets.top, backgroundColor: colors.gameBackground }]}>
         <View style={styles.loadingContainer}>
-          <Text style={styles.loadingText}>Loading...</Text>
+          <Text style={[styles.loadingText, { color: colors.gameText }]}>Loading...</Text>
         </View>
       </View>
     );
   }
 
   return (
-    <View style={[styles.container, { paddingTop: insets.top }]}>
+    <View style={[styles.container, { paddingTop: insets.top, backgroundColor: colors.gameBackground }]}>
         {/* H5 适配：添加状态栏 */}
-        {Platform.OS !== 'web' && <StatusBar barStyle="dark-content" />}
+        {Platform.OS !== 'web' && <StatusBar barStyle={`${colors.statusBar}-content`} />}
         
         {/* Header */}
         <View style={styles.headerWrapper}>
           <View style={[styles.headerContent, { width: CONTENT_WIDTH }]}>
-            {/* 2048瓦片 */}
+            {/* 2048瓦片；限时模式下显示倒计时，限步模式下显示剩余步数 */}
             <View style={styles.titleTile}>
-              <Text style={styles.titleTileText}>2048</Text>
+              {timeLeftMs !== null ? (
+                <>
+                  <Text style={styles.counterLabel}>TIME</Text>
+                  <Text
+                    style={[styles.counterText, timeLeftMs <= CLOCK_WARNING_MS && styles.counterTextWarning]}
+                    numberOfLines={1}
+                  >
+                    {formatClock(timeLeftMs)}
+                  </Text>
+                </>
+              ) : movesLeft !== null ? (
+                <>
+                  <Text style={styles.counterLabel}>MOVES</Text>
+                  <Text
+                    style={[styles.counterText, movesLeft <= MOVES_WARNING && styles.counterTextWarning]}
+                    numberOfLines={1}
+                  >
+                    {movesLeft}
+                  </Text>
+                </>
+              ) : (
+                <Text style={styles.titleTileText}>2048</Text>
+              )}
             </View>
             
             {/* Score、Best和按钮容器 */}
             <View style={styles.headerRightContainer}>
               {/* Score和Best容器 */}
               <View style={styles.scoreContainer}>
-                <View style={styles.scoreBox}>
-                  <Text style={styles.scoreLabel}>SCORE</Text>
+                <View style={[styles.scoreBox, { backgroundColor: colors.board }]}>
+                  <Text style={[styles.scoreLabel, { color: colors.scoreLabel }]}>SCORE</Text>
                   <Text 
                     style={[styles.scoreValue, { fontSize: getScoreFontSize(state.score) }]}
                     numberOfLines={1}
@@ -810,21 +944,34 @@ export default function HomeScreen() {
                     {state.score}
                   </Text>
                 </View>
-                <View style={styles.scoreBox}>
-                  <Text style={styles.scoreLabel}>BEST</Text>
+                <View style={[styles.scoreBox, { backgroundColor: colors.board }]}>
+                  <Text style={[styles.scoreLabel, { color: colors.scoreLabel }]}>BEST</Text>
                   <Text 
-                    style={[styles.scoreValue, { fontSize: getScoreFontSize(state.bestScore) }]}
+                    style={[styles.scoreValue, { fontSize: getScoreFontSize(displayedBest) }]}
                     numberOfLines={1}
                     adjustsFontSizeToFit={true}
                     minimumFontScale={0.7}
                   >
-                    {state.bestScore}
+                    {displayedBest}
                   </Text>
                 </View>
               </View>
               
               {/* 按钮栏 */}
               <View style={styles.headerButtonsContainer}>
+                <View style={styles.undoColumn}>
+                  <TouchableOpacity
+                    style={[styles.undoButton, { backgroundColor: colors.gameButton }, !canUndo && styles.undoButtonDisabled]}
+                    onPress={handleUndo}
+                    disabled={!canUndo}
+                    accessibilityLabel="Undo"
+                  >
+                    <Ionicons name="arrow-undo" size={16} color="#ffffff" />
+                    {Number.isFinite(undosRemaining) && (
+                      <Text style={styles.undoCountText}>{undosRemaining}</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
                 <View style={styles.buttonColumn}>
                   <TouchableOpacity style={styles.historyButton} onPress={() => router.push('/history')}>
                     <Text style={styles.buttonText} numberOfLines={1} ellipsizeMode="tail">History</Text>
@@ -841,12 +988,61 @@ export default function HomeScreen() {
         </View>
 
       {/* Instructions */}
-      <View style={styles.instructionsContainer}>
-        <Text style={styles.instructionsText}>
-          Join the numbers and get to the 2048 tile!
+      <View style={[styles.instructionsContainer, { width: CONTENT_WIDTH }]}>
+        <Text style={[styles.instructionsText, { color: colors.gameText }]}>
+          {state.currentGame?.dailyKey
+            ? `Daily Challenge • ${state.currentGame.dailyKey}${state.currentGame.dailyScored ? '' : ' (practice)'}`
+            : winTarget === ENDLESS_TARGET
+              ? 'Endless mode: keep merging as long as you can!'
+              : `Join the numbers and get to the ${winTarget} tile!`}
+          {ruleSet !== DEFAULT_RULE_SET && ` ${getRuleSet(ruleSet).name} rules: ${getRuleSet(ruleSet).example}.`}
+          {spawnPolicy !== DEFAULT_SPAWN_POLICY && ` ${getSpawnPolicy(spawnPolicy).name}: ${getSpawnPolicy(spawnPolicy).description.toLowerCase()}.`}
         </Text>
       </View>
 
+      {/* Toolbar */}
+      <View style={[styles.toolbar, { width: CONTENT_WIDTH }]}>
+        <TouchableOpacity
+          style={[styles.hintButton, { backgroundColor: colors.gameButton }, styles.dailyButton]}
+          onPress={startDailyChallenge}
+          accessibilityLabel="Daily challenge"
+        >
+          <Ionicons name="calendar-outline" size={14} color="#ffffff" />
+          <Text style={styles.hintButtonText}>Daily</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.hintButton, { backgroundColor: colors.gameButton }, styles.puzzlesButton]}
+          onPress={openPuzzles}
+          accessibilityLabel="Puzzles"
+        >
+          <Ionicons name="extension-puzzle-outline" size={14} color="#ffffff" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.hintButton, { backgroundColor: colors.gameButton }, !canHint && styles.hintButtonDisabled]}
+          onPress={handleHint}
+          disabled={!canHint}
+          accessibilityLabel="Hint"
+        >
+          <Ionicons name="bulb-outline" size={14} color="#ffffff" />
+          <Text style={styles.hintButtonText}>{isThinking ? '...' : 'Hint'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.hintButton, { backgroundColor: colors.gameButton }, isAutoplay && styles.autoplayButtonActive]}
+          onPress={toggleAutoplay}
+          accessibilityLabel={isAutoplay ? 'Stop autoplay' : 'Start autoplay'}
+        >
+          <Ionicons name={isAutoplay ? 'stop' : 'play'} size={14} color="#ffffff" />
+          <Text style={styles.hintButtonText}>Auto</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.speedChip, { borderColor: colors.gameButton }]}
+          onPress={cycleAutoplaySpeed}
+          accessibilityLabel="Autoplay speed"
+        >
+          <Text style={[styles.speedChipText, { color: colors.gameButton }]}>{AUTOPLAY_SPEEDS[autoplaySpeed].label}</Text>
+        </TouchableOpacity>
+      </View>
+
       {/* Game Board */}
       <View style={styles.gameContainer}>
         <View style={styles.boardWrapperOuter}>
@@ -859,83 +1055,51 @@ export default function HomeScreen() {
             {...panResponder.panHandlers}
           />
           {/* 棋盘本体 */}
-          <Animated.View
+          <Reanimated.View
             style={[
               styles.board,
-              { 
-                width: BOARD_SIZE, 
-                height: BOARD_SIZE,
-                transform: [{ translateX: animatedValues.current.board || new Animated.Value(0) }]
-              }
+              { width: BOARD_SIZE, height: BOARD_SIZE, backgroundColor: colors.board },
+              boardShakeStyle,
             ]}
           >
             {/* Background grid */}
-            {Array.from({ length: 16 }).map((_, i) => {
-              const r = Math.floor(i / GRID_ROW_CELLS), c = i % GRID_ROW_CELLS;
+            {Array.from({ length: boardSize * boardSize }).map((_, i) => {
+              const r = Math.floor(i / boardSize), c = i % boardSize;
               return (
                 <View
                   key={i}
-                  style={[styles.gridCell, { width: TILE_SIZE, height: TILE_SIZE, left: toX(c), top: toY(r) }]}
+                  style={[styles.gridCell, { width: TILE_SIZE, height: TILE_SIZE, left: toX(c), top: toY(r), backgroundColor: colors.gridCell }]}
                 />
               );
             })}
 
-            {/* Game tiles */}
-            {state.board.map((row, rowIndex) =>
-              row.map((value, colIndex) => {
-                if (!value) return null;
-
-                const key = `${rowIndex}-${colIndex}`;
-                const anim = animatedValues.current[key] || { scale: new Animated.Value(1), opacity: new Animated.Value(1) };
-                
-                return (
-                  <Animated.View
-                    key={key}
-                    style={[
-                      styles.tile,
-                      getTileStyle(value),
-                      {
-                        width: TILE_SIZE,
-                        height: TILE_SIZE,
-                        left: toX(colIndex),
-                        top: toY(rowIndex),
-                        opacity: anim.opacity,
-                        transform: [{ scale: anim.scale }],
-                      },
-                    ]}
-                  >
-                    <Text style={[styles.tileText, { fontSize: value > 512 ? 24 : 32 }]}>
-                      {value}
-                    </Text>
-                  </Animated.View>
-                );
-              })
-            )}
+            {/* Game tiles：按瓦片 id 渲染，滑动 / 合并 / 出现动画在 UI 线程上播放 */}
+            {tileLayer.tiles.map(tile => (
+              <BoardTile
+                key={tile.id}
+                tile={tile}
+                metrics={gridMetrics}
+                durationScale={tileLayer.durationScale}
+                style={[styles.tile, getTileStyle(tile.value, ruleSet, scheme)]}
+              >
+                <Text style={[styles.tileText, { color: getTileStyle(tile.value, ruleSet, scheme).color, fontSize: getTileTextSize(tile.value, fontScale) }]}>
+                  {getTileLabel(tile.value)}
+                </Text>
+              </BoardTile>
+            ))}
 
-            {/* Ghost tiles overlay for sliding animation */}
-            <View style={{ position: 'absolute', width: BOARD_SIZE, height: BOARD_SIZE, left: 0, top: 0, zIndex: 15 }}>
-              {animationPhase === 'animating' && ghostTilesRef.current.map(g => (
-                <Animated.View
-                  key={`ghost-${g.key}`}
-                  style={[
-                    styles.tile,
-                    getTileStyle(g.value),
-                    {
-                      width: TILE_SIZE,
-                      height: TILE_SIZE,
-                      transform: [
-                        { translateX: g.anim.x }, 
-                        { translateY: g.anim.y },
-                        { scale: g.scale }
-                      ],
-                    },
-                  ]}
-                >
-                  <Text style={[styles.tileText, { fontSize: g.value > 512 ? 24 : 32 }]}>{g.value}</Text>
-                </Animated.View>
-              ))}
-            </View>
-          </Animated.View>
+            {/* 提示箭头 */}
+            {hintDirection && (
+              <Reanimated.View
+                pointerEvents="none"
+                style={[styles.hintOverlay, { width: BOARD_SIZE, height: BOARD_SIZE }, hintStyle]}
+              >
+                <View style={[styles.hintArrow, { backgroundColor: colors.hintArrow }]}>
+                  <Ionicons name={HINT_ICONS[hintDirection]} size={BOARD_SIZE / 4} color="#ffffff" />
+                </View>
+              </Reanimated.View>
+            )}
+          </Reanimated.View>
         </View>
         </View>
       </View>
@@ -1009,6 +1173,21 @@ const styles = StyleSheet.create({
     includeFontPadding: false, // Android上移除额外字体padding
     textAlignVertical: 'center', // Android上垂直居中
   },
+  counterLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#f9f6f2',
+    marginBottom: 2,
+  },
+  counterText: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#f9f6f2',
+    fontVariant: ['tabular-nums'],
+  },
+  counterTextWarning: {
+    color: '#c0392b',
+  },
   scoreContainer: {
     flexDirection: 'row',
     gap: 10,
@@ -1043,8 +1222,36 @@ const styles = StyleSheet.create({
   },
   buttonColumn: {
     width: Platform.OS === 'web' ? 90 : 90, // 固定宽度，与scoreBox宽度完全一致
+    flexShrink: 1, // 窄屏上为撤销按钮让出空间
     alignItems: 'center',
   },
+  undoColumn: {
+    width: 40,
+    flexShrink: 0,
+    alignItems: 'center',
+  },
+  undoButton: {
+    backgroundColor: '#8f7a66',
+    paddingVertical: 9,
+    borderRadius: 8,
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 2,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  undoButtonDisabled: {
+    opacity: 0.4,
+  },
+  undoCountText: {
+    color: '#ffffff',
+    fontWeight: '600',
+    fontSize: 11,
+  },
   historyButton: {
     backgroundColor: '#f67c5f', // 橙色背景
     paddingHorizontal: 12,
@@ -1079,8 +1286,77 @@ const styles = StyleSheet.create({
   },
   instructionsContainer: {
     alignItems: 'center',
-    paddingVertical: Platform.OS === 'web' ? 12 : 16,
-    paddingHorizontal: Platform.OS === 'web' ? 16 : 20,
+    alignSelf: 'center',
+    paddingTop: Platform.OS === 'web' ? 12 : 16,
+    paddingBottom: 10,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    alignSelf: 'center',
+    gap: 8,
+    paddingBottom: Platform.OS === 'web' ? 12 : 16,
+  },
+  dailyButton: {
+    backgroundColor: '#edc22e',
+  },
+  puzzlesButton: {
+    backgroundColor: '#f59563',
+    marginRight: 'auto', // 靠左，与提示/自动演示按钮分开
+  },
+  hintButton: {
+    backgroundColor: '#8f7a66',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  hintButtonDisabled: {
+    opacity: 0.4,
+  },
+  hintButtonText: {
+    color: '#ffffff',
+    fontWeight: '600',
+    fontSize: 12,
+  },
+  autoplayButtonActive: {
+    backgroundColor: '#f67c5f',
+  },
+  speedChip: {
+    borderWidth: 1,
+    borderColor: '#8f7a66',
+    paddingHorizontal: 8,
+    paddingVertical: 7,
+    borderRadius: 8,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  speedChipText: {
+    color: '#8f7a66',
+    fontWeight: '600',
+    fontSize: 12,
+  },
+  hintOverlay: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    zIndex: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  hintArrow: {
+    backgroundColor: 'rgba(119, 110, 101, 0.6)',
+    borderRadius: BOARD_SIZE / 4,
+    padding: 12,
   },
   gameContainer: {
     flex: 1,
@@ -1115,7 +1391,7 @@ const styles = StyleSheet.create({
   board: {
     backgroundColor: '#bbada0', // Original game board color
     borderRadius: 6,
-    padding: GRID_SPACING,
+    padding: DEFAULT_GRID_SPACING,
     position: 'relative',
     marginBottom: 20,
   },
@@ -13,6 +13,22 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGame } from '../../contexts/GameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { THEME_OPTIONS } from '../../utils/Theme';
+import {
+  getModeKey,
+  WIN_TARGETS,
+  ENDLESS_TARGET,
+  BLITZ_TIME_LIMITS,
+  PAR_MOVE_LIMITS,
+} from '../../utils/GameLogic';
+import { RULE_SET_IDS, DEFAULT_RULE_SET, getRuleSet } from '../../utils/RuleSets';
+import { SPAWN_POLICY_IDS, DEFAULT_SPAWN_POLICY, getSpawnPolicy } from '../../utils/SpawnPolicy';
+import { INPUT_MODES, INPUT_MODE_IDS } from '../../utils/InputQueue';
+import { playSound, normalizeVolume } from '../../utils/SoundEngine';
+import { triggerHaptic, HAPTIC_INTENSITIES, HAPTIC_INTENSITY_IDS } from '../../utils/HapticsEngine';
+import { getCurrentStreak } from '../../utils/Daily';
+import DailyCalendar from '../../components/DailyCalendar';
 
 // 动态导入 Slider，H5 环境可能不支持
 let Slider = null;
@@ -27,10 +43,11 @@ if (Platform.OS !== 'web') {
 /**
  * Profile & Settings Screen
  * Purpose: User preferences, local stats, developer tools
- * Features: Sound/haptics/theme settings, best scores, data export
+ * Features: Sound/volume, haptics/intensity, theme and swipe buffer settings, best scores, daily challenge calendar, data export
  */
 export default function ProfileScreen() {
   const { state, dispatch, saveGameData } = useGame();
+  const { colors, preference } = useTheme();
   const insets = useSafeAreaInsets();
 
   const updateSetting = async (key, value) => {
@@ -38,6 +55,23 @@ export default function ProfileScreen() {
     await saveGameData({ [key]: value });
   };
 
+  // 拖动时只更新界面，松手后保存并试听
+  const previewVolume = (value) => {
+    dispatch({ type: 'UPDATE_SETTINGS', payload: { volume: normalizeVolume(value) } });
+  };
+
+  const commitVolume = async (value) => {
+    const volume = normalizeVolume(value);
+    playSound('merge', { soundOn: state.soundOn, volume });
+    await updateSetting('volume', volume);
+  };
+
+  // 切换震动强度时试一下新的最大瓦片的节奏
+  const selectHapticIntensity = async (id) => {
+    triggerHaptic('maxTile', { hapticsOn: true, hapticIntensity: id });
+    await updateSetting('hapticIntensity', id);
+  };
+
   const resetLocalBest = () => {
     Alert.alert(
       'Reset Local Best',
@@ -48,7 +82,7 @@ export default function ProfileScreen() {
           text: 'Reset',
           style: 'destructive',
           onPress: async () => {
-            const resetStats = { maxLevel: 0, maxScore: 0, maxTime: 0 };
+            const resetStats = { maxLevel: 0, maxScore: 0, maxTime: 0, fastestWins: {}, modeBests: {} };
             dispatch({ type: 'UPDATE_STATS', payload: resetStats });
             dispatch({ type: 'UPDATE_SCORE', payload: 0 });
             await saveGameData(resetStats);
@@ -67,61 +101,147 @@ export default function ProfileScreen() {
 
   return (
     <View style={[styles.container, { 
-      paddingTop: insets.top
+      paddingTop: insets.top,
+      backgroundColor: colors.background,
     }]}>
       <ScrollView contentContainerStyle={styles.content}>
         {/* Header */}
         <View style={styles.header}>
-          <Text style={styles.title}>Profile & Settings</Text>
+          <Text style={[styles.title, { color: colors.text }]}>Profile & Settings</Text>
         </View>
 
         {/* Statistics */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <View style={styles.sectionHeader}>
             <Ionicons name="trophy" size={24} color="#ffd89b" />
-            <Text style={styles.sectionTitle}>Best Statistics</Text>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Best Statistics</Text>
           </View>
           
           <View style={styles.statsGrid}>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{state.maxLevel || 0}</Text>
-              <Text style={styles.statLabel}>Highest Tile</Text>
+              <Text style={[styles.statValue, { color: colors.text }]}>{state.maxLevel || 0}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Highest Tile</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{state.maxScore || 0}</Text>
-              <Text style={styles.statLabel}>Best Score</Text>
+              <Text style={[styles.statValue, { color: colors.text }]}>{state.maxScore || 0}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Best Score</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>
+              <Text style={[styles.statValue, { color: colors.text }]}>
                 {state.maxTime ? `${state.maxTime}s` : '--'}
               </Text>
-              <Text style={styles.statLabel}>Fastest Win</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Fastest Win</Text>
+            </View>
+          </View>
+
+          {/* 各胜利目标的最快用时 */}
+          <View style={[styles.targetRecords, { borderTopColor: colors.surfaceMuted }]}>
+            {WIN_TARGETS.filter(target => target !== ENDLESS_TARGET).map(target => (
+              <View key={target} style={styles.targetRecord}>
+                <Text style={[styles.targetRecordValue, { color: colors.text }]}>
+                  {state.fastestWins[target] ? `${state.fastestWins[target]}s` : '--'}
+                </Text>
+                <Text style={[styles.statLabel, { color: colors.textMuted }]}>{target}</Text>
+              </View>
+            ))}
+          </View>
+
+          {/* Blitz 各时间限制的最佳分数 */}
+          <View style={[styles.targetRecords, { borderTopColor: colors.surfaceMuted }]}>
+            {BLITZ_TIME_LIMITS.map(limit => (
+              <View key={limit} style={styles.targetRecord}>
+                <Text style={[styles.targetRecordValue, { color: colors.text }]}>
+                  {state.modeBests[getModeKey({ timeLimitSec: limit })] || '--'}
+                </Text>
+                <Text style={[styles.statLabel, { color: colors.textMuted }]}>Blitz {limit / 60} min</Text>
+              </View>
+            ))}
+          </View>
+
+          {/* Par 各步数限制的最佳分数 */}
+          <View style={[styles.targetRecords, { borderTopColor: colors.surfaceMuted }]}>
+            {PAR_MOVE_LIMITS.map(limit => (
+              <View key={limit} style={styles.targetRecord}>
+                <Text style={[styles.targetRecordValue, { color: colors.text }]}>
+                  {state.modeBests[getModeKey({ moveLimit: limit })] || '--'}
+                </Text>
+                <Text style={[styles.statLabel, { color: colors.textMuted }]}>Par {limit}</Text>
+              </View>
+            ))}
+          </View>
+
+          {/* 其他规则集（经典模式）的最佳分数 */}
+          <View style={[styles.targetRecords, { borderTopColor: colors.surfaceMuted }]}>
+            {RULE_SET_IDS.filter(id => id !== DEFAULT_RULE_SET).map(id => (
+              <View key={id} style={styles.targetRecord}>
+                <Text style={[styles.targetRecordValue, { color: colors.text }]}>
+                  {state.modeBests[getModeKey({ ruleSet: id })] || '--'}
+                </Text>
+                <Text style={[styles.statLabel, { color: colors.textMuted }]}>{getRuleSet(id).name}</Text>
+              </View>
+            ))}
+          </View>
+
+          {/* 其他出块难度（经典规则、经典模式）的最佳分数 */}
+          <View style={[styles.targetRecords, { borderTopColor: colors.surfaceMuted }]}>
+            {SPAWN_POLICY_IDS.filter(id => id !== DEFAULT_SPAWN_POLICY).map(id => (
+              <View key={id} style={styles.targetRecord}>
+                <Text style={[styles.targetRecordValue, { color: colors.text }]}>
+                  {state.modeBests[getModeKey({ spawnPolicy: id })] || '--'}
+                </Text>
+                <Text style={[styles.statLabel, { color: colors.textMuted }]}>{getSpawnPolicy(id).name}</Text>
+              </View>
+            ))}
+          </View>
+        </View>
+
+        {/* Daily Challenge */}
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name="calendar" size={24} color="#edc22e" />
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Daily Challenge</Text>
+          </View>
+
+          <View style={[styles.statsGrid, styles.dailyStats]}>
+            <View style={styles.statItem}>
+              <Text style={[styles.statValue, { color: colors.text }]}>{getCurrentStreak(state.daily)}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Current Streak</Text>
+            </View>
+            <View style={styles.statItem}>
+              <Text style={[styles.statValue, { color: colors.text }]}>{state.daily.bestStreak || 0}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Best Streak</Text>
+            </View>
+            <View style={styles.statItem}>
+              <Text style={[styles.statValue, { color: colors.text }]}>{Object.keys(state.daily.results).length}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Days Played</Text>
             </View>
           </View>
+
+          <DailyCalendar results={state.daily.results} />
         </View>
 
         {/* Recent Games */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <View style={styles.sectionHeader}>
             <Ionicons name="time" size={24} color="#f093fb" />
-            <Text style={styles.sectionTitle}>Recent Games</Text>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Recent Games</Text>
             <TouchableOpacity onPress={() => router.push('/history')}>
-              <Text style={styles.viewAllLink}>View All</Text>
+              <Text style={[styles.viewAllLink, { color: colors.accent }]}>View All</Text>
             </TouchableOpacity>
           </View>
           
           {recentGames.length === 0 ? (
-            <Text style={styles.emptyText}>No games played yet</Text>
+            <Text style={[styles.emptyText, { color: colors.textFaint }]}>No games played yet</Text>
           ) : (
             recentGames.map((game, index) => (
               <TouchableOpacity
                 key={game.id}
-                style={styles.gameItem}
+                style={[styles.gameItem, { borderBottomColor: colors.surfaceMuted }]}
                 onPress={() => router.push(`/details/${game.id}`)}
               >
                 <View style={styles.gameInfo}>
-                  <Text style={styles.gameScore}>{game.finalScore}</Text>
-                  <Text style={styles.gameDetails}>
+                  <Text style={[styles.gameScore, { color: colors.text }]}>{game.finalScore}</Text>
+                  <Text style={[styles.gameDetails, { color: colors.textMuted }]}>
                     Tile: {game.highestTile} • {game.durationSec}s • {game.moves} moves
                   </Text>
                 </View>
@@ -138,43 +258,189 @@ export default function ProfileScreen() {
         </View>
 
         {/* Settings */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
+          {/* 主题：切换后立即生效并保存 */}
+          <View style={styles.settingBlock}>
+            <Text style={[styles.settingLabel, { color: colors.text }]}>Theme</Text>
+            <Text style={[styles.settingDescription, { color: colors.textMuted }]}>
+              {preference === 'system' ? 'Follows your device appearance' : 'Applies to every screen'}
+            </Text>
+            <View style={styles.themeSelector}>
+              {THEME_OPTIONS.map(option => {
+                const selected = preference === option.id;
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.themeOption,
+                      { borderColor: colors.border },
+                      selected && { backgroundColor: colors.accent, borderColor: colors.accent },
+                    ]}
+                    onPress={() => updateSetting('theme', option.id)}
+                    accessibilityLabel={`${option.name} theme`}
+                  >
+                    <Ionicons name={option.icon} size={16} color={selected ? '#ffffff' : colors.textMuted} />
+                    <Text style={[styles.themeOptionText, { color: selected ? '#ffffff' : colors.textMuted }]}>
+                      {option.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          {/* 动画期间的滑动：排队 / 丢弃 / 排满时跳过动画 */}
+          <View style={styles.settingBlock}>
+            <Text style={[styles.settingLabel, { color: colors.text }]}>Fast Swipes</Text>
+            <Text style={[styles.settingDescription, { color: colors.textMuted }]}>{INPUT_MODES[state.inputMode].description}</Text>
+            <View style={styles.inputModeSelector}>
+              {INPUT_MODE_IDS.map(id => {
+                const selected = state.inputMode === id;
+                return (
+                  <TouchableOpacity
+                    key={id}
+                    style={[
+                      styles.inputModeOption,
+                      { borderColor: colors.border },
+                      selected && { backgroundColor: colors.accent, borderColor: colors.accent },
+                    ]}
+                    onPress={() => updateSetting('inputMode', id)}
+                  >
+                    <Text style={[styles.inputModeOptionText, { color: colors.textMuted }, selected && styles.inputModeOptionTextActive]}>
+                      {INPUT_MODES[id].name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          {/* Sound */}
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={[styles.settingLabel, { color: colors.text }]}>Sound Effects</Text>
+              <Text style={[styles.settingDescription, { color: colors.textMuted }]}>Play sounds for moves, merges and results</Text>
+            </View>
+            <Switch
+              value={state.soundOn}
+              onValueChange={(value) => updateSetting('soundOn', value)}
+              trackColor={{ false: colors.switchTrack, true: colors.accent }}
+              thumbColor={state.soundOn ? '#ffffff' : colors.switchThumb}
+            />
+          </View>
+
+          {state.soundOn && (
+            <View style={styles.settingBlock}>
+              <Text style={[styles.settingLabel, { color: colors.text }]}>Volume</Text>
+              {Slider ? (
+                <View style={styles.sliderContainer}>
+                  <Ionicons name="volume-low" size={20} color={colors.textMuted} />
+                  <Slider
+                    style={styles.slider}
+                    minimumValue={0}
+                    maximumValue={100}
+                    step={1}
+                    value={state.volume}
+                    onValueChange={previewVolume}
+                    onSlidingComplete={commitVolume}
+                    minimumTrackTintColor={colors.accent}
+                    maximumTrackTintColor={colors.border}
+                    thumbTintColor={colors.accent}
+                  />
+                  <Ionicons name="volume-high" size={20} color={colors.textMuted} />
+                  <Text style={[styles.volumeValue, { color: colors.text }]}>{state.volume}</Text>
+                </View>
+              ) : (
+                <View style={styles.webVolumeControls}>
+                  <TouchableOpacity
+                    style={[styles.volumeButton, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }]}
+                    onPress={() => commitVolume(state.volume - 10)}
+                    accessibilityLabel="Decrease volume"
+                  >
+                    <Ionicons name="remove" size={16} color={colors.textMuted} />
+                  </TouchableOpacity>
+                  <View style={[styles.volumeBar, { backgroundColor: colors.border }]}>
+                    <View style={[styles.volumeFill, { width: `${state.volume}%`, backgroundColor: colors.accent }]} />
+                  </View>
+                  <TouchableOpacity
+                    style={[styles.volumeButton, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }]}
+                    onPress={() => commitVolume(state.volume + 10)}
+                    accessibilityLabel="Increase volume"
+                  >
+                    <Ionicons name="add" size={16} color={colors.textMuted} />
+                  </TouchableOpacity>
+                  <Text style={[styles.volumeValue, { color: colors.text }]}>{state.volume}</Text>
+                </View>
+              )}
+            </View>
+          )}
+
           {/* Haptics (Mobile only) */}
           {Platform.OS !== 'web' && (
             <View style={styles.settingItem}>
               <View style={styles.settingInfo}>
-                <Text style={styles.settingLabel}>Haptic Feedback</Text>
-                <Text style={styles.settingDescription}>Vibrate on moves and merges</Text>
+                <Text style={[styles.settingLabel, { color: colors.text }]}>Haptic Feedback</Text>
+                <Text style={[styles.settingDescription, { color: colors.textMuted }]}>Vibrate on moves, merges and results</Text>
               </View>
               <Switch
                 value={state.hapticsOn}
                 onValueChange={(value) => updateSetting('hapticsOn', value)}
-                trackColor={{ false: '#e2e8f0', true: '#667eea' }}
-                thumbColor={state.hapticsOn ? '#ffffff' : '#cbd5e0'}
+                trackColor={{ false: colors.switchTrack, true: colors.accent }}
+                thumbColor={state.hapticsOn ? '#ffffff' : colors.switchThumb}
               />
             </View>
           )}
+
+          {/* 震动强度：关闭 / 轻微 / 完整 */}
+          {Platform.OS !== 'web' && state.hapticsOn && (
+            <View style={styles.settingBlock}>
+              <Text style={[styles.settingLabel, { color: colors.text }]}>Haptic Intensity</Text>
+              <Text style={[styles.settingDescription, { color: colors.textMuted }]}>
+                {HAPTIC_INTENSITIES[state.hapticIntensity].description}
+              </Text>
+              <View style={styles.intensitySelector}>
+                {HAPTIC_INTENSITY_IDS.map(id => {
+                  const selected = state.hapticIntensity === id;
+                  return (
+                    <TouchableOpacity
+                      key={id}
+                      style={[
+                        styles.intensityOption,
+                        { borderColor: colors.border },
+                        selected && { backgroundColor: colors.accent, borderColor: colors.accent },
+                      ]}
+                      onPress={() => selectHapticIntensity(id)}
+                    >
+                      <Text style={[styles.intensityOptionText, { color: selected ? '#ffffff' : colors.textMuted }]}>
+                        {HAPTIC_INTENSITIES[id].name}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          )}
         </View>
 
 
         {/* Navigation Links */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <TouchableOpacity
-            style={styles.navigationButton}
+            style={[styles.navigationButton, { backgroundColor: colors.background }]}
             onPress={() => router.push('/about')}
           >
-            <Ionicons name="information-circle" size={20} color="#667eea" />
-            <Text style={styles.navigationButtonText}>About & Help</Text>
-            <Ionicons name="chevron-forward" size={20} color="#cbd5e0" />
+            <Ionicons name="information-circle" size={20} color={colors.accent} />
+            <Text style={[styles.navigationButtonText, { color: colors.text }]}>About & Help</Text>
+            <Ionicons name="chevron-forward" size={20} color={colors.textFaint} />
           </TouchableOpacity>
 
           <TouchableOpacity
-            style={styles.navigationButton}
+            style={[styles.navigationButton, { backgroundColor: colors.background }]}
             onPress={() => router.push('/tutorial')}
           >
-            <Ionicons name="help-circle" size={20} color="#667eea" />
-            <Text style={styles.navigationButtonText}>View Tutorial</Text>
-            <Ionicons name="chevron-forward" size={20} color="#cbd5e0" />
+            <Ionicons name="help-circle" size={20} color={colors.accent} />
+            <Text style={[styles.navigationButtonText, { color: colors.text }]}>View Tutorial</Text>
+            <Ionicons name="chevron-forward" size={20} color={colors.textFaint} />
           </TouchableOpacity>
         </View>
       </ScrollView>
@@ -252,6 +518,27 @@ const styles = StyleSheet.create({
     color: '#64748b',
     textAlign: 'center',
   },
+  dailyStats: {
+    marginBottom: 16,
+  },
+  targetRecords: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  targetRecord: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  targetRecordValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 2,
+  },
   emptyText: {
     fontSize: 14,
     color: '#94a3b8',
@@ -295,6 +582,9 @@ const styles = StyleSheet.create({
   settingInfo: {
     flex: 1,
   },
+  settingBlock: {
+    marginBottom: 20,
+  },
   settingLabel: {
     fontSize: 16,
     fontWeight: '500',
@@ -329,17 +619,70 @@ const styles = StyleSheet.create({
   },
   themeOption: {
     flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
     paddingVertical: 8,
     paddingHorizontal: 16,
     borderRadius: 8,
     marginHorizontal: 4,
     borderWidth: 1,
     borderColor: '#e2e8f0',
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
   },
   themeOptionText: {
     textAlign: 'center',
     fontSize: 14,
     fontWeight: '500',
+    marginLeft: 6,
+  },
+  inputModeSelector: {
+    flexDirection: 'row',
+    marginTop: 8,
+    marginHorizontal: -4,
+  },
+  inputModeOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  inputModeOptionText: {
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  inputModeOptionTextActive: {
+    color: '#ffffff',
+  },
+  intensitySelector: {
+    flexDirection: 'row',
+    marginTop: 8,
+    marginHorizontal: -4,
+  },
+  intensityOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  intensityOptionText: {
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
   },
   actionButton: {
     flexDirection: 'row',
@@ -392,6 +735,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     borderWidth: 1,
     borderColor: '#e2e8f0',
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
   },
   volumeBar: {
     flex: 1,
@@ -1,20 +1,23 @@
 import { Link, Stack } from 'expo-router';
 import { StyleSheet, Text, View } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTheme } from '../contexts/ThemeContext';
 
 export default function NotFoundScreen() {
   const insets = useSafeAreaInsets();
+  const { colors } = useTheme();
   
   return (
     <>
       <Stack.Screen options={{ title: 'Oops!' }} />
       <View style={[styles.container, { 
         paddingTop: insets.top, 
-        paddingBottom: insets.bottom
+        paddingBottom: insets.bottom,
+        backgroundColor: colors.background,
       }]}>
-        <Text style={styles.text}>This screen doesn't exist.</Text>
+        <Text style={[styles.text, { color: colors.text }]}>This screen doesn&apos;t exist.</Text>
         <Link href="/" style={styles.link}>
-          <Text>Go to home screen!</Text>
+          <Text style={{ color: colors.accent }}>Go to home screen!</Text>
         </Link>
       </View>
     </>
@@ -4,6 +4,7 @@ import { StatusBar } from 'expo-status-bar';
 import { Platform, View, Text, StyleSheet, ActivityIndicator } from 'react-native';
 import { useFrameworkReady } from '../hooks/useFrameworkReady';
 import { GameProvider } from '../contexts/GameContext';
+import { ThemeProvider, useTheme } from '../contexts/ThemeContext';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 
 export default function RootLayout() {
@@ -23,24 +24,39 @@ export default function RootLayout() {
     <SafeAreaProvider>
       {/* SafeAreaProvider 提供安全区上下文，让子组件可以正确获取安全区信息 */}
       <GameProvider>
-        <Stack screenOptions={{ headerShown: false }}>
-          <Stack.Screen name="onboarding" />
-          <Stack.Screen name="(tabs)" />
-          <Stack.Screen name="history" />
-          <Stack.Screen name="details/[id]" />
-          
-          <Stack.Screen name="new-game" />
-          <Stack.Screen name="about" />
-          <Stack.Screen name="tutorial" />
-          <Stack.Screen name="+not-found" />
-        </Stack>
-        {/* H5 适配：只在非 web 平台显示 StatusBar */}
-        {Platform.OS !== 'web' && <StatusBar style="auto" />}
+        {/* ThemeProvider 读取 GameContext 中保存的主题偏好 */}
+        <ThemeProvider>
+          <RootStack />
+        </ThemeProvider>
       </GameProvider>
     </SafeAreaProvider>
   );
 }
 
+function RootStack() {
+  const { colors } = useTheme();
+
+  return (
+    <>
+      <Stack screenOptions={{ headerShown: false, contentStyle: { backgroundColor: colors.background } }}>
+        <Stack.Screen name="onboarding" />
+        <Stack.Screen name="(tabs)" />
+        <Stack.Screen name="history" />
+        <Stack.Screen name="details/[id]" />
+        <Stack.Screen name="levels" />
+        <Stack.Screen name="puzzle" />
+        
+        <Stack.Screen name="new-game" />
+        <Stack.Screen name="about" />
+        <Stack.Screen name="tutorial" />
+        <Stack.Screen name="+not-found" />
+      </Stack>
+      {/* H5 适配：只在非 web 平台显示 StatusBar */}
+      {Platform.OS !== 'web' && <StatusBar style={colors.statusBar} />}
+    </>
+  );
+}
+
 const styles = StyleSheet.create({
   loadingContainer: {
     flex: 1,
@@ -10,6 +10,7 @@ import {
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
 
 /**
  * About & Help Screen
@@ -18,6 +19,7 @@ import { Ionicons } from '@expo/vector-icons';
  */
 export default function AboutScreen() {
   const insets = useSafeAreaInsets();
+  const { colors } = useTheme();
   const APP_VERSION = '1.0.0';
 
   const faqData = [
@@ -30,7 +32,7 @@ export default function AboutScreen() {
     {
       id: 2,
       question: 'What happens when I reach 2048?',
-      answer: 'Congratulations! You win the game. You can choose to continue playing to reach even higher numbers like 4096, 8192, and beyond, or start a new game.',
+      answer: 'Congratulations! You win the game. You can choose to continue playing to reach even higher numbers like 4096, 8192, and beyond, or start a new game. Prefer a different goal? Pick a win target from 512 to 8192, or Endless, on the New Game screen — each target keeps its own fastest win.',
       expanded: false,
     },
     {
@@ -42,7 +44,7 @@ export default function AboutScreen() {
     {
       id: 4,
       question: 'Can I undo a move?',
-      answer: 'No, moves cannot be undone. This is part of the challenge! Think carefully before making each move.',
+      answer: 'Only if you allow it. Choose an undo limit (Off, 1, 3 or unlimited) on the New Game screen, then tap the undo button next to History. Games where you used undo are marked in your history, so clean runs stay easy to spot.',
       expanded: false,
     },
     {
@@ -69,7 +71,8 @@ export default function AboutScreen() {
   return (
     <View style={[styles.container, { 
       paddingTop: insets.top, 
-      paddingBottom: insets.bottom
+      paddingBottom: insets.bottom,
+      backgroundColor: colors.background,
     }]}>
       <ScrollView contentContainerStyle={styles.content}>
         {/* Header */}
@@ -78,22 +81,22 @@ export default function AboutScreen() {
             style={styles.backButton}
             onPress={() => router.back()}
           >
-            <Ionicons name="arrow-back" size={24} color="#1e293b" />
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
           </TouchableOpacity>
-          <Text style={styles.title}>About & Help</Text>
+          <Text style={[styles.title, { color: colors.text }]}>About & Help</Text>
           <View style={styles.placeholder} />
         </View>
 
         {/* App Info */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <View style={styles.appInfo}>
             <View style={styles.appIcon}>
               <Text style={styles.appIconText}>2048</Text>
             </View>
             <View style={styles.appDetails}>
-              <Text style={styles.appName}>2048 Game</Text>
-              <Text style={styles.appVersion}>Version {APP_VERSION}</Text>
-              <Text style={styles.appDescription}>
+              <Text style={[styles.appName, { color: colors.text }]}>2048 Game</Text>
+              <Text style={[styles.appVersion, { color: colors.textMuted }]}>Version {APP_VERSION}</Text>
+              <Text style={[styles.appDescription, { color: colors.textMuted }]}>
                 The classic sliding number puzzle game with smooth animations and elegant design.
               </Text>
             </View>
@@ -101,55 +104,55 @@ export default function AboutScreen() {
         </View>
 
         {/* Quick Actions */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <TouchableOpacity 
-            style={styles.actionButton}
+            style={[styles.actionButton, { backgroundColor: colors.background, borderColor: colors.border }]}
             onPress={() => router.push('/tutorial')}
           >
             <Ionicons name="help-circle" size={24} color="#667eea" />
             <View style={styles.actionContent}>
-              <Text style={styles.actionTitle}>Interactive Tutorial</Text>
-              <Text style={styles.actionDescription}>Learn how to play with step-by-step guide</Text>
+              <Text style={[styles.actionTitle, { color: colors.text }]}>Interactive Tutorial</Text>
+              <Text style={[styles.actionDescription, { color: colors.textMuted }]}>Learn how to play with step-by-step guide</Text>
             </View>
-            <Ionicons name="chevron-forward" size={20} color="#cbd5e0" />
+            <Ionicons name="chevron-forward" size={20} color={colors.textFaint} />
           </TouchableOpacity>
 
           <TouchableOpacity 
-            style={styles.actionButton}
+            style={[styles.actionButton, { backgroundColor: colors.background, borderColor: colors.border }]}
             onPress={() => router.push('/history')}
           >
             <Ionicons name="stats-chart" size={24} color="#10b981" />
             <View style={styles.actionContent}>
-              <Text style={styles.actionTitle}>Game History</Text>
-              <Text style={styles.actionDescription}>View your past games and statistics</Text>
+              <Text style={[styles.actionTitle, { color: colors.text }]}>Game History</Text>
+              <Text style={[styles.actionDescription, { color: colors.textMuted }]}>View your past games and statistics</Text>
             </View>
-            <Ionicons name="chevron-forward" size={20} color="#cbd5e0" />
+            <Ionicons name="chevron-forward" size={20} color={colors.textFaint} />
           </TouchableOpacity>
         </View>
 
         {/* FAQ Section */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <View style={styles.sectionHeader}>
             <Ionicons name="help-buoy" size={24} color="#8b5cf6" />
-            <Text style={styles.sectionTitle}>Frequently Asked Questions</Text>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Frequently Asked Questions</Text>
           </View>
           
           {faqData.map((faq) => (
-            <View key={faq.id} style={styles.faqItem}>
+            <View key={faq.id} style={[styles.faqItem, { borderBottomColor: colors.surfaceMuted }]}>
               <TouchableOpacity
                 style={styles.faqQuestion}
                 onPress={() => toggleFaq(faq.id)}
               >
-                <Text style={styles.faqQuestionText}>{faq.question}</Text>
+                <Text style={[styles.faqQuestionText, { color: colors.text }]}>{faq.question}</Text>
                 <Ionicons 
                   name={expandedFaq === faq.id ? "chevron-up" : "chevron-down"} 
                   size={20} 
-                  color="#64748b" 
+                  color={colors.textMuted}
                 />
               </TouchableOpacity>
               {expandedFaq === faq.id && (
                 <View style={styles.faqAnswer}>
-                  <Text style={styles.faqAnswerText}>{faq.answer}</Text>
+                  <Text style={[styles.faqAnswerText, { color: colors.textMuted }]}>{faq.answer}</Text>
                 </View>
               )}
             </View>
@@ -157,41 +160,41 @@ export default function AboutScreen() {
         </View>
 
         {/* Game Tips */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <View style={styles.sectionHeader}>
             <Ionicons name="bulb" size={24} color="#f59e0b" />
-            <Text style={styles.sectionTitle}>Pro Tips</Text>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Pro Tips</Text>
           </View>
           
           <View style={styles.tipsList}>
             <View style={styles.tip}>
               <Ionicons name="trophy" size={16} color="#ffd89b" />
-              <Text style={styles.tipText}>Keep your highest tile in a corner</Text>
+              <Text style={[styles.tipText, { color: colors.textMuted }]}>Keep your highest tile in a corner</Text>
             </View>
             <View style={styles.tip}>
               <Ionicons name="layers" size={16} color="#f093fb" />
-              <Text style={styles.tipText}>Build tiles in descending order</Text>
+              <Text style={[styles.tipText, { color: colors.textMuted }]}>Build tiles in descending order</Text>
             </View>
             <View style={styles.tip}>
               <Ionicons name="eye" size={16} color="#06b6d4" />
-              <Text style={styles.tipText}>Plan your moves several steps ahead</Text>
+              <Text style={[styles.tipText, { color: colors.textMuted }]}>Plan your moves several steps ahead</Text>
             </View>
             <View style={styles.tip}>
               <Ionicons name="pause" size={16} color="#8b5cf6" />
-              <Text style={styles.tipText}>Take breaks to maintain focus</Text>
+              <Text style={[styles.tipText, { color: colors.textMuted }]}>Take breaks to maintain focus</Text>
             </View>
           </View>
         </View>
 
         {/* Credits */}
         <View style={styles.credits}>
-          <Text style={styles.creditsText}>
+          <Text style={[styles.creditsText, { color: colors.textFaint }]}>
             Original 2048 game created by Gabriele Cirulli
           </Text>
-          <Text style={styles.creditsText}>
+          <Text style={[styles.creditsText, { color: colors.textFaint }]}>
             Mobile implementation built with React Native & Expo
           </Text>
-          <Text style={styles.creditsText}>
+          <Text style={[styles.creditsText, { color: colors.textFaint }]}>
             © 2024 2048 Game - All rights reserved
           </Text>
         </View>
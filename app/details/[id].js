@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   View,
   Text,
@@ -13,29 +13,80 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router, useLocalSearchParams } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGame } from '../../contexts/GameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getWinTargetLabel, normalizeWinTarget, DEFAULT_BOARD_SIZE } from '../../utils/GameLogic';
+import { DEFAULT_RULE_SET, getRuleSet, normalizeRuleSet } from '../../utils/RuleSets';
+import { getSpawnPolicy } from '../../utils/SpawnPolicy';
+import { computeCellActivity, normalizeGrid, HEATMAP_LAYERS } from '../../utils/GameAnalytics';
+import ReplayPlayer from '../../components/ReplayPlayer';
+
+// 热力图图层的显示配置
+const HEATMAP_LAYER_INFO = {
+  merges: {
+    label: 'Merges',
+    description: 'How many tile merges happened in each cell',
+  },
+  maxTile: {
+    label: 'Max Tile',
+    description: 'How long each cell held your highest tile',
+  },
+  spawns: {
+    label: 'Spawns',
+    description: 'Where new tiles appeared during the game',
+  },
+};
+
+// 对局结果徽章：胜利优先，其次按结束原因
+const RESULT_BADGES = {
+  won: { label: 'Victory!', share: '🏆 Won!', icon: 'trophy', color: '#10b981' },
+  time_up: { label: 'Time\'s Up', share: '⏰ Time\'s up', icon: 'timer', color: '#f59e0b' },
+  out_of_moves: { label: 'Out of Moves', share: '🎯 Out of moves', icon: 'flag', color: '#667eea' },
+  lost: { label: 'Game Over', share: '😞 Lost', icon: 'close-circle', color: '#ef4444' },
+};
+
+function getResultBadge(game) {
+  if (game.won) return RESULT_BADGES.won;
+  return RESULT_BADGES[game.result] || RESULT_BADGES.lost;
+}
+
+// 限时/限步模式的显示文字，经典模式返回 null
+function getModeLabel(game) {
+  if (game.mode === 'blitz') return `Blitz ${game.timeLimitSec / 60} min`;
+  if (game.mode === 'par') return `Par ${game.moveLimit} moves`;
+  return null;
+}
 
 /**
  * Game Details Screen
  * Purpose: Show full info for a specific run + actions (share/delete)
- * Features: Detailed stats, move heatmap mock, action buttons
+ * Features: Detailed stats, move-by-move replay, activity heatmaps, action buttons
  */
 export default function DetailsScreen() {
   const { id } = useLocalSearchParams();
   const { state, dispatch, saveGameData } = useGame();
+  const { colors } = useTheme();
   const insets = useSafeAreaInsets();
 
   const game = state.gameHistory.find(g => g.id === id);
+  const [heatmapLayer, setHeatmapLayer] = useState('merges');
+
+  // 基于录像回放统计真实的格子活跃度（旧版本记录没有录像时为 null）
+  const activity = useMemo(
+    () => (game?.moveLog ? computeCellActivity(game.moveLog, (game.durationSec || 0) * 1000) : null),
+    [game]
+  );
 
   if (!game) {
     return (
       <View style={[styles.container, { 
         paddingTop: insets.top, 
-        paddingBottom: insets.bottom
+        paddingBottom: insets.bottom,
+        backgroundColor: colors.background,
       }]}>
         <View style={styles.errorContainer}>
           <Ionicons name="alert-circle" size={64} color="#ef4444" />
-          <Text style={styles.errorTitle}>Game Not Found</Text>
-          <Text style={styles.errorDescription}>
+          <Text style={[styles.errorTitle, { color: colors.text }]}>Game Not Found</Text>
+          <Text style={[styles.errorDescription, { color: colors.textMuted }]}>
             The requested game could not be found in your history.
           </Text>
           <TouchableOpacity 
@@ -82,7 +133,15 @@ export default function DetailsScreen() {
                `Highest Tile: ${game.highestTile}\n` +
                `Duration: ${formatDuration(game.durationSec)}\n` +
                `Moves: ${game.moves}\n` +
-               `Result: ${game.won ? '🏆 Won!' : '😞 Lost'}\n\n` +
+               (game.undosUsed > 0 ? `Undos: ${game.undosUsed}\n` : '') +
+               (game.hintsUsed > 0 ? `Hints: ${game.hintsUsed}\n` : '') +
+               `Target: ${getWinTargetLabel(normalizeWinTarget(game.winTarget, game.ruleSet))}\n` +
+               (normalizeRuleSet(game.ruleSet) !== DEFAULT_RULE_SET ? `Rules: ${getRuleSet(game.ruleSet).name}\n` : '') +
+               `Difficulty: ${getSpawnPolicy(game.spawnPolicy).name}\n` +
+               `Result: ${getResultBadge(game).share}\n` +
+               (getModeLabel(game) ? `Mode: ${getModeLabel(game)}\n` : '') +
+               (game.seed !== undefined ? `Seed: ${game.seed}\n` : '') +
+               `\n` +
                `Can you beat my score?`,
     };
 
@@ -132,26 +191,22 @@ export default function DetailsScreen() {
     );
   };
 
-  // Mock heatmap data based on game performance
-  const generateMockHeatmap = () => {
-    const heatmapData = [];
-    const intensity = Math.min(game.finalScore / 5000, 1); // Normalize based on score
-    
-    for (let row = 0; row < 4; row++) {
-      heatmapData[row] = [];
-      for (let col = 0; col < 4; col++) {
-        // Create a mock pattern - more activity in corners and center
-        const cornerBonus = (row === 0 || row === 3) && (col === 0 || col === 3) ? 0.3 : 0;
-        const centerBonus = (row === 1 || row === 2) && (col === 1 || col === 2) ? 0.2 : 0;
-        const baseIntensity = Math.random() * 0.5 + cornerBonus + centerBonus;
-        heatmapData[row][col] = Math.min(baseIntensity * intensity, 1);
-      }
-    }
-    
-    return heatmapData;
-  };
+  const boardSize = game.boardSize || DEFAULT_BOARD_SIZE;
+  const winTarget = normalizeWinTarget(game.winTarget, game.ruleSet);
+  const ruleSet = normalizeRuleSet(game.ruleSet);
+  const resultBadge = getResultBadge(game);
+  const modeLabel = getModeLabel(game);
+  // 格子尺寸随棋盘尺寸缩放，保持热力图总宽度与 4x4 一致
+  const heatmapCellSize = Math.floor(216 / boardSize) - 4;
 
-  const heatmapData = generateMockHeatmap();
+  const layerGrid = activity ? activity[heatmapLayer] : null;
+  const heatmapData = layerGrid ? normalizeGrid(layerGrid) : null;
+
+  // 热力图格子内显示的数值：次数，或持有最大瓦片的秒数
+  const formatCellValue = (value) => {
+    if (!value) return '';
+    return heatmapLayer === 'maxTile' ? `${Math.round(value / 1000)}s` : `${value}`;
+  };
 
   const getHeatmapColor = (intensity) => {
     const alpha = Math.max(intensity, 0.1);
@@ -161,7 +216,8 @@ export default function DetailsScreen() {
   return (
     <View style={[styles.container, { 
       paddingTop: insets.top, 
-      paddingBottom: insets.bottom
+      paddingBottom: insets.bottom,
+      backgroundColor: colors.background,
     }]}>
       <ScrollView contentContainerStyle={styles.content}>
         {/* Header */}
@@ -170,9 +226,9 @@ export default function DetailsScreen() {
             style={styles.headerButton}
             onPress={() => router.back()}
           >
-            <Ionicons name="arrow-back" size={24} color="#1e293b" />
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
           </TouchableOpacity>
-          <Text style={styles.title}>Game Details</Text>
+          <Text style={[styles.title, { color: colors.text }]}>Game Details</Text>
           <View style={styles.placeholder} />
         </View>
 
@@ -180,122 +236,181 @@ export default function DetailsScreen() {
         <View style={styles.statusContainer}>
           <View style={[
             styles.statusBadge, 
-            { backgroundColor: game.won ? '#10b981' : '#ef4444' }
+            { backgroundColor: resultBadge.color }
           ]}>
             <Ionicons
-              name={game.won ? 'trophy' : 'close-circle'}
+              name={resultBadge.icon}
               size={20}
               color="#ffffff"
             />
             <Text style={styles.statusText}>
-              {game.won ? 'Victory!' : 'Game Over'}
+              {resultBadge.label}
             </Text>
           </View>
-          <Text style={styles.gameDate}>{formatDate(game.startedAt)}</Text>
+          <Text style={[styles.gameDate, { color: colors.textMuted }]}>{formatDate(game.startedAt)}</Text>
+          <Text style={[styles.gameDate, { color: colors.textMuted }]}>
+            {boardSize}×{boardSize} board • {winTarget === null ? 'Endless' : `Target ${winTarget}`}
+            {modeLabel ? ` • ${modeLabel}` : ''}
+            {ruleSet !== DEFAULT_RULE_SET ? ` • ${getRuleSet(ruleSet).name} rules` : ''}
+            {` • ${getSpawnPolicy(game.spawnPolicy).name}`}
+            {game.seed !== undefined ? ` • Seed ${game.seed}` : ''}
+          </Text>
+          <Text style={[styles.gameDate, { color: colors.textMuted }]}>
+            {game.undosUsed > 0
+              ? `${game.undosUsed} ${game.undosUsed === 1 ? 'undo' : 'undos'} used`
+              : 'Clean run (no undos)'}
+          </Text>
+          {game.hintsUsed > 0 && (
+            <Text style={[styles.gameDate, { color: colors.textMuted }]}>
+              {game.hintsUsed} {game.hintsUsed === 1 ? 'hint' : 'hints'} used
+            </Text>
+          )}
         </View>
 
         {/* Main Stats */}
-        <View style={styles.statsContainer}>
-          <View style={styles.mainStat}>
-            <Text style={styles.mainStatValue}>{game.finalScore}</Text>
-            <Text style={styles.mainStatLabel}>Final Score</Text>
+        <View style={[styles.statsContainer, { backgroundColor: colors.surface }]}>
+          <View style={[styles.mainStat, { borderBottomColor: colors.surfaceMuted }]}>
+            <Text style={[styles.mainStatValue, { color: colors.accent }]}>{game.finalScore}</Text>
+            <Text style={[styles.mainStatLabel, { color: colors.textMuted }]}>Final Score</Text>
           </View>
           
           <View style={styles.statsGrid}>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{game.highestTile}</Text>
-              <Text style={styles.statLabel}>Highest Tile</Text>
+              <Text style={[styles.statValue, { color: colors.text }]}>{game.highestTile}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Highest Tile</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{formatDuration(game.durationSec)}</Text>
-              <Text style={styles.statLabel}>Duration</Text>
+              <Text style={[styles.statValue, { color: colors.text }]}>{formatDuration(game.durationSec)}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Duration</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{game.moves}</Text>
-              <Text style={styles.statLabel}>Moves</Text>
+              <Text style={[styles.statValue, { color: colors.text }]}>{game.moves}</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Moves</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>
+              <Text style={[styles.statValue, { color: colors.text }]}>
                 {game.moves > 0 ? Math.round(game.finalScore / game.moves) : 0}
               </Text>
-              <Text style={styles.statLabel}>Score/Move</Text>
+              <Text style={[styles.statLabel, { color: colors.textMuted }]}>Score/Move</Text>
             </View>
           </View>
         </View>
 
-        {/* Move Heatmap (Mock) */}
-        <View style={styles.section}>
+        {/* Replay */}
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <View style={styles.sectionHeader}>
-            <Ionicons name="analytics" size={24} color="#8b5cf6" />
-            <Text style={styles.sectionTitle}>Activity Heatmap</Text>
+            <Ionicons name="film" size={24} color="#f093fb" />
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Replay</Text>
           </View>
-          <Text style={styles.sectionDescription}>
-            Shows where most tile merges occurred during the game
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            Watch the game again move by move to see where it went wrong
           </Text>
-          
-          <View style={styles.heatmap}>
-            {heatmapData.map((row, rowIndex) => (
-              <View key={rowIndex} style={styles.heatmapRow}>
-                {row.map((intensity, colIndex) => (
-                  <View
-                    key={`${rowIndex}-${colIndex}`}
-                    style={[
-                      styles.heatmapCell,
-                      { backgroundColor: getHeatmapColor(intensity) }
-                    ]}
-                  />
+          <ReplayPlayer moveLog={game.moveLog} />
+        </View>
+
+        {/* Activity Heatmap */}
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name="analytics" size={24} color="#8b5cf6" />
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Activity Heatmap</Text>
+          </View>
+
+          {heatmapData ? (
+            <>
+              <View style={styles.layerSelector}>
+                {HEATMAP_LAYERS.map(layer => (
+                  <TouchableOpacity
+                    key={layer}
+                    style={[styles.layerOption, { borderColor: colors.border, backgroundColor: colors.surfaceMuted }, heatmapLayer === layer && styles.layerOptionSelected]}
+                    onPress={() => setHeatmapLayer(layer)}
+                  >
+                    <Text style={[styles.layerOptionText, { color: colors.textMuted }, heatmapLayer === layer && styles.layerOptionTextSelected]}>
+                      {HEATMAP_LAYER_INFO[layer].label}
+                    </Text>
+                  </TouchableOpacity>
                 ))}
               </View>
-            ))}
-          </View>
-          
-          <View style={styles.heatmapLegend}>
-            <Text style={styles.legendText}>Less Activity</Text>
-            <View style={styles.legendGradient}>
-              {[0.2, 0.4, 0.6, 0.8, 1.0].map(intensity => (
-                <View
-                  key={intensity}
-                  style={[
-                    styles.legendSample,
-                    { backgroundColor: getHeatmapColor(intensity) }
-                  ]}
-                />
-              ))}
-            </View>
-            <Text style={styles.legendText}>More Activity</Text>
-          </View>
+              <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+                {HEATMAP_LAYER_INFO[heatmapLayer].description}
+              </Text>
+
+              <View style={styles.heatmap}>
+                {heatmapData.map((row, rowIndex) => (
+                  <View key={rowIndex} style={styles.heatmapRow}>
+                    {row.map((intensity, colIndex) => (
+                      <View
+                        key={`${rowIndex}-${colIndex}`}
+                        style={[
+                          styles.heatmapCell,
+                          { borderColor: colors.border },
+                          { width: heatmapCellSize, height: heatmapCellSize },
+                          { backgroundColor: getHeatmapColor(intensity) }
+                        ]}
+                      >
+                        {boardSize <= 6 && (
+                          <Text style={[styles.heatmapCellText, { color: colors.textMuted }, intensity > 0.6 && styles.heatmapCellTextLight]}>
+                            {formatCellValue(layerGrid[rowIndex][colIndex])}
+                          </Text>
+                        )}
+                      </View>
+                    ))}
+                  </View>
+                ))}
+              </View>
+
+              <View style={styles.heatmapLegend}>
+                <Text style={[styles.legendText, { color: colors.textMuted }]}>Less Activity</Text>
+                <View style={styles.legendGradient}>
+                  {[0.2, 0.4, 0.6, 0.8, 1.0].map(intensity => (
+                    <View
+                      key={intensity}
+                      style={[
+                        styles.legendSample,
+                        { backgroundColor: getHeatmapColor(intensity) }
+                      ]}
+                    />
+                  ))}
+                </View>
+                <Text style={[styles.legendText, { color: colors.textMuted }]}>More Activity</Text>
+              </View>
+            </>
+          ) : (
+            <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+              Activity data is only available for games recorded with move-by-move replays.
+            </Text>
+          )}
         </View>
 
         {/* Performance Metrics */}
-        <View style={styles.section}>
+        <View style={[styles.section, { backgroundColor: colors.surface }]}>
           <View style={styles.sectionHeader}>
             <Ionicons name="speedometer" size={24} color="#06b6d4" />
-            <Text style={styles.sectionTitle}>Performance</Text>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>Performance</Text>
           </View>
           
           <View style={styles.metricsGrid}>
             <View style={styles.metricItem}>
-              <Text style={styles.metricLabel}>Efficiency</Text>
-              <Text style={styles.metricValue}>
+              <Text style={[styles.metricLabel, { color: colors.textMuted }]}>Efficiency</Text>
+              <Text style={[styles.metricValue, { color: colors.text }]}>
                 {game.moves > 0 ? Math.round((game.finalScore / game.moves) * 10) / 10 : 0}
               </Text>
-              <Text style={styles.metricUnit}>pts/move</Text>
+              <Text style={[styles.metricUnit, { color: colors.textFaint }]}>pts/move</Text>
             </View>
             
             <View style={styles.metricItem}>
-              <Text style={styles.metricLabel}>Speed</Text>
-              <Text style={styles.metricValue}>
+              <Text style={[styles.metricLabel, { color: colors.textMuted }]}>Speed</Text>
+              <Text style={[styles.metricValue, { color: colors.text }]}>
                 {game.durationSec > 0 ? Math.round((game.moves / game.durationSec) * 10) / 10 : 0}
               </Text>
-              <Text style={styles.metricUnit}>moves/sec</Text>
+              <Text style={[styles.metricUnit, { color: colors.textFaint }]}>moves/sec</Text>
             </View>
             
             <View style={styles.metricItem}>
-              <Text style={styles.metricLabel}>Progress</Text>
-              <Text style={styles.metricValue}>
+              <Text style={[styles.metricLabel, { color: colors.textMuted }]}>Progress</Text>
+              <Text style={[styles.metricValue, { color: colors.text }]}>
                 {Math.log2(game.highestTile || 2)}
               </Text>
-              <Text style={styles.metricUnit}>levels</Text>
+              <Text style={[styles.metricUnit, { color: colors.textFaint }]}>levels</Text>
             </View>
           </View>
         </View>
@@ -318,11 +433,11 @@ export default function DetailsScreen() {
 
         {/* Play Again */}
         <TouchableOpacity 
-          style={styles.playAgainButton}
+          style={[styles.playAgainButton, { backgroundColor: colors.surfaceMuted, borderColor: colors.accent }]}
           onPress={() => router.replace('/(tabs)')}
         >
           <Ionicons name="play" size={20} color="#667eea" />
-          <Text style={styles.playAgainText}>Play Again</Text>
+          <Text style={[styles.playAgainText, { color: colors.accent }]}>Play Again</Text>
         </TouchableOpacity>
       </ScrollView>
     </View>
@@ -497,6 +612,43 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     borderWidth: 1,
     borderColor: '#e2e8f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  heatmapCellText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#475569',
+  },
+  heatmapCellTextLight: {
+    color: '#ffffff',
+  },
+  layerSelector: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  layerOption: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#f1f5f9',
+  },
+  layerOptionSelected: {
+    backgroundColor: '#8b5cf6',
+    borderColor: '#8b5cf6',
+  },
+  layerOptionText: {
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  layerOptionTextSelected: {
+    color: '#ffffff',
   },
   heatmapLegend: {
     flexDirection: 'row',
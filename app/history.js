@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import {
   View,
   Text,
@@ -13,7 +13,16 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGame } from '../contexts/GameContext';
-import { initializeBoard } from '../utils/GameLogic';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  createNewGame,
+  getWinTargetLabel,
+  normalizeWinTarget,
+  DEFAULT_BOARD_SIZE,
+  ENDLESS_TARGET,
+} from '../utils/GameLogic';
+import { DEFAULT_RULE_SET, getRuleSet, normalizeRuleSet } from '../utils/RuleSets';
+import { DEFAULT_SPAWN_POLICY, getSpawnPolicy, normalizeSpawnPolicy } from '../utils/SpawnPolicy';
 
 /**
  * Game History Screen
@@ -22,16 +31,33 @@ import { initializeBoard } from '../utils/GameLogic';
  */
 export default function HistoryScreen() {
   const { state, dispatch } = useGame();
+  const { colors } = useTheme();
   const insets = useSafeAreaInsets();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedFilter, setSelectedFilter] = useState('All');
+  const [selectedTarget, setSelectedTarget] = useState('Any Target');
 
-  const filters = ['All', 'Wins', 'Loses'];
+  const filters = ['All', 'Wins', 'Loses', 'No Undo', 'Blitz', 'Par'];
+  // 目标筛选项取自历史记录中实际出现过的目标（各规则集的目标不同），按数值排序，无尽模式在最后
+  const targetFilters = useMemo(() => {
+    const targets = new Set(state.gameHistory.map(game => normalizeWinTarget(game.winTarget, game.ruleSet)));
+    const sorted = [...targets].sort((a, b) => {
+      if (a === ENDLESS_TARGET) return 1;
+      if (b === ENDLESS_TARGET) return -1;
+      return a - b;
+    });
+    return ['Any Target', ...sorted.map(getWinTargetLabel)];
+  }, [state.gameHistory]);
 
   const filteredGames = state.gameHistory.filter(game => {
     // Apply filter
     if (selectedFilter === 'Wins' && !game.won) return false;
     if (selectedFilter === 'Loses' && game.won) return false;
+    if (selectedFilter === 'No Undo' && game.undosUsed > 0) return false;
+    if (selectedFilter === 'Blitz' && game.mode !== 'blitz') return false;
+    if (selectedFilter === 'Par' && game.mode !== 'par') return false;
+    if (selectedTarget !== 'Any Target'
+      && getWinTargetLabel(normalizeWinTarget(game.winTarget, game.ruleSet)) !== selectedTarget) return false;
 
     // Apply search (search by score range or tile value)
     if (searchQuery) {
@@ -62,14 +88,25 @@ export default function HistoryScreen() {
       : `${remainingSeconds}s`;
   };
 
+  // 对局结果徽章：胜利 / 超时 / 步数用完 / 失败
+  const getGameStatus = (game) => {
+    if (game.won) return { label: 'Won', icon: 'trophy', color: '#10b981' };
+    if (game.result === 'time_up') return { label: 'Time Up', icon: 'timer', color: '#f59e0b' };
+    if (game.result === 'out_of_moves') return { label: 'Par Done', icon: 'flag', color: '#667eea' };
+    return { label: 'Lost', icon: 'close-circle', color: '#ef4444' };
+  };
+
   const handleStartNewGame = () => {
     // Create new game
-    const newBoard = initializeBoard();
-    const gameData = {
-      id: Date.now().toString(),
-      startedAt: new Date().toISOString(),
-      moves: 0,
-    };
+    const { board: newBoard, gameData } = createNewGame({
+      boardSize: state.boardSize,
+      undoLimit: state.undoLimit,
+      winTarget: state.winTarget,
+      timeLimitSec: state.timeLimitSec,
+      moveLimit: state.moveLimit,
+      ruleSet: state.ruleSet,
+      spawnPolicy: state.spawnPolicy,
+    });
 
     dispatch({ type: 'NEW_GAME', payload: { board: newBoard, gameData } });
     
@@ -79,40 +116,87 @@ export default function HistoryScreen() {
 
   const renderGameItem = ({ item: game }) => (
     <TouchableOpacity
-      style={styles.gameCard}
+      style={[styles.gameCard, { backgroundColor: colors.surface, borderColor: colors.border }]}
       onPress={() => router.push(`/details/${game.id}`)}
     >
       <View style={styles.gameHeader}>
         <View style={styles.gameDateContainer}>
-          <Text style={styles.gameDate}>{formatDate(game.startedAt)}</Text>
-          <View style={[styles.gameStatus, { backgroundColor: game.won ? '#10b981' : '#ef4444' }]}>
+          <Text style={[styles.gameDate, { color: colors.textMuted }]}>{formatDate(game.startedAt)}</Text>
+          <View style={[styles.gameStatus, { backgroundColor: getGameStatus(game).color }]}>
             <Ionicons
-              name={game.won ? 'trophy' : 'close-circle'}
+              name={getGameStatus(game).icon}
               size={14}
               color="#ffffff"
             />
-            <Text style={styles.gameStatusText}>{game.won ? 'Won' : 'Lost'}</Text>
+            <Text style={styles.gameStatusText}>{getGameStatus(game).label}</Text>
           </View>
+          {game.mode === 'blitz' && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>Blitz {game.timeLimitSec / 60}m</Text>
+            </View>
+          )}
+          {game.dailyKey && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>Daily {game.dailyKey.slice(5)}</Text>
+            </View>
+          )}
+          {game.mode === 'par' && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>Par {game.moveLimit}</Text>
+            </View>
+          )}
+          {(game.boardSize || DEFAULT_BOARD_SIZE) !== DEFAULT_BOARD_SIZE && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>{game.boardSize}×{game.boardSize}</Text>
+            </View>
+          )}
+          {normalizeRuleSet(game.ruleSet) !== DEFAULT_RULE_SET && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>{getRuleSet(game.ruleSet).name}</Text>
+            </View>
+          )}
+          {normalizeSpawnPolicy(game.spawnPolicy) !== DEFAULT_SPAWN_POLICY && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>{getSpawnPolicy(game.spawnPolicy).name}</Text>
+            </View>
+          )}
+          {normalizeWinTarget(game.winTarget, game.ruleSet) !== getRuleSet(game.ruleSet).defaultWinTarget && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>
+                {game.winTarget === null ? 'Endless' : `Target ${game.winTarget}`}
+              </Text>
+            </View>
+          )}
+          {game.undosUsed > 0 && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>Undo ×{game.undosUsed}</Text>
+            </View>
+          )}
+          {game.hintsUsed > 0 && (
+            <View style={styles.gameTag}>
+              <Text style={styles.gameTagText}>Hint ×{game.hintsUsed}</Text>
+            </View>
+          )}
         </View>
-        <Ionicons name="chevron-forward" size={20} color="#cbd5e0" />
+        <Ionicons name="chevron-forward" size={20} color={colors.textFaint} />
       </View>
 
       <View style={styles.gameStats}>
         <View style={styles.statGroup}>
-          <Text style={styles.statValue}>{game.finalScore}</Text>
-          <Text style={styles.statLabel}>Final Score</Text>
+          <Text style={[styles.statValue, { color: colors.text }]}>{game.finalScore}</Text>
+          <Text style={[styles.statLabel, { color: colors.textMuted }]}>Final Score</Text>
         </View>
         <View style={styles.statGroup}>
-          <Text style={styles.statValue}>{game.highestTile}</Text>
-          <Text style={styles.statLabel}>Highest Tile</Text>
+          <Text style={[styles.statValue, { color: colors.text }]}>{game.highestTile}</Text>
+          <Text style={[styles.statLabel, { color: colors.textMuted }]}>Highest Tile</Text>
         </View>
         <View style={styles.statGroup}>
-          <Text style={styles.statValue}>{formatDuration(game.durationSec)}</Text>
-          <Text style={styles.statLabel}>Duration</Text>
+          <Text style={[styles.statValue, { color: colors.text }]}>{formatDuration(game.durationSec)}</Text>
+          <Text style={[styles.statLabel, { color: colors.textMuted }]}>Duration</Text>
         </View>
         <View style={styles.statGroup}>
-          <Text style={styles.statValue}>{game.moves}</Text>
-          <Text style={styles.statLabel}>Moves</Text>
+          <Text style={[styles.statValue, { color: colors.text }]}>{game.moves}</Text>
+          <Text style={[styles.statLabel, { color: colors.textMuted }]}>Moves</Text>
         </View>
       </View>
     </TouchableOpacity>
@@ -120,12 +204,12 @@ export default function HistoryScreen() {
 
   const renderEmptyState = () => (
     <View style={styles.emptyContainer}>
-      <Ionicons name="game-controller-outline" size={64} color="#cbd5e0" />
-      <Text style={styles.emptyTitle}>No Games Found</Text>
-      <Text style={styles.emptyDescription}>
-        {selectedFilter === 'All' 
+      <Ionicons name="game-controller-outline" size={64} color={colors.textFaint} />
+      <Text style={[styles.emptyTitle, { color: colors.text }]}>No Games Found</Text>
+      <Text style={[styles.emptyDescription, { color: colors.textMuted }]}>
+        {selectedFilter === 'All' && selectedTarget === 'Any Target'
           ? 'Start playing to see your game history here!'
-          : `No games match the "${selectedFilter}" filter.`}
+          : 'No games match the selected filters.'}
       </Text>
       <TouchableOpacity
         style={styles.playButton}
@@ -145,25 +229,25 @@ export default function HistoryScreen() {
           style={styles.backButton}
           onPress={() => router.back()}
         >
-          <Ionicons name="arrow-back" size={24} color="#1e293b" />
+          <Ionicons name="arrow-back" size={24} color={colors.text} />
         </TouchableOpacity>
-        <Text style={styles.title}>Game History</Text>
+        <Text style={[styles.title, { color: colors.text }]}>Game History</Text>
         <View style={styles.placeholder} />
       </View>
 
       {/* Search Bar */}
-      <View style={styles.searchContainer}>
-        <Ionicons name="search" size={20} color="#94a3b8" />
+      <View style={[styles.searchContainer, { backgroundColor: colors.surface, borderColor: colors.border }]}>
+        <Ionicons name="search" size={20} color={colors.textFaint} />
         <TextInput
-          style={styles.searchInput}
+          style={[styles.searchInput, { color: colors.text }]}
           placeholder="Search by score, tile, or moves..."
           value={searchQuery}
           onChangeText={setSearchQuery}
-          placeholderTextColor="#94a3b8"
+          placeholderTextColor={colors.textFaint}
         />
         {searchQuery.length > 0 && (
           <TouchableOpacity onPress={() => setSearchQuery('')}>
-            <Ionicons name="close-circle" size={20} color="#94a3b8" />
+            <Ionicons name="close-circle" size={20} color={colors.textFaint} />
           </TouchableOpacity>
         )}
       </View>
@@ -180,8 +264,8 @@ export default function HistoryScreen() {
             style={[
               styles.filterChip,
               { 
-                backgroundColor: selectedFilter === filter ? '#667eea' : '#f1f5f9',
-                borderColor: selectedFilter === filter ? '#667eea' : '#e2e8f0'
+                backgroundColor: selectedFilter === filter ? colors.accent : colors.surfaceMuted,
+                borderColor: selectedFilter === filter ? colors.accent : colors.border
               }
             ]}
             onPress={() => setSelectedFilter(filter)}
@@ -189,7 +273,7 @@ export default function HistoryScreen() {
             <Text
               style={[
                 styles.filterChipText,
-                { color: selectedFilter === filter ? '#ffffff' : '#64748b' }
+                { color: selectedFilter === filter ? '#ffffff' : colors.textMuted }
               ]}
             >
               {filter}
@@ -198,14 +282,44 @@ export default function HistoryScreen() {
         ))}
       </ScrollView>
 
+      {/* Win Target Chips */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.filtersContainer}
+      >
+        {targetFilters.map(target => (
+          <TouchableOpacity
+            key={target}
+            style={[
+              styles.filterChip,
+              { 
+                backgroundColor: selectedTarget === target ? colors.accent : colors.surfaceMuted,
+                borderColor: selectedTarget === target ? colors.accent : colors.border
+              }
+            ]}
+            onPress={() => setSelectedTarget(target)}
+          >
+            <Text
+              style={[
+                styles.filterChipText,
+                { color: selectedTarget === target ? '#ffffff' : colors.textMuted }
+              ]}
+            >
+              {target}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
       {/* Results Summary */}
       <View style={styles.summaryContainer}>
-        <Text style={styles.summaryText}>
+        <Text style={[styles.summaryText, { color: colors.textMuted }]}>
           {filteredGames.length} {filteredGames.length === 1 ? 'game' : 'games'} found
         </Text>
         {filteredGames.length > 0 && (
           <TouchableOpacity onPress={handleStartNewGame}>
-            <Text style={styles.newGameLink}>Start New Game</Text>
+            <Text style={[styles.newGameLink, { color: colors.accent }]}>Start New Game</Text>
           </TouchableOpacity>
         )}
       </View>
@@ -215,7 +329,8 @@ export default function HistoryScreen() {
   return (
     <View style={[styles.container, { 
       paddingTop: insets.top, 
-      paddingBottom: insets.bottom
+      paddingBottom: insets.bottom,
+      backgroundColor: colors.background,
     }]}>
       <FlatList
         data={filteredGames}
@@ -349,6 +464,18 @@ const styles = StyleSheet.create({
     color: '#ffffff',
     marginLeft: 4,
   },
+  gameTag: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginLeft: 6,
+    backgroundColor: '#e0e7ff',
+  },
+  gameTagText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#667eea',
+  },
   gameStats: {
     flexDirection: 'row',
     justifyContent: 'space-between',
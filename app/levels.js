@@ -0,0 +1,239 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Platform
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { router } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useGame } from '../contexts/GameContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { loadLevelPacks, describeGoal } from '../utils/LevelPack';
+
+/**
+ * Level Select Screen
+ * Purpose: Pick a hand-authored puzzle level from the bundled level packs
+ * Features: Per-level stars and best moves, sequential unlocking, level pack error reporting
+ */
+export default function LevelsScreen() {
+  const { state } = useGame();
+  const { colors } = useTheme();
+  const insets = useSafeAreaInsets();
+  const { packs, errors } = useMemo(() => loadLevelPacks(), []);
+
+  const renderStars = (stars) => (
+    <View style={styles.starsRow}>
+      {[1, 2, 3].map(n => (
+        <Ionicons key={n} name={n <= stars ? 'star' : 'star-outline'} size={14} color="#edc22e" />
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top, backgroundColor: colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={[styles.title, { color: colors.text }]}>Puzzles</Text>
+          <View style={styles.placeholder} />
+        </View>
+
+        {/* Invalid packs */}
+        {errors.map(({ packName, errors: packErrors }) => (
+          <View key={packName} style={styles.errorCard}>
+            <View style={styles.errorHeader}>
+              <Ionicons name="warning" size={18} color="#ef4444" />
+              <Text style={styles.errorTitle}>{`Could not load "${packName}"`}</Text>
+            </View>
+            {packErrors.map((message, i) => (
+              <Text key={i} style={styles.errorText}>• {message}</Text>
+            ))}
+          </View>
+        ))}
+
+        {packs.map(pack => {
+          const completed = pack.levels.filter(level => state.puzzleProgress[level.key]).length;
+          return (
+            <View key={pack.id} style={[styles.section, { backgroundColor: colors.surface }]}>
+              <View style={styles.sectionHeader}>
+                <Text style={[styles.sectionTitle, { color: colors.text }]}>{pack.name}</Text>
+                <Text style={[styles.sectionProgress, { color: colors.textMuted }]}>{completed} / {pack.levels.length}</Text>
+              </View>
+
+              {pack.levels.map((level, i) => {
+                const progress = state.puzzleProgress[level.key];
+                // 按顺序解锁：上一关完成后才能玩下一关
+                const unlocked = i === 0 || !!state.puzzleProgress[pack.levels[i - 1].key];
+                return (
+                  <TouchableOpacity
+                    key={level.key}
+                    style={[styles.levelCard, { borderBottomColor: colors.surfaceMuted }, !unlocked && styles.levelCardLocked]}
+                    disabled={!unlocked}
+                    onPress={() => router.push({ pathname: '/puzzle', params: { level: level.key } })}
+                  >
+                    <View style={[styles.levelNumber, { backgroundColor: colors.gameButton }]}>
+                      {unlocked ? (
+                        <Text style={styles.levelNumberText}>{i + 1}</Text>
+                      ) : (
+                        <Ionicons name="lock-closed" size={16} color="#ffffff" />
+                      )}
+                    </View>
+                    <View style={styles.levelInfo}>
+                      <Text style={[styles.levelName, { color: colors.text }]}>{level.name}</Text>
+                      <Text style={[styles.levelGoal, { color: colors.textMuted }]}>
+                        {describeGoal(level.goal)} • {level.board.length}×{level.board.length}
+                      </Text>
+                    </View>
+                    <View style={styles.levelResult}>
+                      {renderStars(progress?.stars || 0)}
+                      {progress && (
+                        <Text style={[styles.levelBest, { color: colors.textFaint }]}>Best: {progress.bestMoves} moves</Text>
+                      )}
+                    </View>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  content: {
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  backButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  placeholder: {
+    width: 40,
+  },
+  errorCard: {
+    backgroundColor: '#fef2f2',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    padding: 16,
+    marginBottom: 16,
+  },
+  errorHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  errorTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#b91c1c',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#7f1d1d',
+    lineHeight: 18,
+  },
+  section: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  sectionProgress: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  levelCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+    gap: 12,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  levelCardLocked: {
+    opacity: 0.5,
+  },
+  levelNumber: {
+    width: 36,
+    height: 36,
+    borderRadius: 8,
+    backgroundColor: '#8f7a66',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  levelNumberText: {
+    color: '#ffffff',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  levelInfo: {
+    flex: 1,
+  },
+  levelName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  levelGoal: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  levelResult: {
+    alignItems: 'flex-end',
+  },
+  starsRow: {
+    flexDirection: 'row',
+    gap: 2,
+  },
+  levelBest: {
+    fontSize: 11,
+    color: '#94a3b8',
+    marginTop: 2,
+  },
+});
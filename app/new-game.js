@@ -7,13 +7,48 @@ import {
   Switch,
   Modal,
   Alert,
+  ScrollView,
   Platform
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGame } from '../contexts/GameContext';
-import { initializeBoard } from '../utils/GameLogic';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  createNewGame,
+  getWinTargetLabel,
+  BOARD_SIZES,
+  UNDO_LIMITS,
+  UNLIMITED_UNDO,
+  BLITZ_TIME_LIMITS,
+  PAR_MOVE_LIMITS,
+  ENDLESS_TARGET,
+} from '../utils/GameLogic';
+import { DEFAULT_RULE_SET, RULE_SET_IDS, getRuleSet } from '../utils/RuleSets';
+import { SPAWN_POLICY_IDS, getSpawnPolicy } from '../utils/SpawnPolicy';
+import { getTileStyle } from '../utils/BoardAnimation';
+
+// 棋盘尺寸选项的难度标签
+const BOARD_SIZE_LABELS = {
+  3: 'Hard',
+  4: 'Classic',
+  5: 'Relaxed',
+  6: 'Relaxed',
+  7: 'Marathon',
+  8: 'Marathon',
+};
+
+// 撤销次数选项的显示文字
+const UNDO_LIMIT_LABELS = {
+  0: 'Off',
+  1: '1',
+  3: '3',
+  [UNLIMITED_UNDO]: '∞',
+};
+
+const PREVIEW_INNER_SIZE = 144; // 预览棋盘内容区（160 - 上下各 8 的 padding）
+const PREVIEW_GAP = 4;
 
 /**
  * Start New Game Screen
@@ -22,10 +57,18 @@ import { initializeBoard } from '../utils/GameLogic';
  */
 export default function NewGameScreen() {
   const { state, dispatch, saveGameData } = useGame();
+  const { colors, scheme } = useTheme();
   const insets = useSafeAreaInsets();
   const [tempSettings, setTempSettings] = useState({
     soundOn: state.soundOn,
     hapticsOn: state.hapticsOn,
+    boardSize: state.boardSize,
+    undoLimit: state.undoLimit,
+    ruleSet: state.ruleSet,
+    spawnPolicy: state.spawnPolicy,
+    winTarget: state.winTarget,
+    timeLimitSec: state.timeLimitSec,
+    moveLimit: state.moveLimit,
   });
   const [showConfirmation, setShowConfirmation] = useState(false);
   const [isStarting, setIsStarting] = useState(false);
@@ -34,6 +77,20 @@ export default function NewGameScreen() {
     setTempSettings(prev => ({ ...prev, [key]: value }));
   };
 
+  // 切换规则集时胜利目标重置为该规则的默认目标（各规则的目标数值不通用）
+  const selectRuleSet = (id) => {
+    setTempSettings(prev => ({ ...prev, ruleSet: id, winTarget: getRuleSet(id).defaultWinTarget }));
+  };
+
+  // Blitz 与 Par 互斥：开启其中一个时关闭另一个
+  const selectTimeLimit = (limit) => {
+    setTempSettings(prev => ({ ...prev, timeLimitSec: limit, moveLimit: limit ? null : prev.moveLimit }));
+  };
+
+  const selectMoveLimit = (limit) => {
+    setTempSettings(prev => ({ ...prev, moveLimit: limit, timeLimitSec: limit ? null : prev.timeLimitSec }));
+  };
+
   const handleStartGame = async () => {
     setIsStarting(true);
     
@@ -41,7 +98,14 @@ export default function NewGameScreen() {
       // Save any setting changes
       const settingsChanged = 
         tempSettings.soundOn !== state.soundOn ||
-        tempSettings.hapticsOn !== state.hapticsOn;
+        tempSettings.hapticsOn !== state.hapticsOn ||
+        tempSettings.boardSize !== state.boardSize ||
+        tempSettings.undoLimit !== state.undoLimit ||
+        tempSettings.ruleSet !== state.ruleSet ||
+        tempSettings.spawnPolicy !== state.spawnPolicy ||
+        tempSettings.winTarget !== state.winTarget ||
+        tempSettings.timeLimitSec !== state.timeLimitSec ||
+        tempSettings.moveLimit !== state.moveLimit;
       
       if (settingsChanged) {
         dispatch({ type: 'UPDATE_SETTINGS', payload: tempSettings });
@@ -49,12 +113,15 @@ export default function NewGameScreen() {
       }
 
       // Create new game
-      const newBoard = initializeBoard();
-      const gameData = {
-        id: Date.now().toString(),
-        startedAt: new Date().toISOString(),
-        moves: 0,
-      };
+      const { board: newBoard, gameData } = createNewGame({
+        boardSize: tempSettings.boardSize,
+        undoLimit: tempSettings.undoLimit,
+        ruleSet: tempSettings.ruleSet,
+        spawnPolicy: tempSettings.spawnPolicy,
+        winTarget: tempSettings.winTarget,
+        timeLimitSec: tempSettings.timeLimitSec,
+        moveLimit: tempSettings.moveLimit,
+      });
 
       dispatch({ type: 'NEW_GAME', payload: { board: newBoard, gameData } });
       
@@ -73,20 +140,32 @@ export default function NewGameScreen() {
     }
   };
 
+  const rules = getRuleSet(tempSettings.ruleSet);
+  const previewSize = tempSettings.boardSize;
+  const previewCellSize = Math.floor(
+    (PREVIEW_INNER_SIZE - PREVIEW_GAP * (previewSize - 1)) / previewSize
+  );
+
+  // 开局提示：按所选规则集和胜利目标描述本局目标
+  const rulesLabel = tempSettings.ruleSet === DEFAULT_RULE_SET ? '' : ` in ${rules.name}`;
+  const goalMessage = tempSettings.winTarget === ENDLESS_TARGET
+    ? `Endless mode${rulesLabel}: play until the board is full!`
+    : `Good luck reaching ${getWinTargetLabel(tempSettings.winTarget)}${rulesLabel}!`;
+
   const ConfirmationModal = () => (
     <Modal
       visible={showConfirmation}
       transparent
       animationType="fade"
     >
-      <View style={styles.modalOverlay}>
-        <View style={styles.modalContainer}>
+      <View style={[styles.modalOverlay, { backgroundColor: colors.overlay }]}>
+        <View style={[styles.modalContainer, { backgroundColor: colors.surface }]}>
           <View style={styles.successIcon}>
             <Ionicons name="checkmark-circle" size={64} color="#10b981" />
           </View>
-          <Text style={styles.modalTitle}>Game Started!</Text>
-          <Text style={styles.modalDescription}>
-            Good luck reaching 2048!
+          <Text style={[styles.modalTitle, { color: colors.text }]}>Game Started!</Text>
+          <Text style={[styles.modalDescription, { color: colors.textMuted }]}>
+            {goalMessage}
           </Text>
         </View>
       </View>
@@ -96,65 +175,240 @@ export default function NewGameScreen() {
   return (
     <View style={[styles.container, { 
       paddingTop: insets.top, 
-      paddingBottom: insets.bottom
+      paddingBottom: insets.bottom,
+      backgroundColor: colors.background,
     }]}>
-      <View style={styles.content}>
+      <ScrollView contentContainerStyle={styles.content}>
         {/* Header */}
         <View style={styles.header}>
           <TouchableOpacity 
             style={styles.backButton}
             onPress={() => router.back()}
           >
-            <Ionicons name="arrow-back" size={24} color="#1e293b" />
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
           </TouchableOpacity>
-          <Text style={styles.title}>Start New Game</Text>
+          <Text style={[styles.title, { color: colors.text }]}>Start New Game</Text>
           <View style={styles.placeholder} />
         </View>
 
         {/* Game Preview */}
         <View style={styles.previewSection}>
-          <View style={styles.gamePreview}>
-            <View style={styles.previewBoard}>
-              <View style={styles.previewTile}>
-                <Text style={styles.previewTileText}>2</Text>
-              </View>
-              <View style={styles.previewTile}>
-                <Text style={styles.previewTileText}>4</Text>
-              </View>
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
-              <View style={styles.previewEmpty} />
+          <View style={[styles.gamePreview, { backgroundColor: colors.surface }]}>
+            <View style={[styles.previewBoard, { backgroundColor: colors.board }]}>
+              {Array.from({ length: previewSize * previewSize }).map((_, i) => {
+                const value = i < 2 ? rules.spawns[i].value : null;
+                return (
+                  <View
+                    key={i}
+                    style={[
+                      value
+                        ? [styles.previewTile, { backgroundColor: getTileStyle(value, tempSettings.ruleSet, scheme).backgroundColor }]
+                        : [styles.previewEmpty, { backgroundColor: colors.gridCell }],
+                      { width: previewCellSize, height: previewCellSize },
+                    ]}
+                  >
+                    {value && (
+                      <Text style={[styles.previewTileText, { color: getTileStyle(value, tempSettings.ruleSet, scheme).color, fontSize: Math.min(14, previewCellSize * 0.45) }]}>
+                        {value}
+                      </Text>
+                    )}
+                  </View>
+                );
+              })}
             </View>
           </View>
-          <Text style={styles.previewDescription}>
-            A fresh 4×4 board will be created with two starting tiles
+          <Text style={[styles.previewDescription, { color: colors.textMuted }]}>
+            A fresh {previewSize}×{previewSize} board will be created with two starting tiles
+          </Text>
+        </View>
+
+        {/* Board Size */}
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Board Size</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            Smaller boards are harder, larger boards are more relaxed
+          </Text>
+          <View style={styles.optionRow}>
+            {BOARD_SIZES.map(size => {
+              const selected = tempSettings.boardSize === size;
+              return (
+                <TouchableOpacity
+                  key={size}
+                  style={[styles.optionChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, selected && styles.optionChipSelected]}
+                  onPress={() => updateTempSetting('boardSize', size)}
+                >
+                  <Text style={[styles.optionChipText, { color: colors.text }, selected && styles.optionChipTextSelected]}>
+                    {size}×{size}
+                  </Text>
+                  <Text style={[styles.optionChipHint, { color: colors.textMuted }, selected && styles.optionChipTextSelected]}>
+                    {BOARD_SIZE_LABELS[size]}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Undo Limit */}
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Undo Limit</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            How many moves you can take back in this game
+          </Text>
+          <View style={styles.optionRow}>
+            {UNDO_LIMITS.map(limit => {
+              const selected = tempSettings.undoLimit === limit;
+              return (
+                <TouchableOpacity
+                  key={limit}
+                  style={[styles.optionChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, selected && styles.optionChipSelected]}
+                  onPress={() => updateTempSetting('undoLimit', limit)}
+                >
+                  <Text style={[styles.optionChipText, { color: colors.text }, selected && styles.optionChipTextSelected]}>
+                    {UNDO_LIMIT_LABELS[limit]}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Merge Rules */}
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Merge Rules</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            Which tiles combine. Each rule set has its own starting tiles, win targets and colors
+          </Text>
+          <View style={styles.optionRow}>
+            {RULE_SET_IDS.map(id => {
+              const selected = tempSettings.ruleSet === id;
+              return (
+                <TouchableOpacity
+                  key={id}
+                  style={[styles.optionChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, selected && styles.optionChipSelected]}
+                  onPress={() => selectRuleSet(id)}
+                >
+                  <Text style={[styles.optionChipText, { color: colors.text }, selected && styles.optionChipTextSelected]}>
+                    {getRuleSet(id).name}
+                  </Text>
+                  <Text style={[styles.optionChipHint, { color: colors.textMuted }, selected && styles.optionChipTextSelected]}>
+                    {getRuleSet(id).example}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Difficulty (Spawn Policy) */}
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Difficulty</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            {getSpawnPolicy(tempSettings.spawnPolicy).description}. Each difficulty keeps its own best score
+          </Text>
+          <View style={styles.optionRow}>
+            {SPAWN_POLICY_IDS.map(id => {
+              const selected = tempSettings.spawnPolicy === id;
+              return (
+                <TouchableOpacity
+                  key={id}
+                  style={[styles.optionChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, selected && styles.optionChipSelected]}
+                  onPress={() => updateTempSetting('spawnPolicy', id)}
+                >
+                  <Text style={[styles.optionChipText, { color: colors.text }, selected && styles.optionChipTextSelected]}>
+                    {getSpawnPolicy(id).name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Win Target */}
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Win Target</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            The tile you need to reach to win. Endless never stops until the board is full
+          </Text>
+          <View style={styles.optionRow}>
+            {rules.winTargets.map(target => {
+              const selected = tempSettings.winTarget === target;
+              return (
+                <TouchableOpacity
+                  key={getWinTargetLabel(target)}
+                  style={[styles.optionChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, selected && styles.optionChipSelected]}
+                  onPress={() => updateTempSetting('winTarget', target)}
+                >
+                  <Text style={[styles.optionChipText, { color: colors.text }, selected && styles.optionChipTextSelected]}>
+                    {target === null ? '∞' : target}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Blitz Time Limit */}
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Blitz Mode</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            Race the clock: the game ends when time runs out. Each time limit keeps its own best score
+          </Text>
+          <View style={styles.optionRow}>
+            {[null, ...BLITZ_TIME_LIMITS].map(limit => {
+              const selected = tempSettings.timeLimitSec === limit;
+              return (
+                <TouchableOpacity
+                  key={limit ?? 'off'}
+                  style={[styles.optionChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, selected && styles.optionChipSelected]}
+                  onPress={() => selectTimeLimit(limit)}
+                >
+                  <Text style={[styles.optionChipText, { color: colors.text }, selected && styles.optionChipTextSelected]}>
+                    {limit === null ? 'Off' : `${limit / 60} min`}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Par Move Limit */}
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Par Mode</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
+            A fixed number of moves: score as high as you can before they run out. Each limit keeps its own best score
           </Text>
+          <View style={styles.optionRow}>
+            {[null, ...PAR_MOVE_LIMITS].map(limit => {
+              const selected = tempSettings.moveLimit === limit;
+              return (
+                <TouchableOpacity
+                  key={limit ?? 'off'}
+                  style={[styles.optionChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, selected && styles.optionChipSelected]}
+                  onPress={() => selectMoveLimit(limit)}
+                >
+                  <Text style={[styles.optionChipText, { color: colors.text }, selected && styles.optionChipTextSelected]}>
+                    {limit === null ? 'Off' : `${limit} moves`}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
         </View>
 
         {/* Game Settings */}
-        <View style={styles.settingsSection}>
-          <Text style={styles.sectionTitle}>Game Settings</Text>
-          <Text style={styles.sectionDescription}>
+        <View style={[styles.settingsSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Game Settings</Text>
+          <Text style={[styles.sectionDescription, { color: colors.textMuted }]}>
             These settings will apply to your new game
           </Text>
 
-          <View style={styles.settingItem}>
+          <View style={[styles.settingItem, { borderBottomColor: colors.surfaceMuted }]}>
             <View style={styles.settingInfo}>
               <Ionicons name="volume-high" size={24} color="#667eea" />
               <View style={styles.settingText}>
-                <Text style={styles.settingLabel}>Sound Effects</Text>
-                <Text style={styles.settingDescription}>
+                <Text style={[styles.settingLabel, { color: colors.text }]}>Sound Effects</Text>
+                <Text style={[styles.settingDescription, { color: colors.textMuted }]}>
                   Play audio feedback for moves and merges
                 </Text>
               </View>
@@ -162,17 +416,17 @@ export default function NewGameScreen() {
             <Switch
               value={tempSettings.soundOn}
               onValueChange={(value) => updateTempSetting('soundOn', value)}
-              trackColor={{ false: '#e2e8f0', true: '#667eea' }}
-              thumbColor={tempSettings.soundOn ? '#ffffff' : '#cbd5e0'}
+              trackColor={{ false: colors.switchTrack, true: colors.accent }}
+              thumbColor={tempSettings.soundOn ? '#ffffff' : colors.switchThumb}
             />
           </View>
 
-          <View style={styles.settingItem}>
+          <View style={[styles.settingItem, { borderBottomColor: colors.surfaceMuted }]}>
             <View style={styles.settingInfo}>
               <Ionicons name="phone-portrait" size={24} color="#f093fb" />
               <View style={styles.settingText}>
-                <Text style={styles.settingLabel}>Haptic Feedback</Text>
-                <Text style={styles.settingDescription}>
+                <Text style={[styles.settingLabel, { color: colors.text }]}>Haptic Feedback</Text>
+                <Text style={[styles.settingDescription, { color: colors.textMuted }]}>
                   Vibrate on successful moves and merges
                 </Text>
               </View>
@@ -180,39 +434,43 @@ export default function NewGameScreen() {
             <Switch
               value={tempSettings.hapticsOn}
               onValueChange={(value) => updateTempSetting('hapticsOn', value)}
-              trackColor={{ false: '#e2e8f0', true: '#f093fb' }}
-              thumbColor={tempSettings.hapticsOn ? '#ffffff' : '#cbd5e0'}
+              trackColor={{ false: colors.switchTrack, true: '#f093fb' }}
+              thumbColor={tempSettings.hapticsOn ? '#ffffff' : colors.switchThumb}
             />
           </View>
         </View>
 
         {/* Game Rules Reminder */}
-        <View style={styles.rulesSection}>
-          <Text style={styles.sectionTitle}>Quick Reminder</Text>
+        <View style={[styles.rulesSection, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Quick Reminder</Text>
           
           <View style={styles.ruleItem}>
             <Ionicons name="finger-print" size={20} color="#8b5cf6" />
-            <Text style={styles.ruleText}>Swipe to move all tiles in that direction</Text>
+            <Text style={[styles.ruleText, { color: colors.textMuted }]}>Swipe to move all tiles in that direction</Text>
           </View>
           
           <View style={styles.ruleItem}>
             <Ionicons name="add-circle" size={20} color="#06b6d4" />
-            <Text style={styles.ruleText}>Identical tiles merge when they collide</Text>
+            <Text style={[styles.ruleText, { color: colors.textMuted }]}>
+              {rules.id === DEFAULT_RULE_SET
+                ? 'Identical tiles merge when they collide'
+                : `${rules.name} tiles merge when they collide: ${rules.example}`}
+            </Text>
           </View>
           
           <View style={styles.ruleItem}>
             <Ionicons name="trophy" size={20} color="#ffd89b" />
-            <Text style={styles.ruleText}>Reach 2048 to win!</Text>
+            <Text style={[styles.ruleText, { color: colors.textMuted }]}>Reach 2048 to win!</Text>
           </View>
         </View>
 
         {/* Action Buttons */}
         <View style={styles.actionsContainer}>
           <TouchableOpacity
-            style={styles.cancelButton}
+            style={[styles.cancelButton, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }]}
             onPress={() => router.back()}
           >
-            <Text style={styles.cancelButtonText}>Cancel</Text>
+            <Text style={[styles.cancelButtonText, { color: colors.textMuted }]}>Cancel</Text>
           </TouchableOpacity>
           
           <TouchableOpacity
@@ -234,11 +492,11 @@ export default function NewGameScreen() {
         </View>
 
         {/* Current Best Score */}
-        <View style={styles.bestScoreContainer}>
-          <Text style={styles.bestScoreLabel}>Your Best Score</Text>
+        <View style={[styles.bestScoreContainer, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.bestScoreLabel, { color: colors.textMuted }]}>Your Best Score</Text>
           <Text style={styles.bestScoreValue}>{state.maxScore || 0}</Text>
         </View>
-      </View>
+      </ScrollView>
 
       <ConfirmationModal />
     </View>
@@ -251,7 +509,6 @@ const styles = StyleSheet.create({
     backgroundColor: '#f8fafc',
   },
   content: {
-    flex: 1,
     padding: 20,
   },
   header: {
@@ -294,12 +551,9 @@ const styles = StyleSheet.create({
     padding: 8,
     flexDirection: 'row',
     flexWrap: 'wrap',
-    justifyContent: 'space-between',
-    alignContent: 'space-between',
+    gap: PREVIEW_GAP,
   },
   previewTile: {
-    width: 32,
-    height: 32,
     backgroundColor: '#eee4da',
     borderRadius: 4,
     justifyContent: 'center',
@@ -311,8 +565,6 @@ const styles = StyleSheet.create({
     color: '#776e65',
   },
   previewEmpty: {
-    width: 32,
-    height: 32,
     backgroundColor: '#cdc1b4',
     borderRadius: 4,
   },
@@ -343,6 +595,38 @@ const styles = StyleSheet.create({
     color: '#64748b',
     marginBottom: 16,
   },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  optionChip: {
+    minWidth: 64,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#f1f5f9',
+    alignItems: 'center',
+  },
+  optionChipSelected: {
+    backgroundColor: '#667eea',
+    borderColor: '#667eea',
+  },
+  optionChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  optionChipHint: {
+    fontSize: 11,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  optionChipTextSelected: {
+    color: '#ffffff',
+  },
   settingItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -11,6 +11,7 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useGame } from '../contexts/GameContext';
+import { useTheme } from '../contexts/ThemeContext';
 
 /**
  * Onboarding Screen
@@ -20,6 +21,7 @@ import { useGame } from '../contexts/GameContext';
 export default function OnboardingScreen() {
   const { dispatch, saveGameData } = useGame();
   const insets = useSafeAreaInsets();
+  const { colors } = useTheme();
 
   const handleGetStarted = async () => {
     // 标记已看过onboarding，确保只在第一次登录时显示
@@ -35,7 +37,8 @@ export default function OnboardingScreen() {
   return (
     <View style={[styles.container, { 
       paddingTop: insets.top, 
-      paddingBottom: insets.bottom
+      paddingBottom: insets.bottom,
+      backgroundColor: colors.surface,
     }]}>
       <ScrollView contentContainerStyle={styles.content}>
         {/* Header */}
@@ -43,22 +46,22 @@ export default function OnboardingScreen() {
           <View style={styles.logoContainer}>
             <Text style={styles.logoText}>2048</Text>
           </View>
-          <Text style={styles.tagline}>
+          <Text style={[styles.tagline, { color: colors.textMuted }]}>
             Swipe, merge, and chase your best score—classic 2048, flawlessly smooth.
           </Text>
         </View>
 
         {/* Game Rules Summary */}
         <View style={styles.rulesContainer}>
-          <Text style={styles.sectionTitle}>How to Play</Text>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>How to Play</Text>
           
           <View style={styles.rule}>
             <View style={styles.ruleIcon}>
               <Ionicons name="finger-print" size={24} color="#667eea" />
             </View>
             <View style={styles.ruleText}>
-              <Text style={styles.ruleTitle}>Swipe to Move</Text>
-              <Text style={styles.ruleDescription}>
+              <Text style={[styles.ruleTitle, { color: colors.text }]}>Swipe to Move</Text>
+              <Text style={[styles.ruleDescription, { color: colors.textMuted }]}>
                 Use gestures to slide tiles in any direction
               </Text>
             </View>
@@ -69,8 +72,8 @@ export default function OnboardingScreen() {
               <Ionicons name="add-circle" size={24} color="#f093fb" />
             </View>
             <View style={styles.ruleText}>
-              <Text style={styles.ruleTitle}>Combine Numbers</Text>
-              <Text style={styles.ruleDescription}>
+              <Text style={[styles.ruleTitle, { color: colors.text }]}>Combine Numbers</Text>
+              <Text style={[styles.ruleDescription, { color: colors.textMuted }]}>
                 When two tiles with the same number touch, they merge into one
               </Text>
             </View>
@@ -81,8 +84,8 @@ export default function OnboardingScreen() {
               <Ionicons name="trophy" size={24} color="#ffd89b" />
             </View>
             <View style={styles.ruleText}>
-              <Text style={styles.ruleTitle}>Reach 2048</Text>
-              <Text style={styles.ruleDescription}>
+              <Text style={[styles.ruleTitle, { color: colors.text }]}>Reach 2048</Text>
+              <Text style={[styles.ruleDescription, { color: colors.textMuted }]}>
                 Create a tile with the number 2048 to win!
               </Text>
             </View>
@@ -93,8 +96,8 @@ export default function OnboardingScreen() {
               <Ionicons name="warning" size={24} color="#ff6b6b" />
             </View>
             <View style={styles.ruleText}>
-              <Text style={styles.ruleTitle}>Don't Fill Up</Text>
-              <Text style={styles.ruleDescription}>
+              <Text style={[styles.ruleTitle, { color: colors.text }]}>Don&apos;t Fill Up</Text>
+              <Text style={[styles.ruleDescription, { color: colors.textMuted }]}>
                 Game over when the board is full and no moves are possible
               </Text>
             </View>
@@ -117,7 +120,7 @@ export default function OnboardingScreen() {
 
         {/* Privacy Link */}
         <TouchableOpacity style={styles.privacyLink}>
-          <Text style={styles.privacyText}>Privacy Policy</Text>
+          <Text style={[styles.privacyText, { color: colors.textFaint }]}>Privacy Policy</Text>
         </TouchableOpacity>
       </ScrollView>
     </View>
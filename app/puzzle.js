@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Dimensions,
+  PanResponder,
+  Alert,
+  Platform
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useGame } from '../contexts/GameContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { loadLevelPacks, findLevel, describeGoal } from '../utils/LevelPack';
+import { createPuzzleState, applyPuzzleMove, getPuzzleStatus, getStars } from '../utils/Puzzle';
+import { DEFAULT_RULE_SET } from '../utils/RuleSets';
+import { playSound } from '../utils/SoundEngine';
+import { triggerHaptic } from '../utils/HapticsEngine';
+import {
+  getGridMetrics,
+  getTileStyle,
+  getTileTextSize,
+  getTileLabel,
+  createTileLayer,
+  getMoveTileLayer
+} from '../utils/BoardAnimation';
+import BoardTile from '../components/BoardTile';
+
+const { width: screenWidth } = Dimensions.get('window');
+const PUZZLE_BOARD_SIZE = Math.min(screenWidth - 40, 400);
+// 首页棋盘宽度，作为字号缩放基准
+const HOME_BOARD_SIZE = screenWidth - 28;
+
+const TILE_BORDER_RADIUS = 3;
+const SWIPE_THRESHOLD = 20;
+
+// 替换当前页面，返回时直接回到选关页
+const goToLevel = (nextLevel) => {
+  router.replace({ pathname: '/puzzle', params: { level: nextLevel.key } });
+};
+
+/**
+ * Puzzle Screen
+ * Purpose: Play a single puzzle level from a level pack
+ * Features: Fixed starting board and goal, move counter, optional fixed spawns, star rating, next level
+ */
+export default function PuzzleScreen() {
+  const { state, dispatch } = useGame();
+  const { colors, scheme } = useTheme();
+  const insets = useSafeAreaInsets();
+  const params = useLocalSearchParams();
+  const { packs } = useMemo(() => loadLevelPacks(), []);
+  const level = useMemo(() => findLevel(packs, params.level), [packs, params.level]);
+
+  const [puzzle, setPuzzle] = useState(() => (level ? createPuzzleState(level) : null));
+  // 渲染层：瓦片 id、位置和出现方式；新的一步直接打断还在播放的动画
+  const [tiles, setTiles] = useState(() => (puzzle ? createTileLayer(puzzle.board, puzzle.tileIds) : []));
+
+  const size = level?.board.length || 4;
+  const metrics = useMemo(() => getGridMetrics(PUZZLE_BOARD_SIZE, size, {
+    spacing: size > 5 ? 6 : 10,
+    baseBoardSize: HOME_BOARD_SIZE,
+  }), [size]);
+  const { tileSize, fontScale, toX, toY } = metrics;
+
+  // 切换关卡后、重新开始之前，puzzle 仍是上一关的状态，不参与判定
+  const isCurrentPuzzle = !!level && puzzle?.levelKey === level.key;
+  const status = isCurrentPuzzle ? getPuzzleStatus(level, puzzle) : 'playing';
+  const progress = level ? state.puzzleProgress[level.key] : null;
+
+  const restart = useCallback(() => {
+    if (!level) return;
+    const next = createPuzzleState(level);
+    setPuzzle(next);
+    setTiles(createTileLayer(next.board, next.tileIds));
+  }, [level]);
+
+  // 进入下一关时页面被替换为同一路由，组件不一定重新挂载：关卡变化后从新关卡的初始局面开始
+  useEffect(() => {
+    restart();
+  }, [restart]);
+
+  const handleMove = useCallback((direction) => {
+    if (!isCurrentPuzzle) return;
+    if (getPuzzleStatus(level, puzzle) !== 'playing') return;
+
+    const result = applyPuzzleMove(level, puzzle, direction);
+    if (!result) {
+      playSound('invalid', state);
+      triggerHaptic('invalid', state);
+      return;
+    }
+
+    setPuzzle(result.puzzle);
+    setTiles(getMoveTileLayer(result, result.puzzle.board, result.puzzle.tileIds));
+
+    // 有合并时播放合并音效和震动（按最大的合并结果升调、加强），否则为滑动
+    const mergedValues = result.merges.filter(merge => !merge.exploded).map(merge => merge.value);
+    if (mergedValues.length > 0) {
+      const maxMerged = Math.max(...mergedValues);
+      playSound('merge', state, maxMerged);
+      triggerHaptic('merge', state, maxMerged);
+    } else {
+      playSound('slide', state);
+      triggerHaptic('slide', state);
+    }
+  }, [isCurrentPuzzle, level, puzzle, state]);
+
+  const getNextLevel = useCallback(() => {
+    const pack = packs.find(p => p.id === level.packId);
+    return pack?.levels[level.index + 1] || null;
+  }, [packs, level]);
+
+  // 已经记录并弹窗的局面：其他依赖（如记录结果后的 state）变化时不重复处理
+  const reportedPuzzleRef = useRef(null);
+
+  // 通关或失败时记录结果并弹窗
+  useEffect(() => {
+    if (!isCurrentPuzzle || status === 'playing' || reportedPuzzleRef.current === puzzle) return;
+    reportedPuzzleRef.current = puzzle;
+
+    playSound(status === 'solved' ? 'win' : 'gameover', state);
+    triggerHaptic(status === 'solved' ? 'win' : 'gameover', state);
+
+    if (status === 'solved') {
+      const stars = getStars(level, puzzle.moves);
+      dispatch({
+        type: 'RECORD_PUZZLE_RESULT',
+        payload: { levelKey: level.key, stars, moves: puzzle.moves },
+      });
+      const nextLevel = getNextLevel();
+      Alert.alert(
+        `🧩 Solved! ${'⭐'.repeat(stars)}`,
+        `You solved "${level.name}" in ${puzzle.moves} ${puzzle.moves === 1 ? 'move' : 'moves'}.`,
+        [
+          { text: 'Replay', onPress: restart },
+          nextLevel
+            ? { text: 'Next Level', onPress: () => goToLevel(nextLevel) }
+            : { text: 'Levels', onPress: () => router.back() },
+        ]
+      );
+      return;
+    }
+
+    Alert.alert(
+      'Out of Moves',
+      `The goal was: ${describeGoal(level.goal)}.`,
+      [
+        { text: 'Levels', onPress: () => router.back() },
+        { text: 'Retry', onPress: restart },
+      ]
+    );
+  }, [isCurrentPuzzle, status, level, puzzle, state, dispatch, restart, getNextLevel]);
+
+  // H5 键盘方向键支持
+  useEffect(() => {
+    if (Platform.OS !== 'web') return;
+
+    const handleKeyPress = (event) => {
+      const keyMap = {
+        ArrowLeft: 'left',
+        ArrowRight: 'right',
+        ArrowUp: 'up',
+        ArrowDown: 'down',
+      };
+      if (keyMap[event.key]) {
+        event.preventDefault();
+        handleMove(keyMap[event.key]);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyPress);
+    return () => document.removeEventListener('keydown', handleKeyPress);
+  }, [handleMove]);
+
+  const panResponder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: (_evt, g) => (
+      Math.abs(g.dx) > SWIPE_THRESHOLD || Math.abs(g.dy) > SWIPE_THRESHOLD
+    ),
+    onPanResponderRelease: (_evt, g) => {
+      const { dx, dy } = g;
+      if (Math.abs(dx) < SWIPE_THRESHOLD && Math.abs(dy) < SWIPE_THRESHOLD) return;
+
+      const dir = Math.abs(dx) >= Math.abs(dy)
+        ? (dx > 0 ? 'right' : 'left')
+        : (dy > 0 ? 'down' : 'up');
+      handleMove(dir);
+    },
+    onShouldBlockNativeResponder: () => true,
+  }), [handleMove]);
+
+  if (!level || !puzzle) {
+    return (
+      <View style={[styles.container, styles.centerContent, { paddingTop: insets.top, backgroundColor: colors.background }]}>
+        <Ionicons name="alert-circle-outline" size={64} color={colors.textFaint} />
+        <Text style={[styles.notFoundText, { color: colors.textMuted }]}>Level not found</Text>
+        <TouchableOpacity style={[styles.primaryButton, { backgroundColor: colors.gameButton }]} onPress={() => router.back()}>
+          <Text style={styles.primaryButtonText}>Back to Levels</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const movesLeft = level.goal.moves - puzzle.moves;
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top, backgroundColor: colors.background }]}>
+      <View style={styles.content}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={[styles.title, { color: colors.text }]} numberOfLines={1}>{level.name}</Text>
+          <TouchableOpacity style={styles.backButton} onPress={restart} accessibilityLabel="Restart level">
+            <Ionicons name="refresh" size={22} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        {/* Goal */}
+        <View style={[styles.goalCard, { backgroundColor: colors.surface }]}>
+          <Text style={[styles.goalText, { color: colors.text }]}>{describeGoal(level.goal)}</Text>
+          <View style={styles.goalStats}>
+            <View style={styles.goalStat}>
+              <Text style={[styles.goalStatValue, { color: colors.gameText }]}>{puzzle.moves}</Text>
+              <Text style={[styles.goalStatLabel, { color: colors.textMuted }]}>Moves</Text>
+            </View>
+            <View style={styles.goalStat}>
+              <Text style={[styles.goalStatValue, { color: colors.gameText }, movesLeft <= 2 && styles.goalStatWarning]}>{movesLeft}</Text>
+              <Text style={[styles.goalStatLabel, { color: colors.textMuted }]}>Left</Text>
+            </View>
+            <View style={styles.goalStat}>
+              <Text style={[styles.goalStatValue, { color: colors.gameText }]}>{progress ? '⭐'.repeat(progress.stars) : '—'}</Text>
+              <Text style={[styles.goalStatLabel, { color: colors.textMuted }]}>Best</Text>
+            </View>
+          </View>
+          {level.stars && (
+            <Text style={[styles.starsHint, { color: colors.textFaint }]}>
+              ⭐⭐ in {level.stars[0]} moves • ⭐⭐⭐ in {level.stars[1]} moves
+            </Text>
+          )}
+        </View>
+
+        {/* Board */}
+        <View
+          {...panResponder.panHandlers}
+          style={[
+            styles.board,
+            { width: PUZZLE_BOARD_SIZE, height: PUZZLE_BOARD_SIZE, padding: metrics.spacing, backgroundColor: colors.board },
+          ]}
+        >
+          {Array.from({ length: size * size }).map((_, i) => {
+            const r = Math.floor(i / size), c = i % size;
+            return (
+              <View
+                key={i}
+                style={[styles.gridCell, { width: tileSize, height: tileSize, left: toX(c), top: toY(r), backgroundColor: colors.gridCell }]}
+              />
+            );
+          })}
+
+          {tiles.map(tile => (
+            <BoardTile
+              key={tile.id}
+              tile={tile}
+              metrics={metrics}
+              style={[styles.tile, getTileStyle(tile.value, DEFAULT_RULE_SET, scheme)]}
+            >
+              <Text style={[styles.tileText, { color: getTileStyle(tile.value, DEFAULT_RULE_SET, scheme).color, fontSize: getTileTextSize(tile.value, fontScale) }]}>
+                {getTileLabel(tile.value)}
+              </Text>
+            </BoardTile>
+          ))}
+        </View>
+
+        {/* Status */}
+        {status !== 'playing' && (
+          <View style={styles.statusRow}>
+            <Text style={[styles.statusText, status === 'solved' && styles.statusTextSolved]}>
+              {status === 'solved'
+                ? `Solved in ${puzzle.moves} moves ${'⭐'.repeat(getStars(level, puzzle.moves))}`
+                : 'Out of moves'}
+            </Text>
+            <TouchableOpacity style={[styles.primaryButton, { backgroundColor: colors.gameButton }]} onPress={restart}>
+              <Text style={styles.primaryButtonText}>{status === 'solved' ? 'Replay' : 'Retry'}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <Text style={[styles.spawnText, { color: colors.textFaint }]}>
+          {level.spawns
+            ? level.spawns.length > 0
+              ? `Spawns: ${level.spawns.slice(puzzle.spawnIndex).map(spawn => spawn.value).join(', ') || 'none left'}`
+              : 'No new tiles spawn in this level'
+            : 'New tiles spawn randomly'}
+        </Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  centerContent: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  content: {
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  backButton: {
+    padding: 8,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  title: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    textAlign: 'center',
+  },
+  goalCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  goalText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  goalStats: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  goalStat: {
+    alignItems: 'center',
+  },
+  goalStatValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#776e65',
+  },
+  goalStatWarning: {
+    color: '#ef4444',
+  },
+  goalStatLabel: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  starsHint: {
+    fontSize: 12,
+    color: '#94a3b8',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  board: {
+    alignSelf: 'center',
+    backgroundColor: '#bbada0',
+    borderRadius: 6,
+    position: 'relative',
+  },
+  gridCell: {
+    backgroundColor: '#cdc1b4',
+    borderRadius: TILE_BORDER_RADIUS,
+    position: 'absolute',
+  },
+  tile: {
+    borderRadius: TILE_BORDER_RADIUS,
+    position: 'absolute',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  tileText: {
+    fontWeight: '700',
+    textAlign: 'center',
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  statusText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  statusTextSolved: {
+    color: '#10b981',
+  },
+  spawnText: {
+    fontSize: 13,
+    color: '#94a3b8',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  notFoundText: {
+    fontSize: 18,
+    color: '#64748b',
+    marginVertical: 16,
+  },
+  primaryButton: {
+    backgroundColor: '#8f7a66',
+    borderRadius: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
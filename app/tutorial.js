@@ -12,6 +12,7 @@ import {
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -22,6 +23,7 @@ const { width: screenWidth } = Dimensions.get('window');
  */
 export default function TutorialScreen() {
   const insets = useSafeAreaInsets();
+  const { colors } = useTheme();
   const [currentStep, setCurrentStep] = useState(0);
   const flatListRef = useRef(null);
 
@@ -35,7 +37,7 @@ export default function TutorialScreen() {
           <View style={styles.logoContainer}>
             <Text style={styles.logoText}>2048</Text>
           </View>
-          <Text style={styles.welcomeText}>
+          <Text style={[styles.welcomeText, { color: colors.textMuted }]}>
             Master the art of combining numbers to reach the legendary 2048 tile!
           </Text>
         </View>
@@ -47,29 +49,29 @@ export default function TutorialScreen() {
       icon: 'grid',
       content: (
         <View style={styles.boardDemo}>
-          <View style={styles.demoBoard}>
+          <View style={[styles.demoBoard, { backgroundColor: colors.board }]}>
             <View style={[styles.demoTile, { backgroundColor: '#eee4da' }]}>
               <Text style={[styles.demoTileText, { color: '#776e65' }]}>2</Text>
             </View>
             <View style={[styles.demoTile, { backgroundColor: '#ede0c8' }]}>
               <Text style={[styles.demoTileText, { color: '#776e65' }]}>4</Text>
             </View>
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
-            <View style={styles.demoEmpty} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
+            <View style={[styles.demoEmpty, { backgroundColor: colors.gridCell }]} />
           </View>
-          <Text style={styles.demoDescription}>
+          <Text style={[styles.demoDescription, { color: colors.textMuted }]}>
             Every game starts with two tiles: usually two 2s or a 2 and a 4.
           </Text>
         </View>
@@ -84,24 +86,24 @@ export default function TutorialScreen() {
           <View style={styles.swipeDirections}>
             <View style={styles.directionItem}>
               <Ionicons name="arrow-up" size={32} color="#667eea" />
-              <Text style={styles.directionText}>Up</Text>
+              <Text style={[styles.directionText, { color: colors.textMuted }]}>Up</Text>
             </View>
             <View style={styles.directionRow}>
               <View style={styles.directionItem}>
                 <Ionicons name="arrow-back" size={32} color="#667eea" />
-                <Text style={styles.directionText}>Left</Text>
+                <Text style={[styles.directionText, { color: colors.textMuted }]}>Left</Text>
               </View>
               <View style={styles.directionItem}>
                 <Ionicons name="arrow-forward" size={32} color="#667eea" />
-                <Text style={styles.directionText}>Right</Text>
+                <Text style={[styles.directionText, { color: colors.textMuted }]}>Right</Text>
               </View>
             </View>
             <View style={styles.directionItem}>
               <Ionicons name="arrow-down" size={32} color="#667eea" />
-              <Text style={styles.directionText}>Down</Text>
+              <Text style={[styles.directionText, { color: colors.textMuted }]}>Down</Text>
             </View>
           </View>
-          <Text style={styles.demoDescription}>
+          <Text style={[styles.demoDescription, { color: colors.textMuted }]}>
             All tiles slide as far as possible in the chosen direction.
           </Text>
         </View>
@@ -117,7 +119,7 @@ export default function TutorialScreen() {
             <View style={[styles.demoTile, { backgroundColor: '#eee4da' }]}>
               <Text style={[styles.demoTileText, { color: '#776e65' }]}>2</Text>
             </View>
-            <Ionicons name="add" size={20} color="#64748b" />
+            <Ionicons name="add" size={20} color={colors.textMuted} />
             <View style={[styles.demoTile, { backgroundColor: '#eee4da' }]}>
               <Text style={[styles.demoTileText, { color: '#776e65' }]}>2</Text>
             </View>
@@ -126,17 +128,17 @@ export default function TutorialScreen() {
               <Text style={[styles.demoTileText, { color: '#776e65' }]}>4</Text>
             </View>
           </View>
-          <Text style={styles.demoDescription}>
-            2 + 2 = 4! The merged tile's value is added to your score.
+          <Text style={[styles.demoDescription, { color: colors.textMuted }]}>
+            2 + 2 = 4! The merged tile&apos;s value is added to your score.
           </Text>
           <View style={styles.mergeRules}>
             <View style={styles.ruleItem}>
               <Ionicons name="checkmark-circle" size={16} color="#10b981" />
-              <Text style={styles.ruleText}>Only identical tiles can merge</Text>
+              <Text style={[styles.ruleText, { color: colors.textMuted }]}>Only identical tiles can merge</Text>
             </View>
             <View style={styles.ruleItem}>
               <Ionicons name="checkmark-circle" size={16} color="#10b981" />
-              <Text style={styles.ruleText}>Each tile merges only once per move</Text>
+              <Text style={[styles.ruleText, { color: colors.textMuted }]}>Each tile merges only once per move</Text>
             </View>
           </View>
         </View>
@@ -151,12 +153,12 @@ export default function TutorialScreen() {
           <View style={styles.conditionSection}>
             <View style={styles.conditionHeader}>
               <Ionicons name="trophy" size={24} color="#ffd89b" />
-              <Text style={styles.conditionTitle}>You Win!</Text>
+              <Text style={[styles.conditionTitle, { color: colors.text }]}>You Win!</Text>
             </View>
             <View style={[styles.demoTile, { backgroundColor: '#edc22e', width: 60, height: 60 }]}>
               <Text style={[styles.demoTileText, { color: '#f9f6f2', fontSize: 20 }]}>2048</Text>
             </View>
-            <Text style={styles.conditionText}>
+            <Text style={[styles.conditionText, { color: colors.textMuted }]}>
               Create a tile with the number 2048 to achieve victory!
             </Text>
           </View>
@@ -164,9 +166,9 @@ export default function TutorialScreen() {
           <View style={styles.conditionSection}>
             <View style={styles.conditionHeader}>
               <Ionicons name="close-circle" size={24} color="#ef4444" />
-              <Text style={styles.conditionTitle}>Game Over</Text>
+              <Text style={[styles.conditionTitle, { color: colors.text }]}>Game Over</Text>
             </View>
-            <View style={styles.fullBoard}>
+            <View style={[styles.fullBoard, { backgroundColor: colors.board }]}>
               {[2,4,2,4,4,2,4,2,2,4,2,4,4,2,4,2].map((num, i) => (
                 <View key={i} style={[styles.miniTile, { 
                   backgroundColor: num === 2 ? '#eee4da' : '#ede0c8' 
@@ -175,7 +177,7 @@ export default function TutorialScreen() {
                 </View>
               ))}
             </View>
-            <Text style={styles.conditionText}>
+            <Text style={[styles.conditionText, { color: colors.textMuted }]}>
               No empty spaces and no possible merges = game over!
             </Text>
           </View>
@@ -188,16 +190,16 @@ export default function TutorialScreen() {
       icon: 'analytics',
       content: (
         <View style={styles.scoreDemo}>
-          <View style={styles.scoreExample}>
-            <Text style={styles.scoreTitle}>How Scoring Works</Text>
+          <View style={[styles.scoreExample, { backgroundColor: colors.surface }]}>
+            <Text style={[styles.scoreTitle, { color: colors.text }]}>How Scoring Works</Text>
             <View style={styles.scoreRow}>
               <View style={styles.scoreItem}>
-                <Text style={styles.scoreLabel}>Merge</Text>
+                <Text style={[styles.scoreLabel, { color: colors.textMuted }]}>Merge</Text>
                 <View style={styles.mergeExample}>
                   <View style={[styles.smallTile, { backgroundColor: '#f2b179' }]}>
                     <Text style={[styles.smallTileText, { color: '#f9f6f2' }]}>8</Text>
                   </View>
-                  <Ionicons name="add" size={16} color="#64748b" />
+                  <Ionicons name="add" size={16} color={colors.textMuted} />
                   <View style={[styles.smallTile, { backgroundColor: '#f2b179' }]}>
                     <Text style={[styles.smallTileText, { color: '#f9f6f2' }]}>8</Text>
                   </View>
@@ -205,11 +207,11 @@ export default function TutorialScreen() {
                 <Text style={styles.scoreResult}>+16 points</Text>
               </View>
             </View>
-            <View style={styles.scoringRules}>
-              <Text style={styles.ruleHeader}>Scoring Rules:</Text>
-              <Text style={styles.ruleText}>• Points = value of the new merged tile</Text>
-              <Text style={styles.ruleText}>• Multiple merges in one move all count</Text>
-              <Text style={styles.ruleText}>• Your best score is saved automatically</Text>
+            <View style={[styles.scoringRules, { borderTopColor: colors.border }]}>
+              <Text style={[styles.ruleHeader, { color: colors.text }]}>Scoring Rules:</Text>
+              <Text style={[styles.ruleText, { color: colors.textMuted }]}>• Points = value of the new merged tile</Text>
+              <Text style={[styles.ruleText, { color: colors.textMuted }]}>• Multiple merges in one move all count</Text>
+              <Text style={[styles.ruleText, { color: colors.textMuted }]}>• Your best score is saved automatically</Text>
             </View>
           </View>
         </View>
@@ -222,41 +224,41 @@ export default function TutorialScreen() {
       content: (
         <View style={styles.tipsDemo}>
           <ScrollView style={styles.tipsList} showsVerticalScrollIndicator={false}>
-            <View style={styles.tip}>
+            <View style={[styles.tip, { backgroundColor: colors.surface }]}>
               <Ionicons name="trending-up" size={20} color="#667eea" />
               <View style={styles.tipContent}>
-                <Text style={styles.tipTitle}>Keep High Tiles in Corners</Text>
-                <Text style={styles.tipText}>
+                <Text style={[styles.tipTitle, { color: colors.text }]}>Keep High Tiles in Corners</Text>
+                <Text style={[styles.tipText, { color: colors.textMuted }]}>
                   Build your highest tiles in one corner to maintain control.
                 </Text>
               </View>
             </View>
             
-            <View style={styles.tip}>
+            <View style={[styles.tip, { backgroundColor: colors.surface }]}>
               <Ionicons name="layers" size={20} color="#f093fb" />
               <View style={styles.tipContent}>
-                <Text style={styles.tipTitle}>Build in One Direction</Text>
-                <Text style={styles.tipText}>
+                <Text style={[styles.tipTitle, { color: colors.text }]}>Build in One Direction</Text>
+                <Text style={[styles.tipText, { color: colors.textMuted }]}>
                   Focus on moving in 3 directions, avoid the 4th to keep tiles organized.
                 </Text>
               </View>
             </View>
             
-            <View style={styles.tip}>
+            <View style={[styles.tip, { backgroundColor: colors.surface }]}>
               <Ionicons name="eye" size={20} color="#06b6d4" />
               <View style={styles.tipContent}>
-                <Text style={styles.tipTitle}>Plan Ahead</Text>
-                <Text style={styles.tipText}>
+                <Text style={[styles.tipTitle, { color: colors.text }]}>Plan Ahead</Text>
+                <Text style={[styles.tipText, { color: colors.textMuted }]}>
                   Think about where tiles will land before making your move.
                 </Text>
               </View>
             </View>
             
-            <View style={styles.tip}>
+            <View style={[styles.tip, { backgroundColor: colors.surface }]}>
               <Ionicons name="flash" size={20} color="#ffd89b" />
               <View style={styles.tipContent}>
-                <Text style={styles.tipTitle}>Don't Rush</Text>
-                <Text style={styles.tipText}>
+                <Text style={[styles.tipTitle, { color: colors.text }]}>Don&apos;t Rush</Text>
+                <Text style={[styles.tipText, { color: colors.textMuted }]}>
                   Take your time to analyze the board. One wrong move can end the game!
                 </Text>
               </View>
@@ -274,17 +276,17 @@ export default function TutorialScreen() {
           <View style={styles.readyIcon}>
             <Ionicons name="rocket" size={64} color="#667eea" />
           </View>
-          <Text style={styles.readyTitle}>You're Ready!</Text>
-          <Text style={styles.readyText}>
+          <Text style={[styles.readyTitle, { color: colors.text }]}>You&apos;re Ready!</Text>
+          <Text style={[styles.readyText, { color: colors.textMuted }]}>
             Now you know everything needed to master 2048. 
             Time to put your skills to the test!
           </Text>
-          <View style={styles.finalTips}>
-            <Text style={styles.finalTipTitle}>Quick Reminders:</Text>
-            <Text style={styles.finalTip}>🎯 Goal: Create a 2048 tile</Text>
-            <Text style={styles.finalTip}>👆 Control: Swipe to move</Text>
-            <Text style={styles.finalTip}>🧩 Strategy: Keep high tiles in corners</Text>
-            <Text style={styles.finalTip}>🏆 Challenge: Beat your best score!</Text>
+          <View style={[styles.finalTips, { backgroundColor: colors.surface }]}>
+            <Text style={[styles.finalTipTitle, { color: colors.text }]}>Quick Reminders:</Text>
+            <Text style={[styles.finalTip, { color: colors.textMuted }]}>🎯 Goal: Create a 2048 tile</Text>
+            <Text style={[styles.finalTip, { color: colors.textMuted }]}>👆 Control: Swipe to move</Text>
+            <Text style={[styles.finalTip, { color: colors.textMuted }]}>🧩 Strategy: Keep high tiles in corners</Text>
+            <Text style={[styles.finalTip, { color: colors.textMuted }]}>🏆 Challenge: Beat your best score!</Text>
           </View>
         </View>
       )
@@ -317,8 +319,8 @@ export default function TutorialScreen() {
             <View style={styles.iconContainer}>
               <Ionicons name={item.icon} size={32} color="#667eea" />
             </View>
-            <Text style={styles.stepTitle}>{item.title}</Text>
-            <Text style={styles.stepDescription}>{item.description}</Text>
+            <Text style={[styles.stepTitle, { color: colors.text }]}>{item.title}</Text>
+            <Text style={[styles.stepDescription, { color: colors.textMuted }]}>{item.description}</Text>
           </View>
 
           <View style={styles.stepContent}>
@@ -332,25 +334,26 @@ export default function TutorialScreen() {
   return (
     <View style={[styles.container, { 
       paddingTop: insets.top, 
-      paddingBottom: insets.bottom
+      paddingBottom: insets.bottom,
+      backgroundColor: colors.background,
     }]}>
       {/* Header */}
-      <View style={styles.header}>
+      <View style={[styles.header, { borderBottomColor: colors.border, backgroundColor: colors.surface }]}>
         <TouchableOpacity 
           style={styles.closeButton}
           onPress={() => router.back()}
         >
-          <Ionicons name="close" size={24} color="#1e293b" />
+          <Ionicons name="close" size={24} color={colors.text} />
         </TouchableOpacity>
-        <Text style={styles.headerTitle}>Tutorial</Text>
-        <Text style={styles.stepCounter}>
+        <Text style={[styles.headerTitle, { color: colors.text }]}>Tutorial</Text>
+        <Text style={[styles.stepCounter, { color: colors.textMuted, backgroundColor: colors.surfaceMuted }]}>
           {currentStep + 1}/{tutorialSteps.length}
         </Text>
       </View>
 
       {/* Progress Bar */}
-      <View style={styles.progressContainer}>
-        <View style={styles.progressBar}>
+      <View style={[styles.progressContainer, { backgroundColor: colors.surface }]}>
+        <View style={[styles.progressBar, { backgroundColor: colors.border }]}>
           <View 
             style={[
               styles.progressFill,
@@ -380,7 +383,7 @@ export default function TutorialScreen() {
       />
 
       {/* Bottom Navigation */}
-      <View style={styles.bottomNavigation}>
+      <View style={[styles.bottomNavigation, { backgroundColor: colors.surface, borderTopColor: colors.border }]}>
         {/* Page Indicators (Dots) */}
         <View style={styles.indicatorContainer}>
           {tutorialSteps.map((_, index) => (
@@ -388,6 +391,7 @@ export default function TutorialScreen() {
               key={index}
               style={[
                 styles.indicator,
+                { backgroundColor: colors.switchThumb },
                 index === currentStep && styles.indicatorActive,
                 index < tutorialSteps.length - 1 && { marginRight: 8 }
               ]}
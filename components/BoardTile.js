@@ -0,0 +1,80 @@
+import React, { useEffect } from 'react';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  withDelay,
+  withSequence,
+  withSpring,
+} from 'react-native-reanimated';
+import { SLIDE_DURATION, MERGE_POP_DURATION, SPAWN_FADE_DURATION } from '../utils/BoardAnimation';
+
+/**
+ * Board Tile
+ * Purpose: One animated tile on the home, puzzle and replay boards
+ * Features: Slide, merge-pop and spawn animations on Reanimated shared values (UI thread);
+ *           a new target position interrupts the running slide instead of waiting for it;
+ *           durationScale 0 skips the animations
+ *
+ * 瓦片按 id 作为 key 渲染，tile 来自 BoardAnimation 的渲染层；外观（背景色、文字）由调用方作为 children 传入
+ */
+export default function BoardTile({ tile, metrics, durationScale = 1, style, children }) {
+  const { row, col, appear, leaving } = tile;
+  const { tileSize, toX, toY } = metrics;
+  const slideDuration = SLIDE_DURATION * durationScale;
+
+  const x = useSharedValue(toX(col));
+  const y = useSharedValue(toY(row));
+  // 出块从 0.6 缩放淡入；合并结果在滑动结束前隐藏
+  const scale = useSharedValue(appear === 'spawn' ? 0.6 : 1);
+  const opacity = useSharedValue(appear ? 0 : 1);
+
+  // 出现动画：等其他瓦片滑到位后开始；durationScale 为 0（跳过动画）时直接显示
+  // 每一步的渲染层都重新生成，已有瓦片的 appear 随之清空，所以动画只在瓦片出现的那一步播放
+  useEffect(() => {
+    if (appear && durationScale === 0) {
+      opacity.value = 1;
+      scale.value = 1;
+    } else if (appear === 'spawn') {
+      opacity.value = withDelay(slideDuration, withTiming(1, { duration: SPAWN_FADE_DURATION * durationScale }));
+      scale.value = withDelay(slideDuration, withSpring(1, { stiffness: 300, damping: 8 }));
+    } else if (appear === 'merge') {
+      opacity.value = withDelay(slideDuration, withTiming(1, { duration: 0 }));
+      scale.value = withDelay(slideDuration, withSequence(
+        withTiming(1.2, { duration: MERGE_POP_DURATION * durationScale }),
+        withTiming(1, { duration: MERGE_POP_DURATION * durationScale }),
+      ));
+    }
+  }, [appear, slideDuration, durationScale, opacity, scale]);
+
+  // 滑动：终点变化时从当前位置（可能还在上一段滑动中）直接滑向新终点
+  useEffect(() => {
+    x.value = withTiming(toX(col), { duration: slideDuration });
+    y.value = withTiming(toY(row), { duration: slideDuration });
+  }, [row, col, toX, toY, slideDuration, x, y]);
+
+  // 被合并掉或被炸掉的瓦片滑到终点后消失
+  useEffect(() => {
+    if (leaving) {
+      opacity.value = withDelay(slideDuration, withTiming(0, { duration: 0 }));
+    }
+  }, [leaving, slideDuration, opacity]);
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    opacity: opacity.value,
+    transform: [
+      { translateX: x.value },
+      { translateY: y.value },
+      { scale: scale.value },
+    ],
+  }));
+
+  return (
+    <Animated.View
+      pointerEvents="none"
+      style={[style, { left: 0, top: 0, width: tileSize, height: tileSize }, animatedStyle]}
+    >
+      {children}
+    </Animated.View>
+  );
+}
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getDailyKey, parseDailyKey } from '../utils/Daily';
+import { useTheme } from '../contexts/ThemeContext';
+
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// 日历格子颜色：胜利 / 已完成 / 中途放弃 / 开始但未完成
+const RESULT_COLORS = {
+  won: '#10b981',
+  finished: '#f59e0b',
+  abandoned: '#f87171',
+  unfinished: '#cbd5e0',
+};
+
+function getResultColor(result) {
+  if (result.won) return RESULT_COLORS.won;
+  if (result.finished) return RESULT_COLORS.finished;
+  return result.abandoned ? RESULT_COLORS.abandoned : RESULT_COLORS.unfinished;
+}
+
+// 选中日期的结果说明
+function describeResult(dateKey, result) {
+  if (!result) return `${dateKey}: not played`;
+  if (!result.finished && !result.abandoned) return `${dateKey}: started, not finished`;
+  const summary = `${dateKey}: ${result.score} pts • best tile ${result.highestTile}`;
+  if (result.won) return `${summary} • Won`;
+  return result.abandoned ? `${summary} • Abandoned` : summary;
+}
+
+// 某月的日历格子：前面补空位使 1 号落在正确的星期
+function buildMonthCells(year, month) {
+  const firstWeekday = new Date(year, month, 1).getDay();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const cells = Array(firstWeekday).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(getDailyKey(new Date(year, month, day)));
+  }
+  return cells;
+}
+
+/**
+ * Daily Calendar
+ * Purpose: Month view of past Daily Challenge results
+ * Features: Month navigation, color-coded days, tap a day for its result
+ */
+export default function DailyCalendar({ results = {} }) {
+  const { colors } = useTheme();
+  const today = getDailyKey();
+  const [visibleMonth, setVisibleMonth] = useState(() => {
+    const date = parseDailyKey(today);
+    return { year: date.getFullYear(), month: date.getMonth() };
+  });
+  const [selectedKey, setSelectedKey] = useState(today);
+
+  const { year, month } = visibleMonth;
+  const cells = buildMonthCells(year, month);
+  const isCurrentMonth = today.startsWith(`${year}-${String(month + 1).padStart(2, '0')}`);
+  const selectedResult = results[selectedKey];
+
+  const changeMonth = (delta) => {
+    const date = new Date(year, month + delta, 1);
+    setVisibleMonth({ year: date.getFullYear(), month: date.getMonth() });
+  };
+
+  return (
+    <View>
+      {/* Month navigation */}
+      <View style={styles.monthHeader}>
+        <TouchableOpacity style={styles.monthButton} onPress={() => changeMonth(-1)} accessibilityLabel="Previous month">
+          <Ionicons name="chevron-back" size={18} color={colors.textMuted} />
+        </TouchableOpacity>
+        <Text style={[styles.monthTitle, { color: colors.text }]}>{MONTH_NAMES[month]} {year}</Text>
+        <TouchableOpacity
+          style={[styles.monthButton, isCurrentMonth && styles.monthButtonDisabled]}
+          onPress={() => changeMonth(1)}
+          disabled={isCurrentMonth}
+          accessibilityLabel="Next month"
+        >
+          <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
+        </TouchableOpacity>
+      </View>
+
+      {/* Weekday labels */}
+      <View style={styles.week}>
+        {WEEKDAYS.map((weekday, i) => (
+          <Text key={i} style={[styles.weekdayLabel, { color: colors.textFaint }]}>{weekday}</Text>
+        ))}
+      </View>
+
+      {/* Days */}
+      <View style={styles.week}>
+        {cells.map((dateKey, i) => {
+          if (!dateKey) return <View key={`empty-${i}`} style={styles.dayCell} />;
+
+          const result = results[dateKey];
+          const isFuture = dateKey > today;
+          return (
+            <TouchableOpacity
+              key={dateKey}
+              style={styles.dayCell}
+              onPress={() => setSelectedKey(dateKey)}
+              disabled={isFuture}
+            >
+              <View
+                style={[
+                  styles.dayCircle,
+                  { backgroundColor: colors.surfaceMuted },
+                  result && { backgroundColor: getResultColor(result) },
+                  dateKey === today && [styles.dayToday, { borderColor: colors.accent }],
+                  dateKey === selectedKey && styles.daySelected,
+                ]}
+              >
+                <Text style={[styles.dayText, { color: colors.textMuted }, result && styles.dayTextPlayed, isFuture && styles.dayTextFuture]}>
+                  {Number(dateKey.slice(-2))}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {/* Selected day */}
+      <Text style={[styles.selectedText, { color: colors.textMuted }]}>
+        {describeResult(selectedKey, selectedResult)}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  monthHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  monthButton: {
+    padding: 6,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  monthButtonDisabled: {
+    opacity: 0.3,
+  },
+  monthTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  week: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  weekdayLabel: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#94a3b8',
+    marginBottom: 4,
+  },
+  dayCell: {
+    width: `${100 / 7}%`,
+    aspectRatio: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dayCircle: {
+    width: '80%',
+    height: '80%',
+    borderRadius: 999,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f1f5f9',
+  },
+  dayToday: {
+    borderWidth: 2,
+    borderColor: '#667eea',
+  },
+  daySelected: {
+    transform: [{ scale: 1.1 }],
+  },
+  dayText: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  dayTextPlayed: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  dayTextFuture: {
+    color: '#cbd5e0',
+  },
+  selectedText: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#64748b',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Pressable,
+  Dimensions,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { buildReplayFrames } from '../utils/Replay';
+import { getMoveLogRuleSet } from '../utils/MoveLog';
+import {
+  getGridMetrics,
+  getTileStyle,
+  getTileTextSize,
+  getTileLabel,
+  createTileLayer,
+  getMoveTileLayer,
+  SLIDE_DURATION
+} from '../utils/BoardAnimation';
+import BoardTile from './BoardTile';
+import { useTheme } from '../contexts/ThemeContext';
+
+// 动态导入 Slider，H5 环境可能不支持
+let Slider = null;
+if (Platform.OS !== 'web') {
+  try {
+    Slider = require('@react-native-community/slider').default;
+  } catch {}
+}
+
+const { width: screenWidth } = Dimensions.get('window');
+// 详情页内容区和卡片各有 20px 内边距
+const REPLAY_BOARD_SIZE = Math.min(screenWidth - 80, 360);
+// 首页棋盘宽度，作为字号缩放基准
+const HOME_BOARD_SIZE = screenWidth - 28;
+
+const TILE_BORDER_RADIUS = 3;
+const SPEEDS = [0.5, 1, 2, 4];
+// 1x 速度下两步之间的停顿（毫秒）
+const STEP_PAUSE = 350;
+
+const DIRECTION_ICONS = {
+  left: 'arrow-back',
+  right: 'arrow-forward',
+  up: 'arrow-up',
+  down: 'arrow-down',
+};
+
+/**
+ * Replay Player
+ * Purpose: Rebuild a finished game from its move log and play it back
+ * Features: Play/pause, step forward/back, scrub bar, 0.5x–4x speed, home board animations
+ */
+export default function ReplayPlayer({ moveLog }) {
+  const { colors, scheme } = useTheme();
+  const { frames, complete } = useMemo(() => buildReplayFrames(moveLog), [moveLog]);
+  const [index, setIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [scrubWidth, setScrubWidth] = useState(0);
+  // 单步前进时播放这一步的动画；跳帧时 jumpCount 加一，瓦片全部重建后直接显示目标棋盘
+  const [stepped, setStepped] = useState(false);
+  const [jumpCount, setJumpCount] = useState(0);
+
+  const size = moveLog?.size || 4;
+  const ruleSet = getMoveLogRuleSet(moveLog);
+  const metrics = useMemo(() => getGridMetrics(REPLAY_BOARD_SIZE, size, {
+    spacing: size > 5 ? 6 : 10,
+    baseBoardSize: HOME_BOARD_SIZE,
+  }), [size]);
+  const { tileSize, fontScale, toX, toY } = metrics;
+  const lastIndex = frames.length - 1;
+
+  const tiles = useMemo(() => {
+    const frame = frames[index];
+    if (!frame) return [];
+    return stepped
+      ? getMoveTileLayer(frame, frame.board, frame.tileIds)
+      : createTileLayer(frame.board, frame.tileIds);
+  }, [frames, index, stepped]);
+
+  const stepForward = useCallback(() => {
+    if (index >= lastIndex) return;
+    setStepped(true);
+    setIndex(index + 1);
+  }, [index, lastIndex]);
+
+  const jumpTo = useCallback((target) => {
+    setStepped(false);
+    setJumpCount(count => count + 1);
+    setIndex(Math.max(0, Math.min(target, lastIndex)));
+  }, [lastIndex]);
+
+  const stepBack = () => {
+    setIsPlaying(false);
+    jumpTo(index - 1);
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // 已经播放到最后一步时从头开始
+    if (index >= lastIndex) {
+      jumpTo(0);
+    }
+    setIsPlaying(true);
+  };
+
+  // 自动播放：每步滑动结束后按速度停顿再播放下一步
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (index >= lastIndex) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(stepForward, (SLIDE_DURATION + STEP_PAUSE) / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, index, lastIndex, speed, stepForward]);
+
+  const handleScrubPress = (event) => {
+    if (!scrubWidth || lastIndex <= 0) return;
+    const ratio = Math.max(0, Math.min(event.nativeEvent.locationX / scrubWidth, 1));
+    setIsPlaying(false);
+    jumpTo(Math.round(ratio * lastIndex));
+  };
+
+  if (frames.length === 0) {
+    return (
+      <Text style={[styles.emptyText, { color: colors.textFaint }]}>
+        No recording is available for this game.
+      </Text>
+    );
+  }
+
+  const frame = frames[index];
+  const lastMove = frame.move;
+
+  return (
+    <View>
+      {/* Board */}
+      <View
+        style={[
+          styles.board,
+          { width: REPLAY_BOARD_SIZE, height: REPLAY_BOARD_SIZE, padding: metrics.spacing, backgroundColor: colors.board },
+        ]}
+      >
+        {Array.from({ length: size * size }).map((_, i) => {
+          const r = Math.floor(i / size), c = i % size;
+          return (
+            <View
+              key={i}
+              style={[styles.gridCell, { width: tileSize, height: tileSize, left: toX(c), top: toY(r), backgroundColor: colors.gridCell }]}
+            />
+          );
+        })}
+
+        {tiles.map(tile => (
+          <BoardTile
+            key={`${jumpCount}-${tile.id}`}
+            tile={tile}
+            metrics={metrics}
+            durationScale={1 / speed}
+            style={[styles.tile, getTileStyle(tile.value, ruleSet, scheme)]}
+          >
+            <Text style={[styles.tileText, { color: getTileStyle(tile.value, ruleSet, scheme).color, fontSize: getTileTextSize(tile.value, fontScale) }]}>
+              {getTileLabel(tile.value)}
+            </Text>
+          </BoardTile>
+        ))}
+      </View>
+
+      {/* Frame Info */}
+      <View style={styles.infoRow}>
+        <Text style={[styles.infoText, { color: colors.textMuted }]}>Move {index} / {lastIndex}</Text>
+        {lastMove && (
+          <Ionicons name={DIRECTION_ICONS[lastMove.direction]} size={16} color={colors.accent} />
+        )}
+        <Text style={[styles.infoText, { color: colors.textMuted }]}>Score {frame.score}</Text>
+      </View>
+
+      {/* Scrub Bar */}
+      {Slider ? (
+        <Slider
+          style={styles.slider}
+          minimumValue={0}
+          maximumValue={Math.max(lastIndex, 1)}
+          step={1}
+          value={index}
+          onSlidingStart={() => setIsPlaying(false)}
+          onValueChange={(value) => jumpTo(Math.round(value))}
+          minimumTrackTintColor="#667eea"
+          maximumTrackTintColor="#e2e8f0"
+          thumbTintColor="#667eea"
+        />
+      ) : (
+        <Pressable
+          style={[styles.scrubBar, { backgroundColor: colors.border }]}
+          onLayout={(event) => setScrubWidth(event.nativeEvent.layout.width)}
+          onPress={handleScrubPress}
+        >
+          <View
+            style={[
+              styles.scrubFill,
+              { width: `${lastIndex > 0 ? (index / lastIndex) * 100 : 0}%` },
+            ]}
+          />
+        </Pressable>
+      )}
+
+      {/* Transport Controls */}
+      <View style={styles.controlsRow}>
+        <TouchableOpacity
+          style={[styles.controlButton, { backgroundColor: colors.surfaceMuted }]}
+          onPress={stepBack}
+          disabled={index === 0}
+        >
+          <Ionicons name="play-skip-back" size={20} color={index === 0 ? colors.textFaint : colors.text} />
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.controlButton, { backgroundColor: colors.surfaceMuted }, styles.playButton]} onPress={togglePlay}>
+          <Ionicons name={isPlaying ? 'pause' : 'play'} size={24} color="#ffffff" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.controlButton, { backgroundColor: colors.surfaceMuted }]}
+          onPress={() => {
+            setIsPlaying(false);
+            stepForward();
+          }}
+          disabled={index >= lastIndex}
+        >
+          <Ionicons name="play-skip-forward" size={20} color={index >= lastIndex ? colors.textFaint : colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      {/* Speed */}
+      <View style={styles.speedRow}>
+        {SPEEDS.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.speedChip, { backgroundColor: colors.surfaceMuted, borderColor: colors.border }, speed === option && styles.speedChipSelected]}
+            onPress={() => setSpeed(option)}
+          >
+            <Text style={[styles.speedChipText, { color: colors.textMuted }, speed === option && styles.speedChipTextSelected]}>
+              {option}x
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {!complete && (
+        <Text style={styles.warningText}>
+          Part of this recording could not be replayed and has been cut short.
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  board: {
+    alignSelf: 'center',
+    backgroundColor: '#bbada0',
+    borderRadius: 6,
+    position: 'relative',
+    marginBottom: 12,
+  },
+  gridCell: {
+    backgroundColor: '#cdc1b4',
+    borderRadius: TILE_BORDER_RADIUS,
+    position: 'absolute',
+  },
+  tile: {
+    borderRadius: TILE_BORDER_RADIUS,
+    position: 'absolute',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  tileText: {
+    fontWeight: '700',
+    textAlign: 'center',
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  slider: {
+    height: 40,
+    marginBottom: 8,
+  },
+  scrubBar: {
+    height: 8,
+    backgroundColor: '#e2e8f0',
+    borderRadius: 4,
+    overflow: 'hidden',
+    marginVertical: 16,
+    // H5 适配：添加鼠标悬停效果
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    }),
+  },
+  scrubFill: {
+    height: '100%',
+    backgroundColor: '#667eea',
+    borderRadius: 4,
+  },
+  controlsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 24,
+    marginBottom: 16,
+  },
+  controlButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#f1f5f9',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  playButton: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#667eea',
+  },
+  speedRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  speedChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#f1f5f9',
+  },
+  speedChipSelected: {
+    backgroundColor: '#667eea',
+    borderColor: '#667eea',
+  },
+  speedChipText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  speedChipTextSelected: {
+    color: '#ffffff',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    fontStyle: 'italic',
+  },
+  warningText: {
+    fontSize: 12,
+    color: '#f59e0b',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+});
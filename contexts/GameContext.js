@@ -1,33 +1,76 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import { AppState } from 'react-native';
 import StorageUtils from '../utils/StorageUtils';
+import { dropLastMove, trimHistoryLogs } from '../utils/MoveLog';
+import { recordDailyResult, recordAbandonedDaily, EMPTY_DAILY } from '../utils/Daily';
+import { DEFAULT_RULE_SET, normalizeRuleSet } from '../utils/RuleSets';
+import { DEFAULT_SPAWN_POLICY, normalizeSpawnPolicy } from '../utils/SpawnPolicy';
+import { DEFAULT_INPUT_MODE, normalizeInputMode } from '../utils/InputQueue';
+import { DEFAULT_THEME, normalizeTheme } from '../utils/Theme';
+import { DEFAULT_VOLUME, normalizeVolume } from '../utils/SoundEngine';
+import { DEFAULT_HAPTIC_INTENSITY, normalizeHapticIntensity } from '../utils/HapticsEngine';
+import {
+  createEmptyBoard,
+  normalizeBoardSize,
+  normalizeUndoLimit,
+  normalizeWinTarget,
+  normalizeTimeLimit,
+  normalizeMoveLimit,
+  getModeKey,
+  getUndosRemaining,
+  getHighestTile,
+  isValidBoard,
+  DEFAULT_BOARD_SIZE,
+  DEFAULT_UNDO_LIMIT,
+  DEFAULT_WIN_TARGET,
+  MAX_UNDO_STACK,
+} from '../utils/GameLogic';
 
 const GameContext = createContext();
 
 const initialState = {
   // Game state
-  board: Array(4).fill(null).map(() => Array(4).fill(null)),
+  board: createEmptyBoard(),
   score: 0,
   bestScore: 0,
   gameState: 'playing', // 'playing', 'won', 'lost'
   isAnimating: false,
   hasWon: false, // Track if victory dialog has been shown
+  undoStack: [], // 撤销栈：每项为 { board, score, rngState, hasWon }
   
   // Settings
   soundOn: true,
-  volume: 80,
+  volume: DEFAULT_VOLUME,
   hapticsOn: true,
-  theme: 'system', // 'light', 'dark', 'system'
+  hapticIntensity: DEFAULT_HAPTIC_INTENSITY, // 震动强度：'off'、'subtle'、'full'
+  theme: DEFAULT_THEME, // 'light', 'dark', 'system'（跟随系统外观）
+  inputMode: DEFAULT_INPUT_MODE, // 动画期间的滑动：'buffered'（排队）、'drop'（丢弃）、'instant'（排满时跳过动画）
   nickname: 'Player',
+  boardSize: DEFAULT_BOARD_SIZE, // 3 - 8，新游戏使用的棋盘尺寸
+  undoLimit: DEFAULT_UNDO_LIMIT, // 0, 1, 3, -1（不限），新游戏的撤销次数
+  ruleSet: DEFAULT_RULE_SET, // 合并规则集：'classic'、'fibonacci'、'threes'、'powersOfThree'
+  spawnPolicy: DEFAULT_SPAWN_POLICY, // 出块难度：'easy'、'normal'、'hard'、'frantic'、'evil'
+  winTarget: DEFAULT_WIN_TARGET, // 规则集的胜利目标之一（经典规则 512 - 8192），null 为无尽模式
+  timeLimitSec: null, // 限时模式的时间（秒），null 为不限时
+  moveLimit: null, // 限步模式的步数，null 为不限步
   
   // Statistics
   maxLevel: 0,
   maxScore: 0,
-  maxTime: 0,
+  maxTime: 0, // 达到 2048 的最快用时（秒）
+  fastestWins: {}, // 每个胜利目标各自的最快用时（秒），如 { 512: 95, 2048: 610 }
+  modeBests: {}, // 非 4x4 棋盘、限时/限步模式、非经典规则集和非普通难度各自的最佳分数，如 { '5x5': 5120, 'blitz-60': 1320, 'par-100': 980, 'fibonacci': 2210, 'evil': 640 }
   
   // Game history
   gameHistory: [],
   currentGame: null,
   
+  // Daily challenge
+  daily: EMPTY_DAILY, // { results, streak, bestStreak, lastDate }
+  
+  // Puzzle levels
+  puzzleProgress: {}, // 关卡进度，key 为 packId/levelId：{ stars, bestMoves }
+  
   // App state
   showOnboarding: true,
   isLoading: true,
@@ -49,6 +92,22 @@ function gameReducer(state, action) {
       };
       
     case 'UPDATE_SCORE':
+      // 自动演示的分数不计入最佳分数
+      if (state.currentGame?.autoplayed) {
+        return { ...state, score: action.payload };
+      }
+      // 限时等模式的最佳分数单独记录，不影响经典模式的 bestScore
+      const modeKey = getModeKey(state.currentGame);
+      if (modeKey) {
+        const previousBest = state.modeBests[modeKey] || 0;
+        return {
+          ...state,
+          score: action.payload,
+          modeBests: action.payload > previousBest
+            ? { ...state.modeBests, [modeKey]: action.payload }
+            : state.modeBests,
+        };
+      }
       const newBestScore = Math.max(state.bestScore, action.payload);
       return {
         ...state,
@@ -82,22 +141,32 @@ function gameReducer(state, action) {
         maxTime: action.payload.maxTime !== undefined ? 
           (state.maxTime === 0 || (action.payload.maxTime > 0 && action.payload.maxTime < state.maxTime)) ? 
           action.payload.maxTime : state.maxTime : state.maxTime,
+        fastestWins: updateFastestWins(state.fastestWins, action.payload),
+        modeBests: action.payload.modeBests !== undefined ? action.payload.modeBests : state.modeBests,
       };
       
     case 'ADD_GAME_TO_HISTORY':
       return {
         ...state,
-        gameHistory: [action.payload, ...state.gameHistory].slice(0, 50), // Keep last 50 games
+        // Keep last 50 games，并控制录像总大小
+        gameHistory: trimHistoryLogs([action.payload, ...state.gameHistory].slice(0, 50)),
       };
       
     case 'NEW_GAME':
       return {
         ...state,
+        // 还没结束的计分每日挑战被新对局替换：按放弃时的进度记录当天结果
+        daily: recordAbandonedDaily(state.daily, state.currentGame, {
+          score: state.score,
+          highestTile: getHighestTile(state.board),
+          won: state.hasWon,
+        }),
         board: action.payload.board,
         score: 0,
         gameState: 'playing',
         currentGame: action.payload.gameData,
         hasWon: false,
+        undoStack: [],
       };
       
     case 'HIDE_ONBOARDING':
@@ -112,6 +181,91 @@ function gameReducer(state, action) {
         board: action.payload,
       };
       
+    case 'SET_RNG_STATE':
+      // 出块后推进随机数生成器状态，保证整局可由种子复现
+      if (!state.currentGame) return state;
+      return {
+        ...state,
+        currentGame: { ...state.currentGame, rngState: action.payload },
+      };
+      
+    case 'RECORD_MOVE':
+      // payload 为追加了本步之后的完整录像
+      if (!state.currentGame) return state;
+      return {
+        ...state,
+        currentGame: { ...state.currentGame, moveLog: action.payload },
+      };
+      
+    case 'MARK_AUTOPLAYED':
+      if (!state.currentGame) return state;
+      return {
+        ...state,
+        currentGame: { ...state.currentGame, autoplayed: true },
+      };
+      
+    case 'USE_HINT':
+      if (!state.currentGame) return state;
+      return {
+        ...state,
+        currentGame: { ...state.currentGame, hintsUsed: (state.currentGame.hintsUsed || 0) + 1 },
+      };
+      
+    case 'PUSH_UNDO': {
+      // 只保留剩余撤销次数所需的步数，避免无用快照占用内存
+      const depth = Math.min(getUndosRemaining(state.currentGame), MAX_UNDO_STACK);
+      if (depth === 0) return state;
+      return {
+        ...state,
+        undoStack: [...state.undoStack, action.payload].slice(-depth),
+      };
+    }
+      
+    case 'UNDO': {
+      if (state.undoStack.length === 0 || getUndosRemaining(state.currentGame) === 0) {
+        return state;
+      }
+      const previous = state.undoStack[state.undoStack.length - 1];
+      return {
+        ...state,
+        board: previous.board,
+        score: previous.score,
+        hasWon: previous.hasWon,
+        gameState: 'playing',
+        undoStack: state.undoStack.slice(0, -1),
+        currentGame: {
+          ...state.currentGame,
+          rngState: previous.rngState,
+          undosUsed: (state.currentGame.undosUsed || 0) + 1,
+          moveLog: state.currentGame.moveLog && dropLastMove(state.currentGame.moveLog),
+        },
+      };
+    }
+      
+    case 'RECORD_DAILY_RESULT':
+      // payload: { dateKey, result }
+      return {
+        ...state,
+        daily: recordDailyResult(state.daily, action.payload.dateKey, action.payload.result),
+      };
+      
+    case 'RECORD_PUZZLE_RESULT': {
+      // payload: { levelKey, stars, moves }，只保留最好的星级和最少步数
+      const { levelKey, stars, moves } = action.payload;
+      const previous = state.puzzleProgress[levelKey];
+      if (previous && previous.stars >= stars && previous.bestMoves <= moves) return state;
+      return {
+        ...state,
+        puzzleProgress: {
+          ...state.puzzleProgress,
+          [levelKey]: {
+            stars: Math.max(previous?.stars || 0, stars),
+            bestMoves: Math.min(previous?.bestMoves ?? moves, moves),
+          },
+        },
+      };
+    }
+      
     case 'SET_HAS_WON':
       return {
         ...state,
@@ -123,6 +277,36 @@ function gameReducer(state, action) {
   }
 }
 
+// fastestWins 整体替换（如重置）或记录一次新的胜利 { target, seconds }，只保留更快的用时
+function updateFastestWins(fastestWins, { fastestWins: replacement, fastestWin }) {
+  if (replacement !== undefined) return replacement;
+  if (!fastestWin || !(fastestWin.seconds > 0)) return fastestWins;
+  const previous = fastestWins[fastestWin.target];
+  if (previous && previous <= fastestWin.seconds) return fastestWins;
+  return { ...fastestWins, [fastestWin.target]: fastestWin.seconds };
+}
+
+// 将存储中的对局快照转换为 reducer 状态；快照无效时返回空对象（开始新游戏）
+function restoreInProgressGame(snapshot) {
+  if (!snapshot || !isValidBoard(snapshot.board) || !snapshot.currentGame) {
+    return {};
+  }
+  return {
+    board: snapshot.board,
+    score: snapshot.score || 0,
+    hasWon: !!snapshot.hasWon,
+    gameState: 'playing',
+    undoStack: Array.isArray(snapshot.undoStack)
+      ? snapshot.undoStack.filter(entry => isValidBoard(entry?.board))
+      : [],
+    currentGame: {
+      ...snapshot.currentGame,
+      moves: snapshot.moveCount || 0,
+      elapsedMs: snapshot.elapsedMs || 0,
+    },
+  };
+}
+
 export function GameProvider({ children }) {
   const [state, dispatch] = useReducer(gameReducer, initialState);
   
@@ -130,6 +314,17 @@ export function GameProvider({ children }) {
     initializeApp();
   }, []);
 
+  // 进入后台时立即写入排队中的数据，进程随后被杀也不会丢失
+  // 放到微任务里执行，让同一事件的其他监听器（如首页保存进行中的对局）先把数据放进队列
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'background' || nextAppState === 'inactive') {
+        Promise.resolve().then(() => StorageUtils.flush());
+      }
+    });
+    return () => subscription?.remove();
+  }, []);
+
   // 监听 bestScore 变化并自动保存
   useEffect(() => {
     if (!state.isLoading && state.bestScore > 0) {
@@ -150,27 +345,75 @@ export function GameProvider({ children }) {
       saveGameData({ maxTime: state.maxTime });
     }
   }, [state.maxTime, state.isLoading]);
+
+  // 监听各目标最快用时变化并自动保存
+  useEffect(() => {
+    if (!state.isLoading && Object.keys(state.fastestWins).length > 0) {
+      saveGameData({ fastestWins: state.fastestWins });
+    }
+  }, [state.fastestWins, state.isLoading]);
+
+  // 监听关卡进度变化并自动保存
+  useEffect(() => {
+    if (!state.isLoading && Object.keys(state.puzzleProgress).length > 0) {
+      saveGameData({ puzzleProgress: state.puzzleProgress });
+    }
+  }, [state.puzzleProgress, state.isLoading]);
+
+  // 每日挑战数据单独存放，变化后自动保存
+  useEffect(() => {
+    if (!state.isLoading && state.daily.lastDate) {
+      StorageUtils.saveDailyData(state.daily);
+    }
+  }, [state.daily, state.isLoading]);
+
+  // 监听各模式最佳分数变化并自动保存
+  useEffect(() => {
+    if (!state.isLoading && Object.keys(state.modeBests).length > 0) {
+      saveGameData({ modeBests: state.modeBests });
+    }
+  }, [state.modeBests, state.isLoading]);
   
   const initializeApp = async () => {
     try {
       // Get user data
       const userData = await StorageUtils.getUserData();
       
-      // Get game data
-      const gameData = await StorageUtils.getData();
+      // Get game data（按结构版本执行迁移，损坏的字段已移入隔离区）
+      const gameData = await StorageUtils.loadData();
+      
+      // 恢复上次未完成的对局（进程被杀后冷启动时继续）
+      const inProgress = await StorageUtils.getCurrentGame();
+      const resumed = restoreInProgressGame(inProgress);
+      
+      const daily = await StorageUtils.getDailyData();
       
       const payload = {
+        ...resumed,
         showOnboarding: !gameData?.hasSeenOnboarding,
         bestScore: gameData?.maxScore || 0,
         maxLevel: gameData?.maxLevel || 0,
         maxScore: gameData?.maxScore || 0,
         maxTime: gameData?.maxTime || 0,
+        fastestWins: gameData?.fastestWins || {},
+        modeBests: gameData?.modeBests || {},
         soundOn: gameData?.soundOn !== undefined ? gameData.soundOn : true,
-        volume: gameData?.volume || 80,
+        volume: normalizeVolume(gameData?.volume),
         hapticsOn: gameData?.hapticsOn !== undefined ? gameData.hapticsOn : true,
-        theme: gameData?.theme || 'system',
+        hapticIntensity: normalizeHapticIntensity(gameData?.hapticIntensity),
+        theme: normalizeTheme(gameData?.theme),
+        inputMode: normalizeInputMode(gameData?.inputMode),
         nickname: gameData?.nickname || 'Player',
+        boardSize: normalizeBoardSize(gameData?.boardSize),
+        undoLimit: normalizeUndoLimit(gameData?.undoLimit),
+        ruleSet: normalizeRuleSet(gameData?.ruleSet),
+        spawnPolicy: normalizeSpawnPolicy(gameData?.spawnPolicy),
+        winTarget: normalizeWinTarget(gameData?.winTarget, normalizeRuleSet(gameData?.ruleSet)),
+        timeLimitSec: normalizeTimeLimit(gameData?.timeLimitSec),
+        moveLimit: normalizeMoveLimit(gameData?.moveLimit),
         gameHistory: gameData?.gameHistory || [],
+        daily: daily?.results ? { ...EMPTY_DAILY, ...daily } : EMPTY_DAILY,
+        puzzleProgress: gameData?.puzzleProgress || {},
       };
       
       dispatch({ type: 'INITIALIZE_APP', payload });
@@ -180,18 +423,35 @@ export function GameProvider({ children }) {
     }
   };
   
-  const saveGameData = async (data) => {
-    try {
-      await StorageUtils.setData(data);
-    } catch (error) {
-      console.error('Failed to save game data:', error);
-    }
+  // 写入经过 StorageUtils 的写入队列；返回的 Promise 在写入真正完成后 resolve 为是否成功，
+  // 需要确认已保存的调用方 await 即可，其他调用方可以不等待
+  const saveGameData = (data) => {
+    return StorageUtils.setData(data).then(saved => {
+      if (!saved) console.error('Failed to save game data');
+      return saved;
+    });
+  };
+  
+  const saveCurrentGame = (snapshot) => {
+    return StorageUtils.saveCurrentGame(snapshot).then(saved => {
+      if (!saved) console.error('Failed to save current game');
+      return saved;
+    });
+  };
+  
+  const clearCurrentGame = () => {
+    return StorageUtils.clearCurrentGame().then(cleared => {
+      if (!cleared) console.error('Failed to clear current game');
+      return cleared;
+    });
   };
   
   const value = {
     state,
     dispatch,
     saveGameData,
+    saveCurrentGame,
+    clearCurrentGame,
   };
   
   return (
@@ -0,0 +1,34 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { useColorScheme } from 'react-native';
+import { useGame } from './GameContext';
+import { normalizeTheme, resolveColorScheme, getThemeColors } from '../utils/Theme';
+
+const ThemeContext = createContext();
+
+// 主题：设置里的偏好为 'system' 时跟随系统外观，切换后所有页面立即重新渲染
+export function ThemeProvider({ children }) {
+  const { state } = useGame();
+  const systemScheme = useColorScheme();
+  const preference = normalizeTheme(state.theme);
+  const scheme = resolveColorScheme(preference, systemScheme);
+
+  const value = useMemo(() => ({
+    preference,
+    scheme,
+    colors: getThemeColors(scheme),
+  }), [preference, scheme]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+}
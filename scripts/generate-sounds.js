@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// 生成游戏音效（assets/sounds/*.wav）
+// 音效全部由简单的合成音组成，修改参数后运行 `node scripts/generate-sounds.js` 重新生成
+
+const SAMPLE_RATE = 22050;
+const targetDir = path.join(__dirname, '..', 'assets', 'sounds');
+
+// 单个音符：频率从 from 滑到 to，带起音和指数衰减；wave 为波形
+function tone({ from, to = from, duration, gain = 0.5, decay = 6, wave = 'sine' }) {
+  const length = Math.round(SAMPLE_RATE * duration);
+  const samples = new Float32Array(length);
+  const attack = Math.min(length, Math.round(SAMPLE_RATE * 0.005));
+  let phase = 0;
+
+  for (let i = 0; i < length; i++) {
+    const t = i / length;
+    const frequency = from + (to - from) * t;
+    phase += (2 * Math.PI * frequency) / SAMPLE_RATE;
+
+    let value = Math.sin(phase);
+    if (wave === 'square') {
+      value = Math.sign(value) * 0.6;
+    } else if (wave === 'bell') {
+      // 叠加一个八度泛音，听起来更清脆
+      value = 0.7 * value + 0.3 * Math.sin(phase * 2);
+    }
+
+    const envelope = (i < attack ? i / attack : 1) * Math.exp(-decay * t);
+    samples[i] = value * envelope * gain;
+  }
+  return samples;
+}
+
+// 依次拼接多个音符
+function sequence(...notes) {
+  const length = notes.reduce((sum, note) => sum + note.length, 0);
+  const samples = new Float32Array(length);
+  let offset = 0;
+  notes.forEach(note => {
+    samples.set(note, offset);
+    offset += note.length;
+  });
+  return samples;
+}
+
+// 16 位单声道 PCM WAV
+function encodeWav(samples) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((sample, i) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    buffer.writeInt16LE(Math.round(clamped * 32767), 44 + i * 2);
+  });
+  return buffer;
+}
+
+// 音效列表，文件名与 utils/SoundEngine.js 中的 SOUND_CUES 对应
+const sounds = {
+  // 滑动：短促的下滑音
+  slide: tone({ from: 260, to: 180, duration: 0.07, gain: 0.25, decay: 4 }),
+  // 合并：C5 铃音，播放时按瓦片数值升调
+  merge: tone({ from: 523.25, duration: 0.12, gain: 0.5, decay: 5, wave: 'bell' }),
+  // 出块：轻柔的高音
+  spawn: tone({ from: 880, to: 990, duration: 0.05, gain: 0.2, decay: 5 }),
+  // 无效移动：两下低沉的嗡声
+  invalid: sequence(
+    tone({ from: 110, duration: 0.07, gain: 0.35, decay: 3, wave: 'square' }),
+    tone({ from: 98, duration: 0.09, gain: 0.35, decay: 3, wave: 'square' })
+  ),
+  // 胜利：C 大三和弦琶音
+  win: sequence(
+    tone({ from: 523.25, duration: 0.11, wave: 'bell' }),
+    tone({ from: 659.25, duration: 0.11, wave: 'bell' }),
+    tone({ from: 783.99, duration: 0.11, wave: 'bell' }),
+    tone({ from: 1046.5, duration: 0.3, decay: 4, wave: 'bell' })
+  ),
+  // 游戏结束：下行的三个音
+  gameover: sequence(
+    tone({ from: 392, duration: 0.16, gain: 0.4, decay: 3 }),
+    tone({ from: 329.63, duration: 0.16, gain: 0.4, decay: 3 }),
+    tone({ from: 261.63, to: 246.94, duration: 0.36, gain: 0.4, decay: 4 })
+  ),
+};
+
+if (!fs.existsSync(targetDir)) {
+  fs.mkdirSync(targetDir, { recursive: true });
+}
+
+Object.entries(sounds).forEach(([name, samples]) => {
+  const targetPath = path.join(targetDir, `${name}.wav`);
+  fs.writeFileSync(targetPath, encodeWav(samples));
+  console.log(`✓ 生成音效: ${name}.wav`);
+});
+
+console.log(`\n✓ 完成! 已生成 ${Object.keys(sounds).length} 个音效到 assets/sounds/`);
@@ -0,0 +1,207 @@
+import { getTileValue, isSpecialTile, isStone, TILE_TYPES } from './GameLogic';
+import { DEFAULT_RULE_SET, getRuleSet, getTileRank } from './RuleSets';
+
+/**
+ * 棋盘动画工具
+ * 首页棋盘、谜题和录像回放共用的布局计算、瓦片渲染层和瓦片配色
+ * 动画本身由 components/BoardTile 用 Reanimated 共享值在 UI 线程上播放
+ */
+
+// 默认格子间距（与原版 2048 一致）
+export const DEFAULT_GRID_SPACING = 10;
+
+// 动画时长（毫秒），durationScale 可整体加速或减速
+// 合并回弹和出块都在滑动结束后开始；输入在滑动结束后即可继续
+export const SLIDE_DURATION = 200;
+export const MERGE_POP_DURATION = 60;
+export const SPAWN_FADE_DURATION = 150;
+
+/**
+ * 根据棋盘像素大小和每行格子数计算瓦片大小与定位函数
+ * @param {number} boardPixelSize - 棋盘边长（像素）
+ * @param {number} gridRowCells - 每行格子数（棋盘尺寸）
+ * @param {Object} [options]
+ * @param {number} [options.spacing] - 格子间距
+ * @param {number} [options.baseBoardSize] - 字号基准棋盘边长，小棋盘据此等比缩小字号
+ */
+export function getGridMetrics(boardPixelSize, gridRowCells, { spacing = DEFAULT_GRID_SPACING, baseBoardSize = boardPixelSize } = {}) {
+  const tileSize = Math.floor((boardPixelSize - spacing * (gridRowCells + 1)) / gridRowCells);
+
+  // Position calculation helpers
+  const cellPosition = (x) => {
+    return spacing + x * (tileSize + spacing);
+  };
+
+  return {
+    gridRowCells,
+    spacing,
+    tileSize,
+    toX: (col) => cellPosition(col),
+    toY: (row) => cellPosition(row),
+    // 字号以经典 4x4 为基准按格子数缩放
+    fontScale: (4 / gridRowCells) * (boardPixelSize / baseBoardSize),
+  };
+}
+
+// 瓦片数字字号
+export function getTileTextSize(value, fontScale) {
+  if (isSpecialTile(value)) {
+    // 炸弹的数值前有标记，按多一位数缩小
+    return (getTileValue(value) * 10 > 512 ? 24 : 32) * fontScale;
+  }
+  return (value > 512 ? 24 : 32) * fontScale;
+}
+
+// 瓦片上显示的文字：石块不显示，万能瓦片显示星号，炸弹在数值前加标记
+export function getTileLabel(value) {
+  if (!isSpecialTile(value)) return String(value);
+  switch (value.type) {
+    case TILE_TYPES.WILDCARD:
+      return '★';
+    case TILE_TYPES.BOMB:
+      return `✹${value.value}`;
+    default:
+      return '';
+  }
+}
+
+// 渲染层里的一个瓦片：按 id 渲染，row / col 为终点，appear 为出现方式（'spawn' | 'merge' | null），
+// leaving 为滑到终点后消失（被合并掉或被炸掉）
+function layerTile(id, value, { row, col }, appear = null, leaving = false) {
+  return { id, value, row, col, appear, leaving };
+}
+
+/**
+ * 整盘渲染层：棋盘上每个瓦片一项，新对局、撤销、从后台恢复等整盘替换时使用
+ * @param {Array<Array>} board - 棋盘
+ * @param {Array<Array<number|null>>} tileIds - 与 board 对应的瓦片 id 网格
+ * @param {string|null} [appear] - 'spawn' 时全部瓦片播放出现动画（石块除外）
+ * @returns {Array<{ id, value, row, col, appear, leaving }>}
+ */
+export function createTileLayer(board, tileIds, appear = null) {
+  const layer = [];
+  board.forEach((line, row) => line.forEach((value, col) => {
+    if (value === null) return;
+    layer.push(layerTile(tileIds[row][col], value, { row, col }, isStone(value) ? null : appear));
+  }));
+  return layer;
+}
+
+/**
+ * 一步之后的渲染层
+ * 瓦片去向直接取自 move() 返回的 tiles / merges，动画与实际移动不会不一致：
+ * 每个瓦片滑向终点，被合并掉或被炸掉的瓦片到达后消失，合并结果在滑动结束后回弹，
+ * 本步之外新出现的瓦片（出块）在滑动结束后出现
+ * @param {{ tiles: Array, merges: Array }} moveResult - move() 的返回值或录像帧
+ * @param {Array<Array>} board - 出块之后的棋盘
+ * @param {Array<Array<number|null>>} tileIds - 与 board 对应的瓦片 id 网格
+ * @returns {Array<{ id, value, row, col, appear, leaving }>} 消失的瓦片在前，合并结果在后，保证叠放顺序
+ */
+export function getMoveTileLayer({ tiles, merges }, board, tileIds) {
+  const seen = new Set();
+  const leaving = [];
+  const staying = [];
+
+  tiles.forEach(t => {
+    seen.add(t.id);
+    if (tileIds[t.to.row][t.to.col] === t.id) {
+      staying.push(layerTile(t.id, t.value, t.to));
+    } else {
+      leaving.push(layerTile(t.id, t.value, t.to, null, true));
+    }
+  });
+
+  const merged = merges
+    .filter(m => m.id !== null)
+    .map(m => {
+      seen.add(m.id);
+      return layerTile(m.id, m.value, m.at, 'merge');
+    });
+
+  const spawned = [];
+  board.forEach((line, row) => line.forEach((value, col) => {
+    const id = tileIds[row][col];
+    if (value === null || seen.has(id)) return;
+    spawned.push(layerTile(id, value, { row, col }, isStone(value) ? null : 'spawn'));
+  }));
+
+  return [...leaving, ...staying, ...merged, ...spawned];
+}
+
+// 2048 color scheme
+const TILE_COLORS = {
+  2: { backgroundColor: '#EEE4DA', color: '#776e65' },
+  4: { backgroundColor: '#EDE0C8', color: '#776e65' },
+  8: { backgroundColor: '#F2B179', color: '#f9f6f2' },
+  16: { backgroundColor: '#F59563', color: '#f9f6f2' },
+  32: { backgroundColor: '#F67C5F', color: '#f9f6f2' },
+  64: { backgroundColor: '#F65E3B', color: '#f9f6f2' },
+  128: { backgroundColor: '#EDCF72', color: '#f9f6f2', fontSize: 45 },
+  256: { backgroundColor: '#EDCC61', color: '#f9f6f2', fontSize: 45 },
+  512: { backgroundColor: '#EDC850', color: '#f9f6f2', fontSize: 45 },
+  1024: { backgroundColor: '#EDC53F', color: '#f9f6f2', fontSize: 35 },
+  2048: { backgroundColor: '#EDC22E', color: '#f9f6f2', fontSize: 35 },
+  4096: { backgroundColor: '#E6B91B', color: '#f9f6f2', fontSize: 30 },
+  8192: { backgroundColor: '#DFA100', color: '#f9f6f2', fontSize: 30 },
+  16384: { backgroundColor: '#D08300', color: '#f9f6f2', fontSize: 30 },
+  32768: { backgroundColor: '#B56400', color: '#f9f6f2', fontSize: 30 },
+  65536: { backgroundColor: '#984B00', color: '#f9f6f2', fontSize: 30 },
+  131072: { backgroundColor: '#7B3A00', color: '#f9f6f2', fontSize: 30 },
+};
+
+// 深色主题：压低亮度，小数值瓦片改为深底浅字
+const DARK_TILE_COLORS = {
+  2: { backgroundColor: '#3a3632', color: '#eee4da' },
+  4: { backgroundColor: '#4a4238', color: '#eee4da' },
+  8: { backgroundColor: '#b5703f', color: '#f9f6f2' },
+  16: { backgroundColor: '#b8603a', color: '#f9f6f2' },
+  32: { backgroundColor: '#b84e34', color: '#f9f6f2' },
+  64: { backgroundColor: '#b33b1e', color: '#f9f6f2' },
+  128: { backgroundColor: '#b89a45', color: '#f9f6f2', fontSize: 45 },
+  256: { backgroundColor: '#b8963a', color: '#f9f6f2', fontSize: 45 },
+  512: { backgroundColor: '#b8912d', color: '#f9f6f2', fontSize: 45 },
+  1024: { backgroundColor: '#b88c21', color: '#f9f6f2', fontSize: 35 },
+  2048: { backgroundColor: '#b88716', color: '#f9f6f2', fontSize: 35 },
+  4096: { backgroundColor: '#a87e10', color: '#f9f6f2', fontSize: 30 },
+  8192: { backgroundColor: '#9a6f00', color: '#f9f6f2', fontSize: 30 },
+  16384: { backgroundColor: '#8a5b00', color: '#f9f6f2', fontSize: 30 },
+  32768: { backgroundColor: '#774a00', color: '#f9f6f2', fontSize: 30 },
+  65536: { backgroundColor: '#643a00', color: '#f9f6f2', fontSize: 30 },
+  131072: { backgroundColor: '#512e00', color: '#f9f6f2', fontSize: 30 },
+};
+
+// 特殊格子配色
+const SPECIAL_TILE_COLORS = {
+  [TILE_TYPES.STONE]: { backgroundColor: '#8a7e72', color: '#8a7e72', borderWidth: 3, borderColor: '#6f655b' },
+  [TILE_TYPES.WILDCARD]: { backgroundColor: '#a78bfa', color: '#f9f6f2' },
+  [TILE_TYPES.BOMB]: { backgroundColor: '#3c3a32', color: '#f9f6f2', borderWidth: 3, borderColor: '#ef4444' },
+};
+
+const DARK_SPECIAL_TILE_COLORS = {
+  [TILE_TYPES.STONE]: { backgroundColor: '#2f2b27', color: '#2f2b27', borderWidth: 3, borderColor: '#6f655b' },
+  [TILE_TYPES.WILDCARD]: { backgroundColor: '#7c66c9', color: '#f9f6f2' },
+  [TILE_TYPES.BOMB]: { backgroundColor: '#141210', color: '#f9f6f2', borderWidth: 3, borderColor: '#dc2626' },
+};
+
+// ruleSet: 规则集 id，非经典规则按瓦片等级使用规则自己的配色（深浅主题相同）
+// scheme: 配色方案 'light' | 'dark'，见 utils/Theme
+export function getTileStyle(value, ruleSet = DEFAULT_RULE_SET, scheme = 'light') {
+  const dark = scheme === 'dark';
+  if (isSpecialTile(value)) {
+    return (dark ? DARK_SPECIAL_TILE_COLORS : SPECIAL_TILE_COLORS)[value.type];
+  }
+
+  const { palette } = getRuleSet(ruleSet);
+  if (palette) {
+    const rank = Math.max(getTileRank(value, ruleSet), 1);
+    return palette[Math.min(rank, palette.length) - 1];
+  }
+
+  const tileClass = (dark ? DARK_TILE_COLORS : TILE_COLORS)[value] || {
+    backgroundColor: dark ? '#512e00' : '#7B3A00',
+    color: '#f9f6f2',
+    fontSize: 30
+  };
+
+  return tileClass;
+}
@@ -0,0 +1,119 @@
+/**
+ * 每日挑战工具类
+ * 种子由本地日期派生，同一天所有玩家得到完全相同的出块序列；每天只有第一次尝试计分。
+ *
+ * 每日挑战数据结构（单独存放在 StorageUtils 的 daily key 下）：
+ *   { results: { 'YYYY-MM-DD': { gameId, score, highestTile, won, finished, abandoned } }, streak, bestStreak, lastDate }
+ * 开局时记录 finished 为 false 的占位结果；对局结束时替换为最终结果（finished），
+ * 中途开始了另一局时替换为放弃时的分数（abandoned）。
+ */
+import { createNewGame, DEFAULT_BOARD_SIZE, DEFAULT_WIN_TARGET } from './GameLogic';
+import { seedFromString } from './Random';
+
+export const EMPTY_DAILY = { results: {}, streak: 0, bestStreak: 0, lastDate: null };
+
+// 最多保留的每日结果天数（约一年，供日历显示）
+const MAX_DAILY_RESULTS = 400;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 本地日期 key：YYYY-MM-DD
+export function getDailyKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 日期 key 转为本地日期对象
+export function parseDailyKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// 日期 key 前后平移若干天
+export function shiftDailyKey(dateKey, days) {
+  const date = parseDailyKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return getDailyKey(date);
+}
+
+// 当天的种子
+export function getDailySeed(dateKey) {
+  return seedFromString(`2048-daily-${dateKey}`);
+}
+
+// 当天是否已经用掉计分机会
+export function hasPlayedDaily(daily, dateKey) {
+  return !!daily?.results?.[dateKey];
+}
+
+/**
+ * 创建每日挑战对局
+ * 规则固定为经典 4x4、目标 2048、不可撤销，保证所有人的挑战相同
+ * @param {string} dateKey - 日期 key
+ * @param {Object} [options]
+ * @param {boolean} [options.scored] - false 表示当天已玩过，本局仅为练习不计分
+ */
+export function createDailyGame(dateKey = getDailyKey(), { scored = true } = {}) {
+  const { board, gameData } = createNewGame({
+    boardSize: DEFAULT_BOARD_SIZE,
+    seed: getDailySeed(dateKey),
+    undoLimit: 0,
+    winTarget: DEFAULT_WIN_TARGET,
+  });
+  return {
+    board,
+    gameData: { ...gameData, dailyKey: dateKey, dailyScored: scored },
+  };
+}
+
+/**
+ * 记录某天的计分结果并更新连续天数
+ * 同一天重复记录（开局占位 -> 结束结果）只更新结果，不重复累计连续天数
+ * @returns {Object} 新的每日挑战数据（不修改原对象）
+ */
+export function recordDailyResult(daily = EMPTY_DAILY, dateKey, result) {
+  const results = { ...daily.results, [dateKey]: result };
+
+  // 只保留最近的结果
+  const keys = Object.keys(results).sort();
+  keys.slice(0, Math.max(keys.length - MAX_DAILY_RESULTS, 0)).forEach(key => {
+    delete results[key];
+  });
+
+  let streak = daily.streak || 0;
+  if (daily.lastDate !== dateKey) {
+    streak = daily.lastDate === shiftDailyKey(dateKey, -1) ? streak + 1 : 1;
+  }
+
+  return {
+    results,
+    streak,
+    bestStreak: Math.max(daily.bestStreak || 0, streak),
+    lastDate: dateKey,
+  };
+}
+
+/**
+ * 计分的每日挑战被另一局替换时，用放弃时的分数和最大瓦片替换开局占位记录
+ * 对局不是计分的每日挑战，或当天已有这一局的最终结果时原样返回
+ * @param {Object} daily - 每日挑战数据
+ * @param {Object} game - 被替换的对局（GameContext 的 currentGame）
+ * @param {Object} progress - { score, highestTile, won }
+ * @returns {Object} 新的每日挑战数据（不修改原对象）
+ */
+export function recordAbandonedDaily(daily, game, { score, highestTile, won }) {
+  if (!game?.dailyKey || !game.dailyScored) return daily;
+
+  const result = daily.results[game.dailyKey];
+  if (!result || result.gameId !== game.id || result.finished || result.abandoned) return daily;
+
+  return recordDailyResult(daily, game.dailyKey, { ...result, score, highestTile, won, abandoned: true });
+}
+
+// 当前连续天数：最后一次挑战不是今天或昨天时已经中断
+export function getCurrentStreak(daily, today = getDailyKey()) {
+  if (!daily?.lastDate) return 0;
+  if (daily.lastDate === today || daily.lastDate === shiftDailyKey(today, -1)) {
+    return daily.streak || 0;
+  }
+  return 0;
+}
@@ -0,0 +1,81 @@
+/**
+ * 对局分析工具
+ * 基于录像回放统计每个格子的真实活跃度，用于详情页热力图
+ */
+import { buildReplayFrames } from './Replay';
+import { decodeBoard, getMoveLogRuleSet } from './MoveLog';
+
+// 热力图图层
+export const HEATMAP_LAYERS = ['merges', 'maxTile', 'spawns'];
+
+function createGrid(size) {
+  return Array(size).fill(null).map(() => Array(size).fill(0));
+}
+
+// 找出棋盘上最大瓦片所在的所有格子
+function findMaxTileCells(board) {
+  let highest = 0;
+  let cells = [];
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board.length; col++) {
+      const value = board[row][col];
+      if (value === null || value < highest) continue;
+      if (value > highest) {
+        highest = value;
+        cells = [];
+      }
+      cells.push({ row, col });
+    }
+  }
+  return cells;
+}
+
+/**
+ * 统计每个格子的活跃度
+ * @param {Object} moveLog - 历史记录中的录像
+ * @param {number} [endTimeMs] - 对局结束时间，用于计算最后一个局面的持续时长
+ * @returns {{ merges: number[][], maxTile: number[][], spawns: number[][] } | null}
+ *   merges: 发生合并的次数；maxTile: 持有最大瓦片的毫秒数；spawns: 生成新瓦片的次数
+ */
+export function computeCellActivity(moveLog, endTimeMs) {
+  const { frames } = buildReplayFrames(moveLog);
+  if (frames.length === 0) return null;
+
+  const size = moveLog.size;
+  const ruleSet = getMoveLogRuleSet(moveLog);
+  const merges = createGrid(size);
+  const maxTile = createGrid(size);
+  const spawns = createGrid(size);
+
+  // 开局的两个瓦片也算作生成
+  const startBoard = decodeBoard(moveLog.start, size, ruleSet);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (startBoard[row][col] !== null) spawns[row][col] += 1;
+    }
+  }
+
+  const lastT = frames[frames.length - 1].t;
+  const finishedAt = Math.max(endTimeMs || 0, lastT);
+
+  frames.forEach((frame, i) => {
+    if (frame.move) {
+      frame.merges.forEach(({ at }) => { merges[at.row][at.col] += 1; });
+      frame.move.spawns.forEach(({ row, col }) => { spawns[row][col] += 1; });
+    }
+
+    // 当前局面持续到下一步为止
+    const until = i + 1 < frames.length ? frames[i + 1].t : finishedAt;
+    const held = Math.max(until - frame.t, 0);
+    findMaxTileCells(frame.board).forEach(({ row, col }) => { maxTile[row][col] += held; });
+  });
+
+  return { merges, maxTile, spawns };
+}
+
+// 将统计值归一化到 0 - 1，用于热力图颜色
+export function normalizeGrid(grid) {
+  const highest = Math.max(...grid.flat(), 0);
+  if (highest === 0) return grid.map(row => row.map(() => 0));
+  return grid.map(row => row.map(value => value / highest));
+}
@@ -2,17 +2,182 @@
  * 2048游戏逻辑工具类
  * 包含所有游戏核心逻辑：移动、合并、胜负判断等
  */
+import { createRng, createSeed, normalizeSeed } from './Random';
+import { createMoveLog } from './MoveLog';
+import { DEFAULT_RULE_SET, getRuleSet, normalizeRuleSet } from './RuleSets';
+import {
+  DEFAULT_SPAWN_POLICY,
+  getSpawnPolicy,
+  getSpawnDistribution,
+  normalizeSpawnPolicy,
+  pickSpawnValue,
+} from './SpawnPolicy';
 
-// 创建空的4x4棋盘
-export function createEmptyBoard() {
-  return Array(4).fill(null).map(() => Array(4).fill(null));
+// 棋盘尺寸配置：支持 3x3 到 8x8，默认经典 4x4
+export const MIN_BOARD_SIZE = 3;
+export const MAX_BOARD_SIZE = 8;
+export const DEFAULT_BOARD_SIZE = 4;
+export const BOARD_SIZES = [3, 4, 5, 6, 7, 8];
+
+// 撤销次数配置：每局允许的撤销次数，-1 表示不限次数
+export const UNLIMITED_UNDO = -1;
+export const UNDO_LIMITS = [0, 1, 3, UNLIMITED_UNDO];
+export const DEFAULT_UNDO_LIMIT = 0;
+// 撤销栈的最大深度（不限次数时也只保留最近这么多步）
+export const MAX_UNDO_STACK = 100;
+
+// 胜利目标配置：null 表示无尽模式（不弹胜利对话框，一直玩到无路可走）
+// 这里是经典规则的目标，其他规则集的目标见 RuleSets
+export const ENDLESS_TARGET = null;
+export const WIN_TARGETS = getRuleSet(DEFAULT_RULE_SET).winTargets;
+export const DEFAULT_WIN_TARGET = getRuleSet(DEFAULT_RULE_SET).defaultWinTarget;
+
+// 限时模式（Blitz）的时间配置（秒），null 表示不限时
+export const BLITZ_TIME_LIMITS = [60, 180, 300];
+// 限步模式（Par）的步数配置，null 表示不限步
+export const PAR_MOVE_LIMITS = [50, 100, 200];
+
+// 特殊格子（变体模式使用）：普通瓦片仍然是数字，特殊格子是带 type 的对象，经典模式的棋盘里不会出现
+//   { type: 'stone' }              石块：不能移动也不能合并，把所在的行/列分隔成互不影响的几段
+//   { type: 'wildcard' }           万能瓦片：可以和任意数字瓦片合并，结果为该数字的两倍
+//   { type: 'bomb', value: 4 }     炸弹：和相同数值的瓦片（或万能瓦片）合并时清空移动方向上的整行/整列，石块除外
+export const TILE_TYPES = {
+  STONE: 'stone',
+  WILDCARD: 'wildcard',
+  BOMB: 'bomb',
+};
+
+export const createStone = () => ({ type: TILE_TYPES.STONE });
+export const createWildcard = () => ({ type: TILE_TYPES.WILDCARD });
+export const createBomb = (value = 2) => ({ type: TILE_TYPES.BOMB, value });
+
+export function isSpecialTile(cell) {
+  return cell !== null && typeof cell === 'object';
+}
+
+export function isStone(cell) {
+  return isSpecialTile(cell) && cell.type === TILE_TYPES.STONE;
+}
+
+// 格子的数值：数字瓦片和炸弹为其数值，空格、石块和万能瓦片为 0
+export function getTileValue(cell) {
+  if (typeof cell === 'number') return cell;
+  return cell?.type === TILE_TYPES.BOMB ? cell.value : 0;
+}
+
+// 校验特殊格子的结构（用于恢复存档、加载关卡包等外部数据）
+export function isValidSpecialTile(cell) {
+  if (!isSpecialTile(cell)) return false;
+  switch (cell.type) {
+    case TILE_TYPES.STONE:
+    case TILE_TYPES.WILDCARD:
+      return true;
+    case TILE_TYPES.BOMB:
+      return Number.isInteger(cell.value) && cell.value > 0;
+    default:
+      return false;
+  }
+}
+
+// 将任意输入规整为合法的棋盘尺寸（非法值回退到默认 4x4）
+export function normalizeBoardSize(size) {
+  const n = Number(size);
+  if (!Number.isInteger(n) || n < MIN_BOARD_SIZE || n > MAX_BOARD_SIZE) {
+    return DEFAULT_BOARD_SIZE;
+  }
+  return n;
+}
+
+// 将任意输入规整为合法的撤销次数配置
+export function normalizeUndoLimit(limit) {
+  return UNDO_LIMITS.includes(limit) ? limit : DEFAULT_UNDO_LIMIT;
+}
+
+// 将任意输入规整为该规则集合法的胜利目标（旧数据没有该字段时为经典 2048）
+export function normalizeWinTarget(target, ruleSet = DEFAULT_RULE_SET) {
+  const { winTargets, defaultWinTarget } = getRuleSet(ruleSet);
+  return winTargets.includes(target) ? target : defaultWinTarget;
+}
+
+// 将任意输入规整为合法的限时配置（非法值视为不限时）
+export function normalizeTimeLimit(limit) {
+  return BLITZ_TIME_LIMITS.includes(limit) ? limit : null;
+}
+
+// 将任意输入规整为合法的限步配置（非法值视为不限步）
+export function normalizeMoveLimit(limit) {
+  return PAR_MOVE_LIMITS.includes(limit) ? limit : null;
+}
+
+// 对局模式：'classic'、'blitz' 或 'par'（两者互斥，限时优先）
+export function getGameMode(gameData) {
+  if (normalizeTimeLimit(gameData?.timeLimitSec)) return 'blitz';
+  if (normalizeMoveLimit(gameData?.moveLimit)) return 'par';
+  return 'classic';
+}
+
+// 需要单独记录最佳分数的模式返回其 key（如 'blitz-60'、'par-100'、'fibonacci'、'threes-blitz-60'、'evil'、'threes-hard-par-50'、
+// '5x5'、'3x3-blitz-60'），4x4 棋盘、经典规则、普通难度的经典模式返回 null（使用全局最佳）
+export function getModeKey(gameData) {
+  const mode = getGameMode(gameData);
+  let key = null;
+  if (mode === 'blitz') key = `blitz-${gameData.timeLimitSec}`;
+  if (mode === 'par') key = `par-${gameData.moveLimit}`;
+
+  // 不同棋盘尺寸、不同规则集、不同出块难度的分数不可比，各自单独记录
+  const size = normalizeBoardSize(gameData?.boardSize);
+  const ruleSet = normalizeRuleSet(gameData?.ruleSet);
+  const spawnPolicy = normalizeSpawnPolicy(gameData?.spawnPolicy);
+  const parts = [
+    size !== DEFAULT_BOARD_SIZE && `${size}x${size}`,
+    ruleSet !== DEFAULT_RULE_SET && ruleSet,
+    spawnPolicy !== DEFAULT_SPAWN_POLICY && spawnPolicy,
+    key,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join('-') : null;
+}
+
+// 胜利目标的显示名称
+export function getWinTargetLabel(target) {
+  return target === ENDLESS_TARGET ? 'Endless' : String(target);
+}
+
+// 本局剩余可撤销次数（不限次数时返回 Infinity）
+export function getUndosRemaining(gameData) {
+  const limit = normalizeUndoLimit(gameData?.undoLimit);
+  if (limit === UNLIMITED_UNDO) return Infinity;
+  return Math.max(limit - (gameData?.undosUsed || 0), 0);
+}
+
+// 创建空的 size x size 棋盘
+export function createEmptyBoard(size = DEFAULT_BOARD_SIZE) {
+  const n = normalizeBoardSize(size);
+  return Array(n).fill(null).map(() => Array(n).fill(null));
+}
+
+// 获取棋盘尺寸（棋盘总是正方形）
+export function getBoardSize(board) {
+  return board.length;
+}
+
+// 校验棋盘结构是否合法（用于恢复存档等外部数据）
+export function isValidBoard(board) {
+  if (!Array.isArray(board) || normalizeBoardSize(board.length) !== board.length) {
+    return false;
+  }
+  return board.every(row =>
+    Array.isArray(row) &&
+    row.length === board.length &&
+    row.every(cell => cell === null || (Number.isInteger(cell) && cell > 0) || isValidSpecialTile(cell))
+  );
 }
 
 // 获取空位置
 export function getEmptyPositions(board) {
   const empty = [];
-  for (let row = 0; row < 4; row++) {
-    for (let col = 0; col < 4; col++) {
+  const size = board.length;
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
       if (board[row][col] === null) {
         empty.push({ row, col });
       }
@@ -22,138 +187,296 @@ export function getEmptyPositions(board) {
 }
 
 // 在随机空位置添加新瓦片
-export function addRandomTile(board) {
+// random: 返回 [0, 1) 的随机函数，传入种子生成器的 next 即可复现
+// ruleSet: 规则集 id，决定出块数值（经典规则 90% 概率是2，10%概率是4）
+// spawnPolicy: 出块策略 id，可调整大瓦片的概率
+export function addRandomTile(board, random = Math.random, ruleSet = DEFAULT_RULE_SET, spawnPolicy = DEFAULT_SPAWN_POLICY) {
   const emptyPositions = getEmptyPositions(board);
   if (emptyPositions.length === 0) return board;
   
-  const randomPos = emptyPositions[Math.floor(Math.random() * emptyPositions.length)];
-  const value = Math.random() < 0.9 ? 2 : 4; // 90% 概率是2，10%概率是4
+  const randomPos = emptyPositions[Math.floor(random() * emptyPositions.length)];
+  const value = pickSpawnValue(getSpawnDistribution(ruleSet, spawnPolicy), random);
   
   const newBoard = board.map(row => [...row]);
   newBoard[randomPos.row][randomPos.col] = value;
   return newBoard;
 }
 
+// 玩家对某个局面的最佳应对：四个方向中移动后空格最多（其次得分最高）的结果
+// 无路可走时返回 null（对出块方而言是最好的结果）
+function getBestReply(board, ruleSet) {
+  let best = null;
+  for (const direction of ['up', 'down', 'left', 'right']) {
+    const result = move(board, direction, ruleSet);
+    if (!result.isValidMove) continue;
+    const reply = { empty: getEmptyPositions(result.board).length, score: result.score };
+    if (!best || reply.empty > best.empty || (reply.empty === best.empty && reply.score > best.score)) {
+      best = reply;
+    }
+  }
+  return best;
+}
+
+// 对抗式出块：向前看一步，在所有空位 × 可能的出块数值中，选玩家最佳应对最差的一种
+// 不消耗随机数；平局时取扫描顺序中的第一个，保证结果确定
+function addWorstTile(board, ruleSet = DEFAULT_RULE_SET, spawnPolicy = DEFAULT_SPAWN_POLICY) {
+  const emptyPositions = getEmptyPositions(board);
+  if (emptyPositions.length === 0) return board;
+
+  const values = getSpawnDistribution(ruleSet, spawnPolicy)
+    .filter(({ chance }) => chance > 0)
+    .map(({ value }) => value);
+  let worst = null;
+  for (const { row, col } of emptyPositions) {
+    for (const value of values) {
+      const candidate = board.map(r => [...r]);
+      candidate[row][col] = value;
+      const reply = getBestReply(candidate, ruleSet);
+      // 让玩家无路可走，直接选中
+      if (!reply) return candidate;
+      if (!worst || reply.empty < worst.reply.empty
+        || (reply.empty === worst.reply.empty && reply.score < worst.reply.score)) {
+        worst = { board: candidate, reply };
+      }
+    }
+  }
+  return worst.board;
+}
+
+// 按出块策略在一步移动之后生成新瓦片（可能多个，空位不足时尽量生成）
+export function spawnTiles(board, random = Math.random, { ruleSet = DEFAULT_RULE_SET, spawnPolicy = DEFAULT_SPAWN_POLICY } = {}) {
+  const { tilesPerMove, evil } = getSpawnPolicy(spawnPolicy);
+  let next = board;
+  for (let i = 0; i < tilesPerMove; i++) {
+    next = evil ? addWorstTile(next, ruleSet, spawnPolicy) : addRandomTile(next, random, ruleSet, spawnPolicy);
+  }
+  return next;
+}
+
 // 初始化游戏棋盘（添加两个随机瓦片）
-export function initializeBoard() {
-  let board = createEmptyBoard();
-  board = addRandomTile(board);
-  board = addRandomTile(board);
+export function initializeBoard(size = DEFAULT_BOARD_SIZE, random = Math.random, ruleSet = DEFAULT_RULE_SET) {
+  let board = createEmptyBoard(size);
+  board = addRandomTile(board, random, ruleSet);
+  board = addRandomTile(board, random, ruleSet);
   return board;
 }
 
+// 相邻一组瓦片（规则集的 groupSize 个）合并的结果，不能合并时返回 null
+// 返回 { tile, score, explode }：explode 表示炸弹被引爆
+function mergeTiles(group, rules) {
+  if (group.every(cell => typeof cell === 'number')) {
+    const value = rules.merge(group);
+    return value === null ? null : { tile: value, score: value, explode: false };
+  }
+  // 万能瓦片和炸弹只在支持特殊格子的规则（经典规则）下合并
+  if (!rules.specialTiles) return null;
+
+  const [a, b] = group;
+
+  const aWild = a.type === TILE_TYPES.WILDCARD;
+  const bWild = b.type === TILE_TYPES.WILDCARD;
+  // 两个万能瓦片没有数值，不能合并
+  if (aWild && bWild) return null;
+
+  const aBomb = a.type === TILE_TYPES.BOMB;
+  const bBomb = b.type === TILE_TYPES.BOMB;
+  if (aBomb || bBomb) {
+    const value = getTileValue(aBomb ? a : b);
+    const other = aBomb ? b : a;
+    if (other.type === TILE_TYPES.WILDCARD || getTileValue(other) === value) {
+      return { tile: null, score: value * 2, explode: true };
+    }
+    return null;
+  }
+
+  // 万能瓦片 + 数字瓦片
+  const value = aWild ? b : a;
+  return { tile: value * 2, score: value * 2, explode: false };
+}
+
 // 向左移动一行的核心逻辑
-function moveRowLeft(row) {
-  // 1. 移除空值并紧缩到左侧
-  let filtered = row.filter(val => val !== null);
-  
-  // 2. 合并相邻相同的数字
+// 返回新行、得分，以及每个瓦片的去向 moves: [{ from, to, merged }]（行内下标，供动画使用）
+function moveRowLeft(row, rules = getRuleSet(DEFAULT_RULE_SET)) {
+  const { groupSize } = rules;
+  const result = Array(row.length).fill(null);
+  const moves = [];
   let score = 0;
-  for (let i = 0; i < filtered.length - 1; i++) {
-    if (filtered[i] === filtered[i + 1]) {
-      filtered[i] *= 2;
-      score += filtered[i];
-      filtered[i + 1] = null;
-      i++; // 跳过下一个，防止连锁合并
+  let exploded = false;
+
+  // 石块把一行分成几段，每段各自向左紧缩合并（经典模式整行只有一段）
+  let start = 0;
+  for (let end = 0; end <= row.length; end++) {
+    if (end < row.length && !isStone(row[end])) continue;
+
+    // 1. 取出本段的非空瓦片（保留原下标）
+    const tiles = [];
+    for (let i = start; i < end; i++) {
+      if (row[i] !== null) tiles.push(i);
+    }
+
+    // 2. 从左到右合并相邻可合并的瓦片（两个或三个一组），每个瓦片最多合并一次（防止连锁合并）
+    let dest = start;
+    for (let i = 0; i < tiles.length; i++) {
+      const group = tiles.slice(i, i + groupSize);
+      const merged = group.length === groupSize ? mergeTiles(group.map(index => row[index]), rules) : null;
+      if (merged) {
+        result[dest] = merged.tile;
+        score += merged.score;
+        exploded = exploded || merged.explode;
+        group.forEach(index => moves.push({ from: index, to: dest, merged: true }));
+        i += groupSize - 1;
+      } else {
+        result[dest] = row[tiles[i]];
+        moves.push({ from: tiles[i], to: dest, merged: false });
+      }
+      dest++;
     }
+
+    // 石块留在原位
+    if (end < row.length) result[end] = row[end];
+    start = end + 1;
   }
-  
-  // 3. 再次移除空值并填充到长度4
-  filtered = filtered.filter(val => val !== null);
-  while (filtered.length < 4) {
-    filtered.push(null);
+
+  // 3. 炸弹引爆：清空整行，石块除外
+  if (exploded) {
+    for (let i = 0; i < result.length; i++) {
+      if (!isStone(result[i])) result[i] = null;
+    }
   }
-  
-  return { row: filtered, score };
+
+  return { row: result, score, moves };
 }
 
-// 矩阵转置
-function transpose(board) {
-  return board[0].map((_, colIndex) => board.map(row => row[colIndex]));
+// 瓦片 id：本次运行内自增、唯一。瓦片移动时保持 id 不变，合并产生的新瓦片和新生成的瓦片取新 id，
+// 渲染层据此把同一个瓦片前后两帧的位置对应起来
+let lastTileId = 0;
+function nextTileId() {
+  lastTileId += 1;
+  return lastTileId;
 }
 
-// 翻转每一行
-function reverseRows(board) {
-  return board.map(row => [...row].reverse());
+// 为棋盘上每个瓦片分配新 id，返回与棋盘同形状的 id 网格（空格为 null）
+export function createTileIds(board) {
+  return board.map(row => row.map(cell => (cell === null ? null : nextTileId())));
 }
 
-// 检查两个棋盘是否相同
-function boardsEqual(board1, board2) {
-  for (let row = 0; row < 4; row++) {
-    for (let col = 0; col < 4; col++) {
-      if (board1[row][col] !== board2[row][col]) {
-        return false;
-      }
-    }
+// 出块或其他直接修改棋盘之后同步 id 网格：已有瓦片保留 id，新出现的瓦片取新 id，空格清空
+export function assignTileIds(board, tileIds) {
+  return board.map((row, r) => row.map((cell, c) => {
+    if (cell === null) return null;
+    return tileIds?.[r]?.[c] ?? nextTileId();
+  }));
+}
+
+// 按移动方向取一行（列）的第 index 个格子，统一成向左移动的顺序
+function getLineCell(direction, line, index, size) {
+  switch (direction) {
+    case 'left': return { row: line, col: index };
+    case 'right': return { row: line, col: size - 1 - index };
+    case 'up': return { row: index, col: line };
+    default: return { row: size - 1 - index, col: line };
   }
-  return true;
 }
 
-// 主要的移动函数
-export function move(board, direction) {
-  let newBoard = board.map(row => [...row]);
+/**
+ * 主要的移动函数
+ * 每一行（列）按移动方向取出，统一用 moveRowLeft 向左紧缩合并后写回
+ * @param {Array<Array>} board - 当前棋盘
+ * @param {string} direction - 'left' | 'right' | 'up' | 'down'
+ * @param {string} [ruleSet] - 规则集 id，省略时为经典规则
+ * @param {Array<Array<number|null>>} [tileIds] - 当前棋盘的瓦片 id 网格，省略时为每个瓦片分配新 id
+ * @returns {{
+ *   board, score, isValidMove,
+ *   tiles: Array<{ id, value, from: { row, col }, to: { row, col }, merged: boolean }>,
+ *   merges: Array<{ id, value, at: { row, col }, sources: Array<number>, exploded: boolean }>,
+ *   tileIds: Array<Array<number|null>>
+ * }}
+ *   tiles 为每个瓦片（石块除外，石块不会移动）的去向；merges 为每次合并，id 是合并结果的新瓦片，
+ *   炸弹引爆时 value 为 null；tileIds 为移动后棋盘的 id 网格（不含之后生成的瓦片）
+ */
+export function move(board, direction, ruleSet = DEFAULT_RULE_SET, tileIds = createTileIds(board)) {
+  const rules = getRuleSet(ruleSet);
+  const size = board.length;
+  const newBoard = board.map(row => [...row]);
+  const newIds = tileIds.map(row => [...row]);
+  const tiles = [];
+  const merges = [];
   let totalScore = 0;
-  
-  switch (direction) {
-    case 'left':
-      for (let row = 0; row < 4; row++) {
-        const result = moveRowLeft(newBoard[row]);
-        newBoard[row] = result.row;
-        totalScore += result.score;
-      }
-      break;
-      
-    case 'right':
-      // 翻转每行 -> 向左移动 -> 再翻转回来
-      newBoard = reverseRows(newBoard);
-      for (let row = 0; row < 4; row++) {
-        const result = moveRowLeft(newBoard[row]);
-        newBoard[row] = result.row;
-        totalScore += result.score;
-      }
-      newBoard = reverseRows(newBoard);
-      break;
-      
-    case 'up':
-      // 转置 -> 向左移动 -> 转置回来
-      newBoard = transpose(newBoard);
-      for (let row = 0; row < 4; row++) {
-        const result = moveRowLeft(newBoard[row]);
-        newBoard[row] = result.row;
-        totalScore += result.score;
-      }
-      newBoard = transpose(newBoard);
-      break;
-      
-    case 'down':
-      // 转置 -> 翻转每行 -> 向左移动 -> 翻转回来 -> 转置回来
-      newBoard = transpose(newBoard);
-      newBoard = reverseRows(newBoard);
-      for (let row = 0; row < 4; row++) {
-        const result = moveRowLeft(newBoard[row]);
-        newBoard[row] = result.row;
-        totalScore += result.score;
+
+  for (let line = 0; line < size; line++) {
+    const cells = [];
+    const values = [];
+    for (let i = 0; i < size; i++) {
+      const cell = getLineCell(direction, line, i, size);
+      cells.push(cell);
+      values.push(board[cell.row][cell.col]);
+    }
+    const result = moveRowLeft(values, rules);
+    totalScore += result.score;
+
+    // 移动后每个格子的 id：石块留在原位，未合并的瓦片带着原 id，合并结果取新 id
+    const lineIds = Array(size).fill(null);
+    const mergeSources = Array(size).fill(null);
+    for (let i = 0; i < size; i++) {
+      if (isStone(values[i])) lineIds[i] = tileIds[cells[i].row][cells[i].col];
+    }
+    for (const { from, to, merged } of result.moves) {
+      const source = cells[from];
+      const id = tileIds[source.row][source.col];
+      tiles.push({ id, value: values[from], from: source, to: cells[to], merged });
+      if (merged) {
+        (mergeSources[to] = mergeSources[to] || []).push(id);
+      } else {
+        lineIds[to] = id;
       }
-      newBoard = reverseRows(newBoard);
-      newBoard = transpose(newBoard);
-      break;
+    }
+    for (let to = 0; to < size; to++) {
+      if (!mergeSources[to]) continue;
+      const value = result.row[to];
+      lineIds[to] = value === null ? null : nextTileId();
+      merges.push({ id: lineIds[to], value, at: cells[to], sources: mergeSources[to], exploded: value === null });
+    }
+
+    // 写回新行（炸弹引爆清空的格子 id 也一并清空）
+    for (let i = 0; i < size; i++) {
+      const { row, col } = cells[i];
+      newBoard[row][col] = result.row[i];
+      newIds[row][col] = result.row[i] === null ? null : lineIds[i];
+    }
   }
-  
+
   // 检查移动是否有效（棋盘是否发生变化）
   const isValidMove = !boardsEqual(board, newBoard);
-  
+
   return {
     board: newBoard,
     score: totalScore,
-    isValidMove
+    isValidMove,
+    tiles,
+    merges,
+    tileIds: newIds,
   };
 }
 
-// 检查是否获胜（出现2048）
-export function checkWin(board) {
-  for (let row = 0; row < 4; row++) {
-    for (let col = 0; col < 4; col++) {
-      if (board[row][col] === 2048) {
+// 检查两个棋盘是否相同
+function boardsEqual(board1, board2) {
+  if (board1.length !== board2.length) return false;
+  for (let row = 0; row < board1.length; row++) {
+    for (let col = 0; col < board1[row].length; col++) {
+      if (board1[row][col] !== board2[row][col]) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+// 检查是否获胜（出现目标瓦片）；无尽模式永远不会获胜
+export function checkWin(board, target = DEFAULT_WIN_TARGET) {
+  if (target === ENDLESS_TARGET) return false;
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
+      if (getTileValue(board[row][col]) >= target) {
         return true;
       }
     }
@@ -162,7 +485,7 @@ export function checkWin(board) {
 }
 
 // 检查游戏是否结束
-export function checkGameOver(board) {
+export function checkGameOver(board, ruleSet = DEFAULT_RULE_SET) {
   // 如果还有空位，游戏继续
   if (getEmptyPositions(board).length > 0) {
     return false;
@@ -171,7 +494,7 @@ export function checkGameOver(board) {
   // 检查是否可以合并（四个方向都尝试）
   const directions = ['left', 'right', 'up', 'down'];
   for (let direction of directions) {
-    const result = move(board, direction);
+    const result = move(board, direction, ruleSet);
     if (result.isValidMove) {
       return false;
     }
@@ -183,16 +506,81 @@ export function checkGameOver(board) {
 // 获取棋盘上的最高数字
 export function getHighestTile(board) {
   let highest = 0;
-  for (let row = 0; row < 4; row++) {
-    for (let col = 0; col < 4; col++) {
-      if (board[row][col] && board[row][col] > highest) {
-        highest = board[row][col];
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
+      const value = getTileValue(board[row][col]);
+      if (value > highest) {
+        highest = value;
       }
     }
   }
   return highest;
 }
 
+// 创建一局新游戏：返回初始棋盘和 currentGame 元数据
+// seed 决定整局的出块序列；rngState 为生成器当前状态，每次出块后更新
+export function createNewGame({
+  boardSize = DEFAULT_BOARD_SIZE,
+  seed = createSeed(),
+  undoLimit = DEFAULT_UNDO_LIMIT,
+  winTarget = DEFAULT_WIN_TARGET,
+  timeLimitSec = null,
+  moveLimit = null,
+  ruleSet = DEFAULT_RULE_SET,
+  spawnPolicy = DEFAULT_SPAWN_POLICY,
+} = {}) {
+  const size = normalizeBoardSize(boardSize);
+  const rules = normalizeRuleSet(ruleSet);
+  const gameSeed = normalizeSeed(seed);
+  const rng = createRng(gameSeed);
+  const board = initializeBoard(size, rng.next, rules);
+  return {
+    board,
+    gameData: {
+      id: Date.now().toString(),
+      startedAt: new Date().toISOString(),
+      moves: 0,
+      boardSize: size,
+      seed: gameSeed,
+      rngState: rng.getState(),
+      undoLimit: normalizeUndoLimit(undoLimit),
+      undosUsed: 0,
+      ruleSet: rules,
+      spawnPolicy: normalizeSpawnPolicy(spawnPolicy),
+      winTarget: normalizeWinTarget(winTarget, rules),
+      timeLimitSec: normalizeTimeLimit(timeLimitSec),
+      // 限时与限步互斥
+      moveLimit: normalizeTimeLimit(timeLimitSec) ? null : normalizeMoveLimit(moveLimit),
+      hintsUsed: 0,
+      // 自动演示接管过的对局不计入历史记录和最佳成绩
+      autoplayed: false,
+      moveLog: createMoveLog(board, rules),
+    },
+  };
+}
+
+// 用种子 + 方向序列重放一局游戏（无效移动会被跳过，与实际对局一致）
+export function replayGame({
+  seed,
+  directions = [],
+  boardSize = DEFAULT_BOARD_SIZE,
+  ruleSet = DEFAULT_RULE_SET,
+  spawnPolicy = DEFAULT_SPAWN_POLICY,
+}) {
+  const rng = createRng(seed);
+  let board = initializeBoard(normalizeBoardSize(boardSize), rng.next, ruleSet);
+  let score = 0;
+
+  for (const direction of directions) {
+    const result = move(board, direction, ruleSet);
+    if (!result.isValidMove) continue;
+    score += result.score;
+    board = spawnTiles(result.board, rng.next, { ruleSet, spawnPolicy });
+  }
+
+  return { board, score, rngState: rng.getState() };
+}
+
 // 测试向量验证函数（用于开发调试）
 export function runTestVectors() {
   const tests = [
@@ -210,6 +598,16 @@ export function runTestVectors() {
       name: 'Test 3: [2,2,2,null] → [4,2,null,null]',
       input: [2, 2, 2, null],
       expected: [4, 2, null, null]
+    },
+    {
+      name: 'Test 4: [2,null,2,4,4] → [4,8,null,null,null]',
+      input: [2, null, 2, 4, 4],
+      expected: [4, 8, null, null, null]
+    },
+    {
+      name: 'Test 5: [8,8,8] → [16,8,null]',
+      input: [8, 8, 8],
+      expected: [16, 8, null]
     }
   ];
   
@@ -223,4 +621,11 @@ export function runTestVectors() {
       console.log(`  Got: ${JSON.stringify(result.row)}`);
     }
   });
+
+  // 相同种子 + 相同方向序列必须得到相同棋盘
+  const directions = ['left', 'up', 'right', 'down', 'left', 'left', 'up'];
+  const first = replayGame({ seed: 2048, directions });
+  const second = replayGame({ seed: 2048, directions });
+  const deterministic = JSON.stringify(first) === JSON.stringify(second);
+  console.log(`Replay determinism (seed 2048): ${deterministic ? 'PASS' : 'FAIL'}`);
 }
\ No newline at end of file
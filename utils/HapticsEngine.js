@@ -0,0 +1,145 @@
+import { Platform } from 'react-native';
+
+/**
+ * 震动反馈
+ * 所有页面的震动都经由 triggerHaptic() 按游戏事件触发，不直接调用 expo-haptics。
+ * 设置里的 hapticsOn 为总开关，强度以 id 字符串保存：
+ *   off     不震动
+ *   subtle  只保留轻微的震动
+ *   full    合并越大震动越强，新的最大瓦片、胜利和游戏结束有各自的节奏
+ * H5 环境或震动模块不可用时所有调用都静默返回。
+ */
+
+// 动态导入 Haptics，避免 H5 环境报错
+let Haptics = null;
+if (Platform.OS !== 'web') {
+  try {
+    Haptics = require('expo-haptics');
+  } catch (error) {
+    console.log('Haptics not available on this platform');
+  }
+}
+
+export const DEFAULT_HAPTIC_INTENSITY = 'full';
+
+export const HAPTIC_INTENSITIES = {
+  off: {
+    id: 'off',
+    name: 'Off',
+    description: 'No vibration',
+  },
+  subtle: {
+    id: 'subtle',
+    name: 'Subtle',
+    description: 'Light taps on moves, merges and results',
+  },
+  full: {
+    id: 'full',
+    name: 'Full',
+    description: 'Stronger taps for bigger merges and patterns for new tiles, wins and losses',
+  },
+};
+
+export const HAPTIC_INTENSITY_IDS = Object.keys(HAPTIC_INTENSITIES);
+
+// 将任意输入规整为合法的强度 id（旧数据没有该字段时为完整震动）
+export function normalizeHapticIntensity(id) {
+  return HAPTIC_INTENSITIES[id] ? id : DEFAULT_HAPTIC_INTENSITY;
+}
+
+// 震动节奏：依次执行的步骤，delay 为距上一步的毫秒数
+// impact 的 style 为 ImpactFeedbackStyle，notification 的 style 为 NotificationFeedbackType
+const impact = (style, delay = 0) => ({ kind: 'impact', style, delay });
+const notification = (style, delay = 0) => ({ kind: 'notification', style, delay });
+const selection = (delay = 0) => ({ kind: 'selection', delay });
+
+// 合并结果每翻一倍算一级：2-32 轻、64-256 中、512 及以上重
+function getMergeImpact(value) {
+  const rank = value > 0 ? Math.log2(value) : 0;
+  if (rank >= 9) return 'Heavy';
+  if (rank >= 6) return 'Medium';
+  return 'Light';
+}
+
+/**
+ * 事件 => 震动节奏
+ *   slide     有效移动
+ *   merge     合并（value 为本步最大的合并结果）
+ *   maxTile   合并出本局新的最大瓦片
+ *   invalid   无效移动
+ *   undo      撤销
+ *   win       达到目标
+ *   gameover  游戏结束
+ */
+function getPattern(event, intensity, value) {
+  if (intensity === 'subtle') {
+    switch (event) {
+      case 'slide':
+      case 'undo':
+        return [selection()];
+      case 'merge':
+      case 'invalid':
+        return [impact('Light')];
+      case 'maxTile':
+        return [impact('Medium')];
+      case 'win':
+        return [notification('Success')];
+      case 'gameover':
+        return [notification('Error')];
+      default:
+        return [];
+    }
+  }
+
+  switch (event) {
+    case 'slide':
+    case 'undo':
+      return [impact('Light')];
+    case 'merge':
+      return [impact(getMergeImpact(value))];
+    case 'maxTile':
+      return [impact('Heavy'), impact('Medium', 90), impact('Heavy', 90)];
+    case 'invalid':
+      return [notification('Warning')];
+    case 'win':
+      return [notification('Success'), impact('Heavy', 250), impact('Heavy', 120)];
+    case 'gameover':
+      return [notification('Error'), impact('Heavy', 300)];
+    default:
+      return [];
+  }
+}
+
+function runStep(step) {
+  if (step.kind === 'impact') {
+    return Haptics.impactAsync(Haptics.ImpactFeedbackStyle[step.style]);
+  }
+  if (step.kind === 'notification') {
+    return Haptics.notificationAsync(Haptics.NotificationFeedbackType[step.style]);
+  }
+  return Haptics.selectionAsync();
+}
+
+/**
+ * 触发一个游戏事件的震动
+ * @param {string} event - 事件名，见 getPattern()
+ * @param {Object} settings - { hapticsOn, hapticIntensity }，一般直接传入 GameContext 的 state
+ * @param {number} [value] - 合并结果的数值，决定合并震动的强度
+ */
+export function triggerHaptic(event, { hapticsOn, hapticIntensity }, value) {
+  if (!hapticsOn || !Haptics) return;
+
+  const intensity = normalizeHapticIntensity(hapticIntensity);
+  if (intensity === 'off') return;
+
+  let delay = 0;
+  getPattern(event, intensity, value).forEach(step => {
+    delay += step.delay;
+    const run = () => runStep(step).catch(() => {});
+    if (delay === 0) {
+      run();
+    } else {
+      setTimeout(run, delay);
+    }
+  });
+}
@@ -0,0 +1,56 @@
+/**
+ * 滑动输入缓冲
+ * 首页棋盘在滑动动画期间收到的方向先进入一个小队列，动画结束后依次执行。
+ * 玩家可在设置里选择缓冲方式，以 id 字符串保存在设置里：
+ *   buffered  排队，最多 MAX_QUEUED_MOVES 步，每步照常播放动画
+ *   drop      动画期间的滑动直接丢弃（旧版行为）
+ *   instant   排队；队列排满时跳过动画，立即执行完排队的步数
+ */
+
+export const DEFAULT_INPUT_MODE = 'buffered';
+
+// 动画期间最多排队的步数
+export const MAX_QUEUED_MOVES = 2;
+
+export const INPUT_MODES = {
+  buffered: {
+    id: 'buffered',
+    name: 'Buffered',
+    description: `Up to ${MAX_QUEUED_MOVES} swipes made during an animation run in order afterwards`,
+  },
+  drop: {
+    id: 'drop',
+    name: 'Drop',
+    description: 'Swipes made during an animation are ignored',
+  },
+  instant: {
+    id: 'instant',
+    name: 'Instant',
+    description: 'Animations are skipped when swipes pile up',
+  },
+};
+
+export const INPUT_MODE_IDS = Object.keys(INPUT_MODES);
+
+// 将任意输入规整为合法的缓冲方式 id（旧数据没有该字段时为排队）
+export function normalizeInputMode(id) {
+  return INPUT_MODES[id] ? id : DEFAULT_INPUT_MODE;
+}
+
+/**
+ * 动画期间收到一个方向
+ * @param {Array<string>} queue - 当前排队的方向
+ * @param {string} direction - 新的方向
+ * @param {string} inputMode - 缓冲方式 id
+ * @returns {{ queue: Array<string>, skipAnimations: boolean }}
+ *   skipAnimations 为 true 时调用方应立即结束当前动画，并且不带动画地执行完排队的步数
+ */
+export function enqueueMove(queue, direction, inputMode) {
+  const mode = normalizeInputMode(inputMode);
+  if (mode === 'drop' || queue.length >= MAX_QUEUED_MOVES) {
+    return { queue, skipAnimations: false };
+  }
+
+  const next = [...queue, direction];
+  return { queue: next, skipAnimations: mode === 'instant' && next.length >= MAX_QUEUED_MOVES };
+}
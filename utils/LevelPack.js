@@ -0,0 +1,275 @@
+/**
+ * 谜题关卡包工具类
+ * 关卡包为 JSON 文件（assets/levels/*.json），加载时逐项校验，出错时给出具体到关卡和格子的错误信息。
+ *
+ * 关卡包格式：
+ *   {
+ *     "id": "starter",                  关卡包 ID（存档 key 的一部分，发布后不要修改）
+ *     "name": "Starter Pack",
+ *     "levels": [
+ *       {
+ *         "id": "first-merge",          关卡 ID，包内唯一
+ *         "name": "First Merge",
+ *         "board": [[2, 2, null, null], ...],   初始棋盘：3x3 - 8x8，空格为 null，瓦片为 2 的幂
+ *                 也可以放特殊格子：{ "type": "stone" }、{ "type": "wildcard" }、{ "type": "bomb", "value": 4 }
+ *         "goal": { "type": "reach", "tile": 256, "moves": 12 },
+ *                 或 { "type": "single_tile", "moves": 10 }（整盘只剩一个瓦片，石块不计；被炸弹清空也算完成）
+ *         "spawns": [{ "value": 2, "row": 3, "col": 0 }, ...],
+ *                 可选的固定出块列表：每次有效移动后按顺序取一个；row/col 省略或该格已被占用时
+ *                 放在按行扫描的第一个空格；列表用完后不再出块。空数组表示完全不出块；
+ *                 省略该字段则按经典规则随机出块（以关卡 key 为种子，每次重玩都相同）
+ *         "stars": [10, 8]              可选：步数 <= 10 得两星，<= 8 得三星；省略时完成即三星
+ *       }
+ *     ]
+ *   }
+ */
+import {
+  MIN_BOARD_SIZE,
+  MAX_BOARD_SIZE,
+  TILE_TYPES,
+  isSpecialTile,
+  isStone,
+  getTileValue
+} from './GameLogic';
+
+// 随应用打包的关卡包（新增关卡包时在这里登记）
+const BUNDLED_LEVEL_PACKS = [
+  require('../assets/levels/starter.json'),
+  require('../assets/levels/obstacles.json'),
+];
+
+export const LEVEL_GOAL_TYPES = ['reach', 'single_tile'];
+
+/**
+ * 关卡包校验错误
+ * errors 为所有问题的列表，message 汇总成一段便于阅读的文字
+ */
+export class LevelPackError extends Error {
+  constructor(packName, errors) {
+    super(`Invalid level pack "${packName}":\n- ${errors.join('\n- ')}`);
+    this.name = 'LevelPackError';
+    this.packName = packName;
+    this.errors = errors;
+  }
+}
+
+const isPowerOfTwo = (value) => Number.isInteger(value) && value >= 2 && (value & (value - 1)) === 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const SPECIAL_TILE_TYPES = Object.values(TILE_TYPES);
+
+// 校验特殊格子，返回错误描述（没有问题时返回 null）
+function validateSpecialCell(cell) {
+  if (Array.isArray(cell)) {
+    return 'is an array, expected null, a power of two or a special tile';
+  }
+  if (!SPECIAL_TILE_TYPES.includes(cell.type)) {
+    return `has unknown tile type ${JSON.stringify(cell.type)}, expected one of ${SPECIAL_TILE_TYPES.join(', ')}`;
+  }
+  if (cell.type === TILE_TYPES.BOMB && !isPowerOfTwo(cell.value)) {
+    return 'is a bomb without a power-of-two value';
+  }
+  return null;
+}
+
+// 校验棋盘，返回错误列表
+function validateBoard(board, label) {
+  if (!Array.isArray(board)) {
+    return [`${label}: board must be an array of rows`];
+  }
+  const size = board.length;
+  if (size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE) {
+    return [`${label}: board has ${size} rows, expected ${MIN_BOARD_SIZE}-${MAX_BOARD_SIZE}`];
+  }
+
+  const errors = [];
+  let tiles = 0;
+  board.forEach((row, r) => {
+    if (!Array.isArray(row) || row.length !== size) {
+      errors.push(`${label}: board row ${r + 1} has ${Array.isArray(row) ? row.length : 'no'} cells, expected ${size}`);
+      return;
+    }
+    row.forEach((cell, c) => {
+      if (cell === null) return;
+      const cellLabel = `${label}: cell (${r + 1}, ${c + 1})`;
+      if (isSpecialTile(cell)) {
+        const error = validateSpecialCell(cell);
+        if (error) {
+          errors.push(`${cellLabel} ${error}`);
+          return;
+        }
+      } else if (!isPowerOfTwo(cell)) {
+        errors.push(`${cellLabel} is ${JSON.stringify(cell)}, expected null, a power of two or a special tile`);
+        return;
+      }
+      if (!isStone(cell)) tiles++;
+    });
+  });
+
+  if (errors.length === 0 && tiles === 0) {
+    errors.push(`${label}: board has no tiles`);
+  }
+  return errors;
+}
+
+function validateGoal(goal, board, label) {
+  if (!goal || typeof goal !== 'object') {
+    return [`${label}: missing goal`];
+  }
+  const errors = [];
+  if (!LEVEL_GOAL_TYPES.includes(goal.type)) {
+    errors.push(`${label}: unknown goal type ${JSON.stringify(goal.type)}, expected one of ${LEVEL_GOAL_TYPES.join(', ')}`);
+  }
+  if (!isPositiveInteger(goal.moves)) {
+    errors.push(`${label}: goal.moves must be a positive integer`);
+  }
+  if (goal.type === 'reach') {
+    if (!isPowerOfTwo(goal.tile)) {
+      errors.push(`${label}: goal.tile must be a power of two`);
+    } else if (Array.isArray(board) && board.some(row => Array.isArray(row) && row.some(cell => getTileValue(cell) >= goal.tile))) {
+      errors.push(`${label}: goal tile ${goal.tile} is already on the starting board`);
+    }
+  }
+  if (goal.type === 'single_tile' && Array.isArray(board)
+    && board.flat().filter(cell => cell !== null && !isStone(cell)).length <= 1) {
+    errors.push(`${label}: single_tile goal needs at least two movable tiles on the starting board`);
+  }
+  return errors;
+}
+
+function validateSpawns(spawns, size, label) {
+  if (spawns === undefined) return [];
+  if (!Array.isArray(spawns)) {
+    return [`${label}: spawns must be an array`];
+  }
+  const errors = [];
+  spawns.forEach((spawn, i) => {
+    const spawnLabel = `${label}: spawn ${i + 1}`;
+    if (!spawn || !isPowerOfTwo(spawn.value)) {
+      errors.push(`${spawnLabel} needs a power-of-two value`);
+      return;
+    }
+    const hasRow = spawn.row !== undefined;
+    const hasCol = spawn.col !== undefined;
+    if (hasRow !== hasCol) {
+      errors.push(`${spawnLabel} must set both row and col, or neither`);
+    } else if (hasRow && ![spawn.row, spawn.col].every(n => Number.isInteger(n) && n >= 0 && n < size)) {
+      errors.push(`${spawnLabel} position (${spawn.row}, ${spawn.col}) is outside the ${size}x${size} board`);
+    }
+  });
+  return errors;
+}
+
+function validateStars(stars, goal, label) {
+  if (stars === undefined) return [];
+  if (!Array.isArray(stars) || stars.length !== 2 || !stars.every(isPositiveInteger)) {
+    return [`${label}: stars must be [twoStarMoves, threeStarMoves]`];
+  }
+  const [twoStar, threeStar] = stars;
+  if (threeStar > twoStar || (goal && isPositiveInteger(goal.moves) && twoStar > goal.moves)) {
+    return [`${label}: stars must satisfy threeStarMoves <= twoStarMoves <= goal.moves`];
+  }
+  return [];
+}
+
+/**
+ * 校验并规整关卡包
+ * @param {Object} pack - 解析后的 JSON
+ * @returns {Object} { id, name, levels: [{ key, packId, index, id, name, board, goal, spawns, stars }] }
+ * @throws {LevelPackError} 关卡包有任何问题时抛出，包含全部错误
+ */
+export function validateLevelPack(pack) {
+  const packName = pack?.name || pack?.id || 'unknown';
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object') {
+    throw new LevelPackError(packName, ['level pack must be a JSON object']);
+  }
+  if (typeof pack.id !== 'string' || !pack.id) errors.push('pack id must be a non-empty string');
+  if (typeof pack.name !== 'string' || !pack.name) errors.push('pack name must be a non-empty string');
+  if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+    errors.push('pack must contain at least one level');
+    throw new LevelPackError(packName, errors);
+  }
+
+  const seenIds = new Set();
+  pack.levels.forEach((level, i) => {
+    const label = `level ${i + 1}${level?.id ? ` ("${level.id}")` : ''}`;
+    if (!level || typeof level !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof level.id !== 'string' || !level.id) {
+      errors.push(`${label}: id must be a non-empty string`);
+    } else if (seenIds.has(level.id)) {
+      errors.push(`${label}: duplicate level id`);
+    }
+    seenIds.add(level.id);
+    if (typeof level.name !== 'string' || !level.name) {
+      errors.push(`${label}: name must be a non-empty string`);
+    }
+
+    const boardErrors = validateBoard(level.board, label);
+    errors.push(...boardErrors);
+    errors.push(...validateGoal(level.goal, level.board, label));
+    if (boardErrors.length === 0) {
+      errors.push(...validateSpawns(level.spawns, level.board.length, label));
+    }
+    errors.push(...validateStars(level.stars, level.goal, label));
+  });
+
+  if (errors.length > 0) {
+    throw new LevelPackError(packName, errors);
+  }
+
+  return {
+    id: pack.id,
+    name: pack.name,
+    levels: pack.levels.map((level, index) => ({
+      key: `${pack.id}/${level.id}`,
+      packId: pack.id,
+      index,
+      id: level.id,
+      name: level.name,
+      board: level.board.map(row => row.map(cell => (isSpecialTile(cell) ? { ...cell } : cell))),
+      goal: { ...level.goal },
+      spawns: level.spawns ? level.spawns.map(spawn => ({ ...spawn })) : null,
+      stars: level.stars || null,
+    })),
+  };
+}
+
+/**
+ * 加载所有打包的关卡包
+ * 单个关卡包无效时不影响其他关卡包，错误信息单独返回供界面显示
+ * @returns {{ packs: Array, errors: Array<{ packName: string, errors: string[] }> }}
+ */
+export function loadLevelPacks(rawPacks = BUNDLED_LEVEL_PACKS) {
+  const packs = [];
+  const errors = [];
+  rawPacks.forEach(raw => {
+    try {
+      packs.push(validateLevelPack(raw));
+    } catch (error) {
+      if (!(error instanceof LevelPackError)) throw error;
+      console.error(error.message);
+      errors.push({ packName: error.packName, errors: error.errors });
+    }
+  });
+  return { packs, errors };
+}
+
+// 按 key（packId/levelId）查找关卡
+export function findLevel(packs, key) {
+  for (const pack of packs) {
+    const level = pack.levels.find(l => l.key === key);
+    if (level) return level;
+  }
+  return null;
+}
+
+// 目标的显示文字
+export function describeGoal(goal) {
+  if (goal.type === 'reach') return `Make ${goal.tile} in ${goal.moves} moves`;
+  return `Clear the board to one tile in ${goal.moves} moves`;
+}
@@ -0,0 +1,179 @@
+/**
+ * 对局录像工具类
+ * 以紧凑的字符串格式逐步记录一局游戏：方向、新生成瓦片的位置和数值、得分增量、时间戳。
+ * 历史记录最多保存 50 局，录像必须足够小才能和其他数据一起放进同一个存储 key。
+ *
+ * 录像对象结构：
+ *   { v: 版本号, size: 棋盘尺寸, rules: 规则集 id, start: 初始棋盘编码, moves: 逐步编码, t: 最后一步的时间(ms) }
+ *
+ * 瓦片数值编码为其在规则集中的等级（36进制单字符）；经典规则的等级就是 log2，
+ * 因此 v1 录像（没有 rules 字段，只有经典规则）按经典规则解码即可，格式完全兼容。
+ *
+ * 单步编码：<方向><生成瓦片...>:<得分增量>.<时间增量>
+ *   方向      L / R / U / D
+ *   生成瓦片  每个瓦片两个字符：格子序号（CELL_ALPHABET）+ 数值等级（36进制）
+ *   得分增量  36进制
+ *   时间增量  距上一步的时间，单位 10ms，36进制
+ * 多步之间用逗号分隔，例如 "La1:0.1e,Ub2:8.2s"
+ */
+
+import { DEFAULT_RULE_SET, getTileRank, getRankValue, normalizeRuleSet } from './RuleSets';
+
+// v2：新增 rules 字段，数值按规则集等级编码
+export const MOVE_LOG_VERSION = 2;
+
+// 时间戳精度（毫秒）
+const TIME_UNIT_MS = 10;
+
+// 格子序号编码表：64 个字符覆盖最大 8x8 棋盘
+const CELL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const DIRECTION_CODES = { left: 'L', right: 'R', up: 'U', down: 'D' };
+const CODE_DIRECTIONS = { L: 'left', R: 'right', U: 'up', D: 'down' };
+
+// 历史记录中所有录像的总字符数上限，超出时从最旧的对局开始丢弃录像（保留统计字段）
+export const MAX_HISTORY_LOG_CHARS = 1000000;
+
+// 数值 <-> 单字符编码（经典规则 2 -> '1', 4 -> '2', ... 每套规则最多 35 个等级）
+function encodeValue(value, ruleSet) {
+  return getTileRank(value, ruleSet).toString(36);
+}
+
+function decodeValue(code, ruleSet) {
+  return getRankValue(parseInt(code, 36), ruleSet);
+}
+
+// 录像使用的规则集（v1 录像没有该字段，均为经典规则）
+export function getMoveLogRuleSet(log) {
+  return normalizeRuleSet(log?.rules);
+}
+
+// 将棋盘编码为字符串：每格一个字符，空格为 '0'
+export function encodeBoard(board, ruleSet = DEFAULT_RULE_SET) {
+  return board.map(row => row.map(cell => (cell === null ? '0' : encodeValue(cell, ruleSet))).join('')).join('');
+}
+
+// 将字符串解码为 size x size 棋盘
+export function decodeBoard(encoded, size, ruleSet = DEFAULT_RULE_SET) {
+  const board = [];
+  for (let row = 0; row < size; row++) {
+    board[row] = [];
+    for (let col = 0; col < size; col++) {
+      const code = encoded[row * size + col];
+      board[row][col] = code === '0' || code === undefined ? null : decodeValue(code, ruleSet);
+    }
+  }
+  return board;
+}
+
+// 以初始棋盘创建一份空录像
+export function createMoveLog(startBoard, ruleSet = DEFAULT_RULE_SET) {
+  const rules = normalizeRuleSet(ruleSet);
+  return {
+    v: MOVE_LOG_VERSION,
+    size: startBoard.length,
+    rules,
+    start: encodeBoard(startBoard, rules),
+    moves: '',
+    t: 0,
+  };
+}
+
+// 对比出块前后的棋盘，找出新生成的瓦片
+export function findSpawnedTiles(before, after) {
+  const spawns = [];
+  for (let row = 0; row < after.length; row++) {
+    for (let col = 0; col < after.length; col++) {
+      if (before[row][col] === null && after[row][col] !== null) {
+        spawns.push({ row, col, value: after[row][col] });
+      }
+    }
+  }
+  return spawns;
+}
+
+/**
+ * 向录像追加一步
+ * @param {Object} log - 当前录像
+ * @param {Object} record - { direction, spawns: [{ row, col, value }], scoreDelta, elapsedMs }
+ * @returns {Object} 新的录像对象（不修改原对象）
+ */
+export function appendMove(log, { direction, spawns = [], scoreDelta = 0, elapsedMs = 0 }) {
+  const units = Math.max(Math.round((elapsedMs - log.t) / TIME_UNIT_MS), 0);
+  const spawnCodes = spawns
+    .map(({ row, col, value }) => CELL_ALPHABET[row * log.size + col] + encodeValue(value, getMoveLogRuleSet(log)))
+    .join('');
+  const token = `${DIRECTION_CODES[direction]}${spawnCodes}:${scoreDelta.toString(36)}.${units.toString(36)}`;
+
+  return {
+    ...log,
+    moves: log.moves ? `${log.moves},${token}` : token,
+    t: log.t + units * TIME_UNIT_MS,
+  };
+}
+
+// 解析单步编码
+function decodeToken(token, size, ruleSet) {
+  const [head, tail] = token.split(':');
+  const [score, units] = tail.split('.');
+  const spawns = [];
+  for (let i = 1; i + 1 < head.length; i += 2) {
+    const index = CELL_ALPHABET.indexOf(head[i]);
+    spawns.push({
+      row: Math.floor(index / size),
+      col: index % size,
+      value: decodeValue(head[i + 1], ruleSet),
+    });
+  }
+  return {
+    direction: CODE_DIRECTIONS[head[0]],
+    spawns,
+    scoreDelta: parseInt(score, 36),
+    dt: parseInt(units, 36) * TIME_UNIT_MS,
+  };
+}
+
+// 撤销时移除最后一步，并把时间回退到上一步
+export function dropLastMove(log) {
+  if (!log?.moves) return log;
+  const index = log.moves.lastIndexOf(',');
+  const lastToken = log.moves.slice(index + 1);
+  const { dt } = decodeToken(lastToken, log.size, getMoveLogRuleSet(log));
+  return {
+    ...log,
+    moves: index === -1 ? '' : log.moves.slice(0, index),
+    t: Math.max(log.t - dt, 0),
+  };
+}
+
+// 录像中的步数
+export function getMoveLogLength(log) {
+  if (!log?.moves) return 0;
+  return log.moves.split(',').length;
+}
+
+/**
+ * 解码整份录像
+ * @returns {Array<{ direction, spawns, scoreDelta, t }>} t 为距开局的毫秒数
+ */
+export function decodeMoveLog(log) {
+  if (!log?.moves) return [];
+  let t = 0;
+  return log.moves.split(',').map(token => {
+    const { dt, ...move } = decodeToken(token, log.size, getMoveLogRuleSet(log));
+    t += dt;
+    return { ...move, t };
+  });
+}
+
+// 控制历史记录中录像的总大小：从最新的对局开始保留，超出预算后丢弃较旧对局的录像
+export function trimHistoryLogs(history, maxChars = MAX_HISTORY_LOG_CHARS) {
+  let used = 0;
+  return history.map(game => {
+    if (!game.moveLog) return game;
+    used += game.moveLog.moves.length + game.moveLog.start.length;
+    if (used <= maxChars) return game;
+    const { moveLog, ...summary } = game;
+    return summary;
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * 存储写入队列
+ * 所有写入先进入队列，短时间内对同一个 key 的多次写入合并为一次，再按顺序逐批写入存储：
+ *   set     整体替换（进行中的对局、每日挑战），只保留最后一次的值
+ *   merge   读取-合并-写回（info 数据），多次的字段合并为一个补丁，一批内只读写一次
+ *   remove  删除
+ * 同一时间只有一批写入在执行，读取-合并-写回不会被另一次写入打断，避免互相覆盖。
+ * 无法用以上三种操作表达的读写（如启动时读取并修复数据）用 exclusive() 在队列中独占执行。
+ *
+ * 队列在最后一次写入后 delay 毫秒写入；持续有写入时最多等待 maxDelay 毫秒。
+ * 应用进入后台时应调用 flush() 立即写入（见 GameContext）。
+ */
+
+export const PERSIST_DELAY = 250;
+export const PERSIST_MAX_DELAY = 1000;
+
+// 同一个 key 上的两次操作合并为一次
+function combine(previous, next) {
+  if (!previous || next.type !== 'merge') return next;
+  if (previous.type === 'merge') {
+    return { type: 'merge', value: { ...previous.value, ...next.value } };
+  }
+  // 之前是整体替换或删除：合并后仍是整体替换
+  return { type: 'set', value: { ...(previous.type === 'set' ? previous.value : {}), ...next.value } };
+}
+
+/**
+ * 创建写入队列
+ * @param {Object} storage - { getItem, setItem, removeItem }，如 AsyncStorage
+ * @param {Object} [options]
+ * @param {number} [options.delay] - 最后一次写入后等待的毫秒数
+ * @param {number} [options.maxDelay] - 第一次写入后最多等待的毫秒数
+ * @returns {{ set, merge, remove, flush, exclusive }}
+ *   set / merge / remove 返回 Promise<boolean>，在这次写入真正完成（或失败）后 resolve；
+ *   flush() 立即写入排队中的数据，返回 Promise，在之前的所有写入完成后 resolve；
+ *   exclusive(task) 见下方说明
+ */
+export function createPersistQueue(storage, { delay = PERSIST_DELAY, maxDelay = PERSIST_MAX_DELAY } = {}) {
+  // key -> { op: { type, value }, waiters: 等待这个 key 写入结果的调用方 }
+  let pending = new Map();
+  let timer = null;
+  let firstQueuedAt = null;
+  // 上一批写入；新的一批总是排在它后面
+  let chain = Promise.resolve();
+
+  const writeOne = async (key, { type, value }) => {
+    if (type === 'remove') {
+      await storage.removeItem(key);
+    } else if (type === 'set') {
+      await storage.setItem(key, JSON.stringify(value));
+    } else {
+      const stored = await storage.getItem(key);
+      const oldData = stored ? JSON.parse(stored) : null;
+      await storage.setItem(key, JSON.stringify({ ...(oldData || {}), ...value }));
+    }
+  };
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    firstQueuedAt = null;
+    if (pending.size === 0) return chain;
+
+    const batch = pending;
+    pending = new Map();
+
+    chain = chain.then(async () => {
+      for (const [key, { op, waiters }] of batch) {
+        let ok = true;
+        try {
+          await writeOne(key, op);
+        } catch (error) {
+          console.error('写入存储失败:', key, error);
+          ok = false;
+        }
+        waiters.forEach(resolve => resolve(ok));
+      }
+    });
+    return chain;
+  };
+
+  // 先写入排队中的数据，再独占执行 task（可直接读写 storage）；执行期间新的写入排在它之后
+  // 返回 task 的结果。task 中不能再调用 flush() 或 exclusive()，否则会等待自己而永远不结束
+  const exclusive = (task) => {
+    flush();
+    const result = chain.then(task);
+    chain = result.catch(() => {});
+    return result;
+  };
+
+  const enqueue = (key, op) => {
+    const entry = pending.get(key);
+    const waiters = entry ? entry.waiters : [];
+    pending.set(key, { op: combine(entry?.op, op), waiters });
+
+    const now = Date.now();
+    if (firstQueuedAt === null) firstQueuedAt = now;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, Math.max(0, Math.min(delay, firstQueuedAt + maxDelay - now)));
+
+    return new Promise(resolve => waiters.push(resolve));
+  };
+
+  return {
+    set: (key, value) => enqueue(key, { type: 'set', value }),
+    merge: (key, patch) => enqueue(key, { type: 'merge', value: patch }),
+    remove: (key) => enqueue(key, { type: 'remove' }),
+    flush,
+    exclusive,
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * 谜题关卡规则
+ * 移动与合并完全复用 GameLogic.move()，这里只负责关卡的出块方式、目标判定和星级评定
+ */
+import {
+  move,
+  addRandomTile,
+  getEmptyPositions,
+  getHighestTile,
+  isStone,
+  createTileIds,
+  assignTileIds,
+} from './GameLogic';
+import { DEFAULT_RULE_SET } from './RuleSets';
+import { createRng, seedFromString } from './Random';
+
+const DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+// 创建关卡的初始状态
+export function createPuzzleState(level) {
+  const board = level.board.map(row => [...row]);
+  return {
+    // 所属关卡：切换关卡时用来识别上一关遗留的状态
+    levelKey: level.key,
+    board,
+    tileIds: createTileIds(board),
+    moves: 0,
+    score: 0,
+    spawnIndex: 0,
+    // 未提供固定出块列表时随机出块，以关卡 key 为种子保证每次重玩相同
+    rngState: level.spawns ? null : seedFromString(level.key),
+  };
+}
+
+// 按关卡规则出块
+function spawnTile(level, puzzle, board) {
+  if (!level.spawns) {
+    const rng = createRng(puzzle.rngState);
+    return { board: addRandomTile(board, rng.next), spawnIndex: puzzle.spawnIndex, rngState: rng.getState() };
+  }
+
+  const spawn = level.spawns[puzzle.spawnIndex];
+  if (!spawn) {
+    return { board, spawnIndex: puzzle.spawnIndex, rngState: null };
+  }
+
+  const empty = getEmptyPositions(board);
+  if (empty.length === 0) {
+    return { board, spawnIndex: puzzle.spawnIndex + 1, rngState: null };
+  }
+  // 指定位置被占用时放到按行扫描的第一个空格
+  const target = spawn.row !== undefined && board[spawn.row][spawn.col] === null
+    ? { row: spawn.row, col: spawn.col }
+    : empty[0];
+  const next = board.map(row => [...row]);
+  next[target.row][target.col] = spawn.value;
+  return { board: next, spawnIndex: puzzle.spawnIndex + 1, rngState: null };
+}
+
+/**
+ * 执行一步
+ * @returns {{ puzzle: Object, tiles: Array, merges: Array } | null} 无效移动时返回 null
+ *   tiles / merges 为 move() 返回的瓦片去向和合并，供渲染层生成动画
+ */
+export function applyPuzzleMove(level, puzzle, direction) {
+  const result = move(puzzle.board, direction, DEFAULT_RULE_SET, puzzle.tileIds);
+  if (!result.isValidMove) return null;
+
+  const spawned = spawnTile(level, puzzle, result.board);
+  return {
+    tiles: result.tiles,
+    merges: result.merges,
+    puzzle: {
+      levelKey: puzzle.levelKey,
+      board: spawned.board,
+      tileIds: assignTileIds(spawned.board, result.tileIds),
+      moves: puzzle.moves + 1,
+      score: puzzle.score + result.score,
+      spawnIndex: spawned.spawnIndex,
+      rngState: spawned.rngState,
+    },
+  };
+}
+
+// 是否达成目标
+export function isGoalMet(goal, board) {
+  if (goal.type === 'reach') return getHighestTile(board) >= goal.tile;
+  // 石块不能移动也无法消除，不计入瓦片数
+  // 炸弹可能把最后几个瓦片一起炸掉：棋盘被清空同样算作完成（否则无路可走，永远无法通关）
+  const tiles = board.flat().filter(cell => cell !== null && !isStone(cell)).length;
+  return tiles <= 1;
+}
+
+// 关卡状态：'solved' | 'failed'（步数用完或无路可走） | 'playing'
+export function getPuzzleStatus(level, puzzle) {
+  if (isGoalMet(level.goal, puzzle.board)) return 'solved';
+  if (puzzle.moves >= level.goal.moves) return 'failed';
+  if (!DIRECTIONS.some(direction => move(puzzle.board, direction).isValidMove)) return 'failed';
+  return 'playing';
+}
+
+// 星级评定（1 - 3 星）
+export function getStars(level, moves) {
+  if (!level.stars) return 3;
+  const [twoStar, threeStar] = level.stars;
+  if (moves <= threeStar) return 3;
+  if (moves <= twoStar) return 2;
+  return 1;
+}
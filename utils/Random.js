@@ -0,0 +1,51 @@
+/**
+ * 可设定种子的伪随机数生成器
+ * 基于 mulberry32 算法：状态只是一个 32 位无符号整数，
+ * 可以直接保存到 currentGame / 存储中，并在任意时刻恢复。
+ * 相同的种子 + 相同的调用顺序 => 完全相同的随机序列。
+ */
+
+// 生成一个新的随机种子（32 位无符号整数）
+export function createSeed() {
+  return (Math.floor(Math.random() * 0x100000000) ^ Date.now()) >>> 0;
+}
+
+// 将任意种子输入规整为 32 位无符号整数
+export function normalizeSeed(seed) {
+  const n = Number(seed);
+  if (!Number.isFinite(n)) return createSeed();
+  return Math.floor(n) >>> 0;
+}
+
+// 由字符串派生固定种子（FNV-1a 32 位哈希），如每日挑战用日期生成种子
+export function seedFromString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 创建随机数生成器
+ * @param {number} state - 种子或之前保存的生成器状态
+ * @returns {{ next: () => number, getState: () => number }}
+ *   next() 返回 [0, 1) 区间的浮点数；getState() 返回可序列化的当前状态
+ */
+export function createRng(state) {
+  let s = normalizeSeed(state);
+
+  const next = () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    getState: () => s,
+  };
+}
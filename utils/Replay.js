@@ -0,0 +1,43 @@
+/**
+ * 录像回放工具
+ * 用 GameLogic 的 move() 按录像逐步重建整局游戏，生成每一步的棋盘帧
+ */
+import { move, createTileIds, assignTileIds } from './GameLogic';
+import { decodeBoard, decodeMoveLog, getMoveLogRuleSet } from './MoveLog';
+
+/**
+ * 由录像生成回放帧
+ * 帧 0 为初始棋盘；帧 i 为第 i 步移动并生成新瓦片之后的棋盘
+ * 每帧带有 move() 返回的瓦片去向 tiles 和合并 merges（帧 0 为空），瓦片 id 在整个录像中保持稳定
+ * @param {Object} log - 历史记录中的 moveLog
+ * @returns {{ frames: Array<{ board, tileIds, score, t, move, tiles, merges }>, complete: boolean }}
+ *   complete 为 false 表示录像与规则不一致（损坏），frames 只包含一致的部分
+ */
+export function buildReplayFrames(log) {
+  if (!log?.start) return { frames: [], complete: false };
+
+  const ruleSet = getMoveLogRuleSet(log);
+  let board = decodeBoard(log.start, log.size, ruleSet);
+  let tileIds = createTileIds(board);
+  let score = 0;
+  const frames = [{ board, tileIds, score, t: 0, move: null, tiles: [], merges: [] }];
+
+  for (const recorded of decodeMoveLog(log)) {
+    const result = move(board, recorded.direction, ruleSet, tileIds);
+    if (!result.isValidMove) {
+      return { frames, complete: false };
+    }
+
+    const nextBoard = result.board.map(row => [...row]);
+    for (const { row, col, value } of recorded.spawns) {
+      nextBoard[row][col] = value;
+    }
+
+    score += result.score;
+    board = nextBoard;
+    tileIds = assignTileIds(nextBoard, result.tileIds);
+    frames.push({ board, tileIds, score, t: recorded.t, move: recorded, tiles: result.tiles, merges: result.merges });
+  }
+
+  return { frames, complete: true };
+}
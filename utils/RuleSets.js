@@ -0,0 +1,154 @@
+/**
+ * 合并规则集
+ * 每套规则定义：哪些相邻瓦片可以合并（两个一组或三个一组）、合并结果、出块分布、胜利目标和瓦片配色。
+ * 规则集以 id 字符串保存在对局数据、历史记录和录像里，GameLogic 的 move() / addRandomTile() 等按 id 取用。
+ *
+ * 规则对象结构：
+ *   {
+ *     id, name, example,      example 为合并示例（New Game 页面显示）
+ *     groupSize,              一次合并需要的相邻瓦片数：2 或 3
+ *     merge(values),          groupSize 个数值能合并时返回结果，否则返回 null
+ *     spawns,                 出块分布 [{ value, chance }]，chance 之和为 1
+ *     values,                 按等级排列的全部瓦片数值（等级 = 下标 + 1），用于录像编码、求解器估值和配色
+ *     winTargets, defaultWinTarget,
+ *     palette,                按等级的配色；经典规则为 null，沿用 2048 原版配色
+ *     specialTiles,           是否支持万能瓦片、炸弹合并（只有经典规则支持）
+ *   }
+ */
+
+export const DEFAULT_RULE_SET = 'classic';
+
+// 每套规则最多 35 个等级：录像里每个数值编码为一个 36 进制字符
+const MAX_RANK = 35;
+
+// 按递推生成等级数值表
+function buildValues(first, next) {
+  const values = [first];
+  while (values.length < MAX_RANK) {
+    values.push(next(values));
+  }
+  return values;
+}
+
+const POWERS_OF_TWO = buildValues(2, values => values[values.length - 1] * 2);
+// 1, 2, 3, 5, 8 ...（数值 1 只出现一次）
+const FIBONACCI = buildValues(1, values => (values.length === 1 ? 2 : values[values.length - 1] + values[values.length - 2]));
+// 1, 2, 3, 6, 12 ...
+const THREES = buildValues(1, values => (values.length < 3 ? values.length + 1 : values[values.length - 1] * 2));
+const POWERS_OF_THREE = buildValues(3, values => values[values.length - 1] * 3);
+
+const FIBONACCI_RANKS = new Map(FIBONACCI.map((value, i) => [value, i]));
+
+// 由一组主色生成按等级的配色：前两级深色文字，之后白色文字
+function buildPalette(colors) {
+  return colors.map((backgroundColor, i) => ({
+    backgroundColor,
+    color: i < 2 ? '#776e65' : '#f9f6f2',
+  }));
+}
+
+export const RULE_SETS = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    example: '2 + 2 = 4',
+    groupSize: 2,
+    merge: ([a, b]) => (a === b ? a * 2 : null),
+    spawns: [{ value: 2, chance: 0.9 }, { value: 4, chance: 0.1 }],
+    values: POWERS_OF_TWO,
+    winTargets: [512, 1024, 2048, 4096, 8192, null],
+    defaultWinTarget: 2048,
+    palette: null,
+    specialTiles: true,
+  },
+  fibonacci: {
+    id: 'fibonacci',
+    name: 'Fibonacci',
+    example: '1 + 2 = 3, 2 + 3 = 5',
+    groupSize: 2,
+    // 相邻的两个斐波那契数（以及 1 + 1）可以合并
+    merge: ([a, b]) => {
+      if (a === 1 && b === 1) return 2;
+      const rankA = FIBONACCI_RANKS.get(a);
+      const rankB = FIBONACCI_RANKS.get(b);
+      return Math.abs(rankA - rankB) === 1 ? a + b : null;
+    },
+    spawns: [{ value: 1, chance: 0.9 }, { value: 2, chance: 0.1 }],
+    values: FIBONACCI,
+    winTargets: [233, 610, 1597, 4181, 10946, null],
+    defaultWinTarget: 1597,
+    palette: buildPalette([
+      '#e6f4ea', '#cdebd6', '#9dd9b0', '#6cc58c', '#45b26b', '#2f9e5a', '#1f8a4c', '#4fb3bf',
+      '#2e9cae', '#1b859b', '#146e85', '#0f5a70', '#0b475c', '#083748', '#052a38',
+    ]),
+    specialTiles: false,
+  },
+  threes: {
+    id: 'threes',
+    name: 'Threes',
+    example: '1 + 2 = 3, 3 + 3 = 6',
+    groupSize: 2,
+    // 1 和 2 只能互相合并成 3；3 及以上相同数值合并
+    merge: ([a, b]) => {
+      if (a + b === 3 && a !== b) return 3;
+      return a === b && a >= 3 ? a * 2 : null;
+    },
+    spawns: [{ value: 1, chance: 0.4 }, { value: 2, chance: 0.4 }, { value: 3, chance: 0.2 }],
+    values: THREES,
+    winTargets: [192, 384, 768, 1536, 3072, null],
+    defaultWinTarget: 768,
+    palette: [
+      { backgroundColor: '#66ccff', color: '#ffffff' },
+      { backgroundColor: '#ff6680', color: '#ffffff' },
+      ...buildPalette([
+        '#fefefe', '#fbe9c0', '#f4c45c', '#eeaa33', '#e58a1f', '#d96a12',
+        '#c44d0b', '#a83706', '#8a2603', '#6e1c02', '#521401',
+      ]),
+    ],
+    specialTiles: false,
+  },
+  powersOfThree: {
+    id: 'powersOfThree',
+    name: 'Powers of 3',
+    example: '3 + 3 + 3 = 9',
+    groupSize: 3,
+    merge: ([a, b, c]) => (a === b && b === c ? a * 3 : null),
+    spawns: [{ value: 3, chance: 0.9 }, { value: 9, chance: 0.1 }],
+    values: POWERS_OF_THREE,
+    winTargets: [243, 729, 2187, 6561, 19683, null],
+    defaultWinTarget: 729,
+    palette: buildPalette([
+      '#efe7fb', '#dccdf6', '#bfa6ee', '#a27fe5', '#8a5cdc', '#7440cf', '#6230b8',
+      '#d946a8', '#c02f8e', '#a01f74', '#80145c', '#610c45',
+    ]),
+    specialTiles: false,
+  },
+};
+
+export const RULE_SET_IDS = Object.keys(RULE_SETS);
+
+// 各规则的 数值 -> 等级 查找表
+const RANKS = Object.fromEntries(
+  Object.values(RULE_SETS).map(rules => [rules.id, new Map(rules.values.map((value, i) => [value, i + 1]))])
+);
+
+// 将任意输入规整为合法的规则集 id（旧数据没有该字段时为经典规则）
+export function normalizeRuleSet(id) {
+  return RULE_SETS[id] ? id : DEFAULT_RULE_SET;
+}
+
+// 按 id 取规则对象
+export function getRuleSet(id) {
+  return RULE_SETS[normalizeRuleSet(id)];
+}
+
+// 瓦片数值 -> 等级（1 开始）；不在数值表中时返回 0
+// 经典规则的等级即 log2(数值)
+export function getTileRank(value, ruleSet = DEFAULT_RULE_SET) {
+  return RANKS[normalizeRuleSet(ruleSet)].get(value) || 0;
+}
+
+// 等级 -> 瓦片数值
+export function getRankValue(rank, ruleSet = DEFAULT_RULE_SET) {
+  return getRuleSet(ruleSet).values[rank - 1];
+}
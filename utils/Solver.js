@@ -0,0 +1,221 @@
+/**
+ * 本地求解器（完全离线）
+ * 在 GameLogic.move() 之上做 expectimax 搜索：玩家节点取最大值，出块节点按规则集 + 出块策略的出块分布（经典规则 2/4）取期望；
+ * 邪恶难度的出块器总是选最不利的瓦片，出块节点改为取最小值。每步生成多个瓦片的策略逐个展开出块节点。
+ * 估值使用瓦片等级（经典规则即 log2），对所有合并规则集通用。
+ * 迭代加深 + 时间预算：每个同步计算片段都有截止时间，片段之间让出事件循环，保证 UI 不被阻塞。
+ */
+import { move, getEmptyPositions } from './GameLogic';
+import { DEFAULT_RULE_SET, getTileRank } from './RuleSets';
+import { DEFAULT_SPAWN_POLICY, getSpawnDistribution, getSpawnPolicy } from './SpawnPolicy';
+
+export const DIRECTIONS = ['up', 'left', 'right', 'down'];
+
+// 默认总时间预算与单个同步片段的时间上限（毫秒）
+export const DEFAULT_TIME_BUDGET_MS = 200;
+const SLICE_BUDGET_MS = 40;
+const MAX_DEPTH = 4;
+
+// 出块节点最多展开的空格数，空格过多时均匀抽样（大棋盘上限制分支数）
+const MAX_CHANCE_CELLS = 6;
+// 概率低于此值的分支不再深入，直接用估值
+const MIN_BRANCH_PROBABILITY = 0.0001;
+
+// 估值权重
+const WEIGHT_EMPTY = 2.7;
+const WEIGHT_MONOTONICITY = 1.0;
+const WEIGHT_SMOOTHNESS = 0.1;
+const WEIGHT_CORNER = 1.0;
+
+// 超时时抛出的标记，用于中止当前深度的搜索
+const TIMEOUT = Symbol('solver-timeout');
+
+// 行/列的单调性：越接近单调递增或递减，惩罚越小
+function lineMonotonicity(line, rank) {
+  let increasing = 0;
+  let decreasing = 0;
+  for (let i = 0; i < line.length - 1; i++) {
+    const current = rank(line[i]);
+    const next = rank(line[i + 1]);
+    if (current > next) {
+      decreasing += next - current;
+    } else {
+      increasing += current - next;
+    }
+  }
+  return Math.max(increasing, decreasing);
+}
+
+/**
+ * 局面估值：空格多、行列单调、相邻瓦片接近、最大瓦片在角落 => 分数高
+ */
+export function evaluateBoard(board, ruleSet = DEFAULT_RULE_SET) {
+  const rank = (value) => (value ? getTileRank(value, ruleSet) : 0);
+  const size = board.length;
+  let empty = 0;
+  let smoothness = 0;
+  let monotonicity = 0;
+  let highest = 0;
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const value = board[row][col];
+      if (value === null) {
+        empty++;
+        continue;
+      }
+      if (value > highest) highest = value;
+      if (col + 1 < size && board[row][col + 1] !== null) {
+        smoothness -= Math.abs(rank(value) - rank(board[row][col + 1]));
+      }
+      if (row + 1 < size && board[row + 1][col] !== null) {
+        smoothness -= Math.abs(rank(value) - rank(board[row + 1][col]));
+      }
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    monotonicity += lineMonotonicity(board[i], rank);
+    monotonicity += lineMonotonicity(board.map(row => row[i]), rank);
+  }
+
+  const last = size - 1;
+  const corners = [board[0][0], board[0][last], board[last][0], board[last][last]];
+  const corner = corners.includes(highest) ? rank(highest) : 0;
+
+  return WEIGHT_EMPTY * empty
+    + WEIGHT_MONOTONICITY * monotonicity
+    + WEIGHT_SMOOTHNESS * smoothness
+    + WEIGHT_CORNER * corner;
+}
+
+// 出块节点需要展开的空格（过多时均匀抽样，保证结果确定）
+function chanceCells(board) {
+  const empty = getEmptyPositions(board);
+  if (empty.length <= MAX_CHANCE_CELLS) return empty;
+  const step = empty.length / MAX_CHANCE_CELLS;
+  return Array.from({ length: MAX_CHANCE_CELLS }, (_, i) => empty[Math.floor(i * step)]);
+}
+
+function createSearch(deadline, ruleSet, spawnPolicy) {
+  // 概率为 0 的数值（如简单难度下的大瓦片）不会出现，不展开
+  const spawns = getSpawnDistribution(ruleSet, spawnPolicy).filter(({ chance }) => chance > 0);
+  const { tilesPerMove, evil } = getSpawnPolicy(spawnPolicy);
+  const cache = new Map();
+
+  const checkDeadline = () => {
+    if (Date.now() > deadline) throw TIMEOUT;
+  };
+
+  // 玩家节点：四个方向取最大
+  const maxNode = (board, depth, probability) => {
+    let best = -Infinity;
+    for (const direction of DIRECTIONS) {
+      const result = move(board, direction, ruleSet);
+      if (!result.isValidMove) continue;
+      best = Math.max(best, chanceNode(result.board, depth, probability, tilesPerMove));
+    }
+    // 无路可走：给一个极低的分数
+    return best === -Infinity ? -1e6 : best;
+  };
+
+  // 出块节点：按出块分布取期望（经典规则 90% 出 2、10% 出 4）；邪恶难度取所有空位 × 出块数值中的最小值
+  // remaining 为本步还要生成的瓦片数，生成完后轮到玩家
+  const chanceNode = (board, depth, probability, remaining) => {
+    if (depth <= 0 || probability < MIN_BRANCH_PROBABILITY) {
+      return evaluateBoard(board, ruleSet);
+    }
+    checkDeadline();
+
+    const key = `${depth}:${remaining}:${board.map(row => row.join(',')).join('|')}`;
+    if (cache.has(key)) return cache.get(key);
+
+    // 邪恶出块器会检查每一个空位，不能抽样
+    const cells = evil ? getEmptyPositions(board) : chanceCells(board);
+    if (cells.length === 0) return evaluateBoard(board, ruleSet);
+
+    const afterSpawn = (next, nextProbability) => (remaining > 1
+      ? chanceNode(next, depth, nextProbability, remaining - 1)
+      : maxNode(next, depth - 1, nextProbability));
+
+    let total = 0;
+    let worst = Infinity;
+    for (const { row, col } of cells) {
+      for (const { value, chance } of spawns) {
+        const next = board.map(r => [...r]);
+        next[row][col] = value;
+        if (evil) {
+          worst = Math.min(worst, afterSpawn(next, probability));
+        } else {
+          total += chance * afterSpawn(next, probability * chance / cells.length);
+        }
+      }
+    }
+
+    const expected = evil ? worst : total / cells.length;
+    cache.set(key, expected);
+    return expected;
+  };
+
+  return { chanceNode: (board, depth) => chanceNode(board, depth, 1, tilesPerMove) };
+}
+
+// 让出事件循环，给渲染和手势处理留出时间
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * 计算建议的移动方向
+ * @param {Array<Array<number|null>>} board - 当前棋盘
+ * @param {Object} [options]
+ * @param {number} [options.timeBudgetMs] - 总时间预算
+ * @param {string} [options.ruleSet] - 规则集 id
+ * @param {string} [options.spawnPolicy] - 出块策略 id
+ * @returns {Promise<{ direction: string, depth: number } | null>} 没有有效移动时返回 null
+ */
+export async function getBestMove(board, {
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+  ruleSet = DEFAULT_RULE_SET,
+  spawnPolicy = DEFAULT_SPAWN_POLICY,
+} = {}) {
+  const candidates = DIRECTIONS
+    .map(direction => ({ direction, result: move(board, direction, ruleSet) }))
+    .filter(({ result }) => result.isValidMove);
+
+  if (candidates.length === 0) return null;
+  if (candidates.length === 1) return { direction: candidates[0].direction, depth: 0 };
+
+  const deadline = Date.now() + timeBudgetMs;
+  // 深度 0：只看一步后的静态估值，保证总有结果
+  let best = {
+    direction: candidates
+      .map(({ direction, result }) => ({ direction, value: evaluateBoard(result.board, ruleSet) }))
+      .sort((a, b) => b.value - a.value)[0].direction,
+    depth: 0,
+  };
+
+  for (let depth = 1; depth <= MAX_DEPTH; depth++) {
+    let bestValue = -Infinity;
+    let bestDirection = null;
+
+    try {
+      for (const { direction, result } of candidates) {
+        await yieldToUI();
+        const sliceDeadline = Math.min(deadline, Date.now() + SLICE_BUDGET_MS);
+        const { chanceNode } = createSearch(sliceDeadline, ruleSet, spawnPolicy);
+        const value = chanceNode(result.board, depth);
+        if (value > bestValue) {
+          bestValue = value;
+          bestDirection = direction;
+        }
+      }
+    } catch (error) {
+      if (error === TIMEOUT) break; // 当前深度没算完，沿用上一深度的结果
+      throw error;
+    }
+
+    best = { direction: bestDirection, depth };
+    if (Date.now() >= deadline) break;
+  }
+
+  return best;
+}
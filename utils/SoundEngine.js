@@ -0,0 +1,103 @@
+import { Platform } from 'react-native';
+
+/**
+ * 音效
+ * 音效文件由 scripts/generate-sounds.js 生成；播放器在第一次播放时创建，之后复用。
+ * 设置里的 soundOn 关闭时不播放，音量为 0-100 的整数。
+ * H5 环境或音频模块不可用时所有调用都静默返回，不影响游戏。
+ */
+
+// 动态导入 expo-audio，H5 环境不播放音效
+let Audio = null;
+if (Platform.OS !== 'web') {
+  try {
+    Audio = require('expo-audio');
+  } catch (error) {
+    console.log('Audio not available on this platform');
+  }
+}
+
+export const DEFAULT_VOLUME = 80;
+
+const SOUND_SOURCES = {
+  slide: require('../assets/sounds/slide.wav'),
+  merge: require('../assets/sounds/merge.wav'),
+  spawn: require('../assets/sounds/spawn.wav'),
+  invalid: require('../assets/sounds/invalid.wav'),
+  win: require('../assets/sounds/win.wav'),
+  gameover: require('../assets/sounds/gameover.wav'),
+};
+
+export const SOUND_CUES = Object.keys(SOUND_SOURCES);
+
+// 合并音效每翻一倍升高一个半音，最高升高一个八度
+const MERGE_BASE_VALUE = 4;
+const MAX_PLAYBACK_RATE = 2;
+
+// 将任意输入规整为 0-100 的音量（旧数据没有该字段时为默认音量）
+export function normalizeVolume(volume) {
+  if (typeof volume !== 'number' || !Number.isFinite(volume)) return DEFAULT_VOLUME;
+  return Math.round(Math.min(100, Math.max(0, volume)));
+}
+
+// 合并结果的数值 => 合并音效的播放速率（关闭音调校正后速率即音高）
+export function getMergePlaybackRate(value) {
+  if (!value || value <= MERGE_BASE_VALUE) return 1;
+  const semitones = Math.log2(value / MERGE_BASE_VALUE);
+  return Math.min(MAX_PLAYBACK_RATE, Math.pow(2, semitones / 12));
+}
+
+let players = null;
+
+// 创建播放器；音频模块初始化失败时关闭音效，之后不再尝试
+function getPlayer(cue) {
+  if (!Audio) return null;
+
+  if (!players) {
+    try {
+      // 与其他应用的音乐混音播放，静音模式下不出声
+      Audio.setAudioModeAsync({ playsInSilentMode: false, interruptionMode: 'mixWithOthers' })
+        .catch(() => {});
+      players = {};
+      SOUND_CUES.forEach(name => {
+        players[name] = Audio.createAudioPlayer(SOUND_SOURCES[name]);
+      });
+      players.merge.shouldCorrectPitch = false;
+    } catch (error) {
+      console.log('Failed to load sounds:', error);
+      Audio = null;
+      players = null;
+      return null;
+    }
+  }
+
+  return players[cue] || null;
+}
+
+/**
+ * 播放一个音效
+ * @param {string} cue - SOUND_CUES 之一
+ * @param {Object} settings - { soundOn, volume }，一般直接传入 GameContext 的 state
+ * @param {number} [value] - 合并结果的数值，决定合并音效的音高
+ */
+export function playSound(cue, { soundOn, volume }, value) {
+  if (!soundOn) return;
+
+  const level = normalizeVolume(volume);
+  if (level === 0) return;
+
+  const player = getPlayer(cue);
+  if (!player) return;
+
+  try {
+    player.volume = level / 100;
+    if (cue === 'merge') {
+      player.setPlaybackRate(getMergePlaybackRate(value));
+    }
+    // 同一音效连续触发时从头播放
+    player.seekTo(0).catch(() => {});
+    player.play();
+  } catch (error) {
+    console.log('Failed to play sound:', error);
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * 出块策略（难度预设）
+ * 决定每步之后生成哪些新瓦片：大瓦片的出现概率、每步生成的瓦片数，以及是否由“邪恶”出块器
+ * 向前看一步、把最不利的瓦片放到最不利的位置。出块的合法数值仍由规则集（RuleSets）决定。
+ * 策略以 id 字符串保存在对局数据和历史记录里，GameLogic 的 spawnTiles() 按 id 取用。
+ *
+ * 策略对象结构：
+ *   {
+ *     id, name, description,  description 为 New Game 页面显示的说明
+ *     bigTileChance,          出最大出块数值的概率（经典规则即出 4 的概率）；null 表示沿用规则集的出块分布
+ *     tilesPerMove,           每步生成的瓦片数
+ *     evil,                   是否使用对抗式出块（不消耗随机数）
+ *   }
+ */
+import { getRuleSet } from './RuleSets';
+
+export const DEFAULT_SPAWN_POLICY = 'normal';
+
+export const SPAWN_POLICIES = {
+  easy: {
+    id: 'easy',
+    name: 'Easy',
+    description: 'Big tiles never spawn',
+    bigTileChance: 0,
+    tilesPerMove: 1,
+    evil: false,
+  },
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    description: 'The usual spawn odds, one tile per move',
+    bigTileChance: null,
+    tilesPerMove: 1,
+    evil: false,
+  },
+  hard: {
+    id: 'hard',
+    name: 'Hard',
+    description: 'Big tiles spawn 30% of the time',
+    bigTileChance: 0.3,
+    tilesPerMove: 1,
+    evil: false,
+  },
+  frantic: {
+    id: 'frantic',
+    name: 'Frantic',
+    description: 'Two tiles spawn after every move',
+    bigTileChance: null,
+    tilesPerMove: 2,
+    evil: false,
+  },
+  evil: {
+    id: 'evil',
+    name: 'Evil',
+    description: 'Every tile lands where it hurts you most',
+    bigTileChance: null,
+    tilesPerMove: 1,
+    evil: true,
+  },
+};
+
+export const SPAWN_POLICY_IDS = Object.keys(SPAWN_POLICIES);
+
+// 将任意输入规整为合法的策略 id（旧数据没有该字段时为普通难度）
+export function normalizeSpawnPolicy(id) {
+  return SPAWN_POLICIES[id] ? id : DEFAULT_SPAWN_POLICY;
+}
+
+// 按 id 取策略对象
+export function getSpawnPolicy(id) {
+  return SPAWN_POLICIES[normalizeSpawnPolicy(id)];
+}
+
+/**
+ * 规则集 + 策略下的出块分布
+ * 设置了 bigTileChance 时，最大的出块数值占 bigTileChance，其余数值按原有比例分摊剩下的概率
+ * （Threes 规则里 1 和 2 必须成对出现才能合并，因此只调整最大的出块数值）
+ * @returns {Array<{ value: number, chance: number }>}
+ */
+export function getSpawnDistribution(ruleSet, spawnPolicy) {
+  const { spawns } = getRuleSet(ruleSet);
+  const { bigTileChance } = getSpawnPolicy(spawnPolicy);
+  if (bigTileChance === null) return spawns;
+
+  const smaller = spawns.slice(0, -1);
+  const biggest = spawns[spawns.length - 1];
+  const smallerTotal = smaller.reduce((sum, { chance }) => sum + chance, 0);
+  return [
+    ...smaller.map(({ value, chance }) => ({ value, chance: ((1 - bigTileChance) * chance) / smallerTotal })),
+    { value: biggest.value, chance: bigTileChance },
+  ];
+}
+
+// 按出块分布取一个数值（只消耗一次随机数，经典规则与原来的 90% 出 2 / 10% 出 4 完全一致）
+export function pickSpawnValue(spawns, random) {
+  const roll = random();
+  let cumulative = 0;
+  for (const { value, chance } of spawns) {
+    cumulative += chance;
+    if (roll < cumulative) return value;
+  }
+  return spawns[spawns.length - 1].value;
+}
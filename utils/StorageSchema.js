@@ -0,0 +1,216 @@
+/**
+ * 存储数据结构版本与迁移
+ * StorageUtils 的 info key 下保存一个 JSON 对象，schemaVersion 字段记录其结构版本（旧数据没有该字段，视为版本 0）。
+ *
+ * 读取时依次执行：
+ *   1. migrateData()   按版本号顺序执行 MIGRATIONS，把旧结构升级到 STORAGE_SCHEMA_VERSION
+ *   2. validateData()  逐个字段检查类型，能修复的就地修复（如数字 id 转为字符串），
+ *                      无法修复的字段或历史记录从数据中移除，连同路径一起返回
+ *   3. getOriginalValues() 按路径从迁移前的数据中取出原始值，由 StorageUtils 隔离保存
+ *
+ * 修改已保存数据的结构时：STORAGE_SCHEMA_VERSION 加一，并在 MIGRATIONS 末尾追加对应的迁移函数。
+ * 迁移函数只接收上一版本的数据并返回新对象，不读写存储，不修改传入的对象。
+ */
+import { getGameMode, getModeKey, normalizeBoardSize, DEFAULT_BOARD_SIZE, DEFAULT_WIN_TARGET } from './GameLogic';
+import { DEFAULT_RULE_SET } from './RuleSets';
+import { DEFAULT_SPAWN_POLICY } from './SpawnPolicy';
+
+export const STORAGE_SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] 把版本 n 的数据升级为版本 n + 1
+const MIGRATIONS = [
+  // 0 -> 1：旧版本的历史记录只有 id、时间、分数、最大瓦片、步数和胜负；
+  // 补齐之后各版本新增的字段，数字 id 转为字符串（详情页按路由参数字符串查找）；
+  // 旧版本只记录了 2048 的最快用时（maxTime）
+  (data) => ({
+    ...data,
+    fastestWins: data.fastestWins
+      || (data.maxTime ? { [DEFAULT_WIN_TARGET]: data.maxTime } : undefined),
+    gameHistory: Array.isArray(data.gameHistory)
+      ? data.gameHistory.map(game => (isPlainObject(game) ? {
+        ...game,
+        id: game.id !== undefined ? String(game.id) : game.id,
+        result: game.result || (game.won ? 'won' : 'lost'),
+        mode: game.mode || getGameMode(game),
+        boardSize: game.boardSize || DEFAULT_BOARD_SIZE,
+        ruleSet: game.ruleSet || DEFAULT_RULE_SET,
+        spawnPolicy: game.spawnPolicy || DEFAULT_SPAWN_POLICY,
+        undoLimit: game.undoLimit ?? 0,
+        undosUsed: game.undosUsed || 0,
+        hintsUsed: game.hintsUsed || 0,
+      } : game))
+      : data.gameHistory,
+  }),
+
+  // 1 -> 2：最佳分数的 key 加入了棋盘尺寸（见 getModeKey）。
+  // 旧数据里其他尺寸的分数和 4x4 混在同一个 key（或全局最佳）中，无法拆分，原有的值保留为 4x4 的最佳；
+  // 其他尺寸各自的最佳分数从历史记录中补出
+  (data) => {
+    if (data.modeBests !== undefined && !isPlainObject(data.modeBests)) return data;
+
+    const modeBests = { ...data.modeBests };
+    (Array.isArray(data.gameHistory) ? data.gameHistory : []).forEach(game => {
+      if (!isPlainObject(game) || !isCount(game.finalScore)) return;
+      if (normalizeBoardSize(game.boardSize) === DEFAULT_BOARD_SIZE) return;
+      const key = getModeKey(game);
+      modeBests[key] = Math.max(modeBests[key] || 0, game.finalScore);
+    });
+    return { ...data, modeBests };
+  },
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCount = (value) => isNumber(value) && value >= 0;
+
+/**
+ * 把数据升级到当前版本
+ * @param {Object} data - 存储中读出的数据
+ * @returns {{ data: Object, fromVersion: number }} 升级后的数据和原始版本号；
+ *   原始版本比当前版本新（应用被降级）时原样返回，避免按旧结构误改新数据
+ */
+export function migrateData(data) {
+  const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+  if (fromVersion >= STORAGE_SCHEMA_VERSION) {
+    return { data, fromVersion };
+  }
+
+  let migrated = data;
+  for (let version = fromVersion; version < STORAGE_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return { data: { ...migrated, schemaVersion: STORAGE_SCHEMA_VERSION }, fromVersion };
+}
+
+// 对象字段：逐个检查值，不合法的 key 移除（记录路径和原始值）
+function validateRecord(field, record, isValidEntry, rejected) {
+  const result = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (isValidEntry(value)) {
+      result[key] = value;
+    } else {
+      rejected.push([`${field}.${key}`, value]);
+    }
+  });
+  return result;
+}
+
+// 单条历史记录：必须有 id 和最终分数；录像损坏时只移除录像，保留统计字段
+function validateHistoryEntry(game, index, rejected) {
+  if (!isPlainObject(game) || game.id === undefined || game.id === null || !isNumber(game.finalScore)) {
+    rejected.push([`gameHistory.${index}`, game]);
+    return null;
+  }
+
+  const entry = typeof game.id === 'string' ? game : { ...game, id: String(game.id) };
+  const log = entry.moveLog;
+  if (log !== undefined && !(isPlainObject(log) && typeof log.start === 'string' && typeof log.moves === 'string' && isCount(log.size))) {
+    rejected.push([`gameHistory.${index}.moveLog`, log]);
+    const summary = { ...entry };
+    delete summary.moveLog;
+    return summary;
+  }
+  return entry;
+}
+
+// 各字段的检查：返回 true 表示合法；对象、数组字段单独处理
+const FIELD_CHECKS = {
+  hasSeenOnboarding: (value) => typeof value === 'boolean',
+  soundOn: (value) => typeof value === 'boolean',
+  hapticsOn: (value) => typeof value === 'boolean',
+  volume: isNumber,
+  maxScore: isCount,
+  maxLevel: isCount,
+  maxTime: isCount,
+  boardSize: isNumber,
+  undoLimit: isNumber,
+  winTarget: (value) => value === null || isNumber(value),
+  timeLimitSec: (value) => value === null || isNumber(value),
+  moveLimit: (value) => value === null || isNumber(value),
+  nickname: (value) => typeof value === 'string',
+  theme: (value) => typeof value === 'string',
+  inputMode: (value) => typeof value === 'string',
+  hapticIntensity: (value) => typeof value === 'string',
+  ruleSet: (value) => typeof value === 'string',
+  spawnPolicy: (value) => typeof value === 'string',
+};
+
+// 记录型字段：key 任意，值需满足检查
+const RECORD_CHECKS = {
+  fastestWins: isCount,
+  modeBests: isCount,
+  puzzleProgress: (value) => isPlainObject(value) && isCount(value.stars) && isCount(value.bestMoves),
+};
+
+/**
+ * 检查并修复数据
+ * 未知字段原样保留；类型错误的字段被移除，读取方会使用默认值
+ * @param {Object} data - 已迁移到当前版本的数据
+ * @returns {{ data: Object, rejected: Array<[string, any]> }} 修复后的数据；rejected 为被移除的 [路径, 原始值]
+ */
+export function validateData(data) {
+  const rejected = [];
+  const result = { ...data };
+
+  Object.entries(FIELD_CHECKS).forEach(([field, isValid]) => {
+    if (result[field] !== undefined && !isValid(result[field])) {
+      rejected.push([field, result[field]]);
+      delete result[field];
+    }
+  });
+
+  Object.entries(RECORD_CHECKS).forEach(([field, isValidEntry]) => {
+    if (result[field] === undefined) return;
+    if (!isPlainObject(result[field])) {
+      rejected.push([field, result[field]]);
+      delete result[field];
+      return;
+    }
+    result[field] = validateRecord(field, result[field], isValidEntry, rejected);
+  });
+
+  if (result.gameHistory !== undefined) {
+    if (Array.isArray(result.gameHistory)) {
+      result.gameHistory = result.gameHistory
+        .map((game, index) => validateHistoryEntry(game, index, rejected))
+        .filter(Boolean);
+    } else {
+      rejected.push(['gameHistory', result.gameHistory]);
+      delete result.gameHistory;
+    }
+  }
+
+  return { data: result, rejected };
+}
+
+// 按路径（如 fastestWins.2048、gameHistory.3.moveLog）取值；记录型字段的 key 可能含有 '.'，优先匹配完整的剩余路径
+function getValueAtPath(data, path) {
+  let value = data;
+  let rest = path;
+  while (value !== null && typeof value === 'object') {
+    if (Object.prototype.hasOwnProperty.call(value, rest)) return { found: true, value: value[rest] };
+    const dot = rest.indexOf('.');
+    if (dot === -1) break;
+    value = value[rest.slice(0, dot)];
+    rest = rest.slice(dot + 1);
+  }
+  return { found: false };
+}
+
+/**
+ * 把 validateData() 移除的值换成迁移前的原始值
+ * 迁移会改写旧数据（如补齐历史记录的字段），隔离区应保存存储中原本的内容；
+ * 原始数据中不存在的路径（由迁移生成的字段）不保存，其来源字段的原始值已单独记录
+ * @param {Object} original - 存储中读出、未经迁移的数据
+ * @param {Array<[string, any]>} rejected - validateData() 返回的 [路径, 值]
+ * @returns {Array<[string, any]>} [路径, 原始值]
+ */
+export function getOriginalValues(original, rejected) {
+  return rejected
+    .map(([path]) => [path, getValueAtPath(original, path)])
+    .filter(([, lookup]) => lookup.found)
+    .map(([path, lookup]) => [path, lookup.value]);
+}
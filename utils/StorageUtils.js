@@ -1,13 +1,61 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_SCHEMA_VERSION, migrateData, validateData, getOriginalValues } from './StorageSchema';
+import { createPersistQueue } from './PersistQueue';
+
+// 隔离区最多保留的记录条数（只保留最近的几次）
+const MAX_QUARANTINE_ENTRIES = 10;
+
+/**
+ * 把读取时移除的损坏数据追加到隔离区，供排查问题或手动恢复
+ * 隔离区为 [{ at, schemaVersion, fields: { 路径: 原始值 } }]，最新的在前；本身损坏时从空列表开始
+ * @param {string} key - 隔离区的存储 key
+ * @param {Array<[string, any]>} rejected - [路径, 原始值]
+ * @param {number|null} schemaVersion - 数据原来的结构版本（无法解析时为 null）
+ */
+async function saveToQuarantine(key, rejected, schemaVersion) {
+  let entries = [];
+  try {
+    const stored = JSON.parse(await AsyncStorage.getItem(key));
+    if (Array.isArray(stored)) entries = stored;
+  } catch (error) {
+    console.error('获取隔离区数据失败:', error);
+  }
+
+  try {
+    const entry = {
+      at: new Date().toISOString(),
+      schemaVersion,
+      fields: Object.fromEntries(rejected),
+    };
+    await AsyncStorage.setItem(key, JSON.stringify([entry, ...entries].slice(0, MAX_QUARANTINE_ENTRIES)));
+  } catch (error) {
+    console.error('保存隔离区数据失败:', error);
+  }
+}
 
 /**
  * 存储工具类
  * 提供AsyncStorage相关的操作方法
+ * info、进行中的对局和每日挑战的写入都经过同一个写入队列（见 PersistQueue），
+ * 短时间内的多次写入合并后按顺序写入；读取前先写入排队中的数据
  */
 class StorageUtils {
   // miniApp名称变量
   static miniAppName = '2048MiniApp';
 
+  static writeQueue = createPersistQueue(AsyncStorage);
+
+  // 写入 info 时标记的结构版本（由更新版本写入的数据保留其版本号，见 loadData）
+  static dataSchemaVersion = STORAGE_SCHEMA_VERSION;
+
+  /**
+   * 立即写入排队中的数据（应用进入后台时调用）
+   * @returns {Promise<void>} 之前的所有写入完成后 resolve
+   */
+  static flush() {
+    return this.writeQueue.flush();
+  }
+
   /**
    * 获取用户数据
    * @returns {Promise<Object|null>} 用户数据对象，如果不存在则返回null
@@ -38,42 +86,126 @@ class StorageUtils {
   }
 
   /**
-   * 获取info信息
-   * @returns {Promise<any|null>} info信息对象，如果不存在则返回null
+   * 启动时读取info信息：升级到当前结构版本并检查每个字段
+   * 无法解析的 JSON、无法修复的字段和历史记录的原始值移入隔离区，数据有变化时写回
+   * 整个读取-修复-写回在写入队列中独占执行，不会与排队的写入互相覆盖
+   * @returns {Promise<Object|null>} 可以直接使用的info信息，如果不存在则返回null
+   */
+  static loadData() {
+    return this.writeQueue.exclusive(async () => {
+      const key = `${this.miniAppName}info`;
+      let raw = null;
+      try {
+        raw = await AsyncStorage.getItem(key);
+      } catch (error) {
+        console.error('获取info信息失败:', error);
+        return null;
+      }
+      if (!raw) return null;
+
+      let stored;
+      try {
+        stored = JSON.parse(raw);
+      } catch {
+        stored = undefined;
+      }
+      if (stored === null || typeof stored !== 'object' || Array.isArray(stored)) {
+        // 整个数据无法使用：原文移入隔离区后清空，之后的保存从空数据开始
+        console.error('info信息已损坏，已移入隔离区');
+        await saveToQuarantine(`${this.miniAppName}quarantine`, [['info', raw]], null);
+        await AsyncStorage.removeItem(key).catch(() => {});
+        return null;
+      }
+
+      const { data: migrated, fromVersion } = migrateData(stored);
+      this.dataSchemaVersion = Math.max(fromVersion, STORAGE_SCHEMA_VERSION);
+      const { data, rejected } = validateData(migrated);
+
+      if (rejected.length > 0) {
+        console.error('info信息中有损坏的字段，已移入隔离区:', rejected.map(([path]) => path));
+        await saveToQuarantine(`${this.miniAppName}quarantine`, getOriginalValues(stored, rejected), fromVersion);
+      }
+      if (fromVersion !== data.schemaVersion || rejected.length > 0 || JSON.stringify(data) !== JSON.stringify(stored)) {
+        try {
+          await AsyncStorage.setItem(key, JSON.stringify(data));
+        } catch (error) {
+          console.error('保存迁移后的info信息失败:', error);
+        }
+      }
+      return data;
+    });
+  }
+
+  /**
+   * 设置info信息
+   * 新数据会覆盖老数据中的相同字段；写入进入队列，与短时间内的其他写入合并
+   * @param {any} newData - 新的info数据对象
+   * @returns {Promise<boolean>} 写入完成后 resolve，表示设置是否成功
+   */
+  static setData(newData) {
+    console.log('set data to storage', `${this.miniAppName}info`)
+    return this.writeQueue.merge(`${this.miniAppName}info`, {
+      ...newData,
+      schemaVersion: this.dataSchemaVersion,
+    });
+  }
+
+  /**
+   * 获取进行中的对局快照
+   * 单独存放在独立的 key 下，避免每步都重写包含历史记录的 info 数据
+   * @returns {Promise<Object|null>} 对局快照，如果不存在则返回null
    */
-  static async getData() {
+  static async getCurrentGame() {
     try {
-      console.log('get data from storage', `${this.miniAppName}info`)
-      const infoData = await AsyncStorage.getItem(`${this.miniAppName}info`);
-      return infoData ? JSON.parse(infoData) : null;
+      await this.flush();
+      const snapshot = await AsyncStorage.getItem(`${this.miniAppName}currentGame`);
+      return snapshot ? JSON.parse(snapshot) : null;
     } catch (error) {
-      console.error('获取info信息失败:', error);
+      console.error('获取进行中对局失败:', error);
       return null;
     }
   }
 
   /**
-   * 设置info信息
-   * @param {any} newData - 新的info数据对象
-   * @returns {Promise<boolean>} 设置是否成功
+   * 保存进行中的对局快照
+   * @param {Object} snapshot - 棋盘、分数、步数、已用时间、种子等
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  static saveCurrentGame(snapshot) {
+    return this.writeQueue.set(`${this.miniAppName}currentGame`, snapshot);
+  }
+
+  /**
+   * 清除进行中的对局快照（对局结束时调用）
+   * @returns {Promise<boolean>} 清除是否成功
    */
-  static async setData(newData) {
+  static clearCurrentGame() {
+    return this.writeQueue.remove(`${this.miniAppName}currentGame`);
+  }
+
+  /**
+   * 获取每日挑战数据
+   * @returns {Promise<Object|null>} { results: { 'YYYY-MM-DD': 结果 }, streak, bestStreak, lastDate }，不存在则返回null
+   */
+  static async getDailyData() {
     try {
-      console.log('set data to storage', `${this.miniAppName}info`)
-      // 先读取老数据
-      const oldData = await this.getData();
-      
-      // 如果老数据存在，使用解构方式合并数据，新数据会覆盖老数据中的相同字段
-      const mergedData = oldData ? { ...oldData, ...newData } : newData;
-      
-      // 保存合并后的数据
-      await AsyncStorage.setItem(`${this.miniAppName}info`, JSON.stringify(mergedData));
-      return true;
+      await this.flush();
+      const daily = await AsyncStorage.getItem(`${this.miniAppName}daily`);
+      return daily ? JSON.parse(daily) : null;
     } catch (error) {
-      console.error('设置info信息失败:', error);
-      return false;
+      console.error('获取每日挑战数据失败:', error);
+      return null;
     }
   }
+
+  /**
+   * 保存每日挑战数据
+   * @param {Object} daily - 每日挑战结果与连续天数
+   * @returns {Promise<boolean>} 保存是否成功
+   */
+  static saveDailyData(daily) {
+    return this.writeQueue.set(`${this.miniAppName}daily`, daily);
+  }
 }
 
 export default StorageUtils;
\ No newline at end of file
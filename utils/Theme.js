@@ -0,0 +1,84 @@
+/**
+ * 主题配色
+ * 设置里保存的是主题偏好（'light' | 'dark' | 'system'），'system' 跟随系统外观；
+ * 实际使用的配色方案只有 'light' 和 'dark' 两种，由 ThemeContext 解析后提供给各页面。
+ * 瓦片配色按方案区分，见 BoardAnimation.getTileStyle()。
+ */
+
+export const DEFAULT_THEME = 'system';
+
+export const THEME_OPTIONS = [
+  { id: 'light', name: 'Light', icon: 'sunny' },
+  { id: 'dark', name: 'Dark', icon: 'moon' },
+  { id: 'system', name: 'System', icon: 'phone-portrait' },
+];
+
+export const THEME_IDS = THEME_OPTIONS.map(option => option.id);
+
+// 将任意输入规整为合法的主题偏好（旧数据没有该字段时跟随系统）
+export function normalizeTheme(id) {
+  return THEME_IDS.includes(id) ? id : DEFAULT_THEME;
+}
+
+// 主题偏好 + 系统外观 => 配色方案
+export function resolveColorScheme(theme, systemScheme) {
+  const preference = normalizeTheme(theme);
+  if (preference !== 'system') return preference;
+  return systemScheme === 'dark' ? 'dark' : 'light';
+}
+
+const LIGHT_COLORS = {
+  statusBar: 'dark',
+  // 通用页面（个人页、历史、详情、New Game 等）
+  background: '#f8fafc',
+  surface: '#ffffff',
+  surfaceMuted: '#f1f5f9',
+  border: '#e2e8f0',
+  text: '#1e293b',
+  textMuted: '#64748b',
+  textFaint: '#94a3b8',
+  accent: '#667eea',
+  overlay: 'rgba(0, 0, 0, 0.5)',
+  switchTrack: '#e2e8f0',
+  switchThumb: '#cbd5e0',
+  // 首页与棋盘（原版 2048 配色）
+  gameBackground: '#faf8ef',
+  gameText: '#776e65',
+  board: '#bbada0',
+  gridCell: '#cdc1b4',
+  gameButton: '#8f7a66',
+  scoreLabel: '#eee4da',
+  hintArrow: 'rgba(119, 110, 101, 0.6)',
+};
+
+const DARK_COLORS = {
+  statusBar: 'light',
+  background: '#0f172a',
+  surface: '#1e293b',
+  surfaceMuted: '#334155',
+  border: '#334155',
+  text: '#f1f5f9',
+  textMuted: '#94a3b8',
+  textFaint: '#64748b',
+  accent: '#818cf8',
+  overlay: 'rgba(0, 0, 0, 0.7)',
+  switchTrack: '#475569',
+  switchThumb: '#94a3b8',
+  gameBackground: '#1c1a17',
+  gameText: '#d6cdc4',
+  board: '#4a433c',
+  gridCell: '#5f564d',
+  gameButton: '#6f5f51',
+  scoreLabel: '#d6cdc4',
+  hintArrow: 'rgba(0, 0, 0, 0.55)',
+};
+
+const COLOR_SCHEMES = {
+  light: LIGHT_COLORS,
+  dark: DARK_COLORS,
+};
+
+// 配色方案对应的颜色表
+export function getThemeColors(scheme) {
+  return COLOR_SCHEMES[scheme] || LIGHT_COLORS;
+}
@@ -0,0 +1,53 @@
+import { enqueueMove, MAX_QUEUED_MOVES, normalizeInputMode, DEFAULT_INPUT_MODE } from '../InputQueue';
+
+// 模拟首页：滑动动画期间收到的方向经 enqueueMove 排队，动画结束后依次取出执行
+function slideWithInputs(inputMode, directions) {
+  let queue = [];
+  let skipped = false;
+  directions.forEach(direction => {
+    const result = enqueueMove(queue, direction, inputMode);
+    queue = result.queue;
+    skipped = skipped || result.skipAnimations;
+  });
+  return { queue, skipped };
+}
+
+describe('enqueueMove', () => {
+  it('queues a swipe that arrives mid-slide so it runs after the slide', () => {
+    const { queue, skipAnimations } = enqueueMove([], 'left', 'buffered');
+    expect(queue).toEqual(['left']);
+    expect(skipAnimations).toBe(false);
+  });
+
+  it('keeps mid-slide swipes in order and ignores any beyond the limit', () => {
+    const { queue, skipped } = slideWithInputs('buffered', ['left', 'up', 'right', 'down']);
+    expect(queue).toEqual(['left', 'up']);
+    expect(queue).toHaveLength(MAX_QUEUED_MOVES);
+    expect(skipped).toBe(false);
+  });
+
+  it('does not modify the queue it was given', () => {
+    const queue = ['left'];
+    enqueueMove(queue, 'up', 'buffered');
+    expect(queue).toEqual(['left']);
+  });
+
+  it('drops mid-slide swipes in drop mode', () => {
+    const { queue, skipped } = slideWithInputs('drop', ['left', 'up']);
+    expect(queue).toEqual([]);
+    expect(skipped).toBe(false);
+  });
+
+  it('asks to finish the slide at once when the queue fills in instant mode', () => {
+    const first = enqueueMove([], 'left', 'instant');
+    expect(first).toEqual({ queue: ['left'], skipAnimations: false });
+
+    const second = enqueueMove(first.queue, 'up', 'instant');
+    expect(second).toEqual({ queue: ['left', 'up'], skipAnimations: true });
+  });
+
+  it('falls back to the default mode for unknown ids', () => {
+    expect(normalizeInputMode('unknown')).toBe(DEFAULT_INPUT_MODE);
+    expect(enqueueMove([], 'down', undefined).queue).toEqual(['down']);
+  });
+});